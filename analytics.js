@@ -0,0 +1,187 @@
+'use strict';
+
+/**
+ * Training and bodyweight analytics over stored documents, in kilograms.
+ *
+ * Volume: sets are counted per muscle group. Work sets (see isWorkSet in
+ * strength.js) add weight × reps to the tonnage, and those not logged as easy
+ * (RPE below HARD_SET_MIN_RPE or more than HARD_SET_MAX_RIR reps in reserve)
+ * are hard sets. A session counts for every group it gave a hard set.
+ *
+ * Bodyweight trend: an exponentially weighted moving average that moves
+ * TREND_SMOOTHING of the way to each day's weigh-in, so a gap of n days
+ * counts as n days of the same reading. The weekly rate is the least-squares
+ * slope of the trend over its last TREND_RATE_DAYS days.
+ *
+ * TDEE: maintenance calories from the energy balance over a window, taking
+ * KCAL_PER_KG for each kilogram the trend moved. Days without food logged are
+ * left out of the average intake, and the number of days logged sets the
+ * confidence (TDEE_CONFIDENCE); with fewer there is no estimate.
+ */
+
+const { isWorkSet } = require('./strength');
+
+const ANALYTICS_GRANULARITIES = ['week', 'month'];
+const HARD_SET_MIN_RPE = 7;
+const HARD_SET_MAX_RIR = 3;
+const TREND_SMOOTHING = 0.1;
+const TREND_RATE_DAYS = 28;
+const TREND_MIN_RATE_DAYS = 7;      // span of weigh-ins needed before a rate is given
+const TREND_MAX_PROJECTION_DAYS = 730;
+const KCAL_PER_KG = 7700;
+const TDEE_CONFIDENCE = [['high', 21], ['medium', 14], ['low', 7]];   // days logged
+// Daily calories against maintenance: about 0.5 kg a week down, a lean surplus up
+const TDEE_GOAL_ADJUSTMENTS = { lose: -500, maintain: 0, gain: 250 };
+const MIN_CALORIE_TARGET = 1200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round3 = n => Math.round(n * 1000) / 1000;
+
+function isHardSet(set) {
+  if (!isWorkSet(set)) return false;
+  if (set.rpe !== null && set.rpe !== undefined && set.rpe < HARD_SET_MIN_RPE) return false;
+  if (set.rir !== null && set.rir !== undefined && set.rir > HARD_SET_MAX_RIR) return false;
+  return true;
+}
+
+// First day of the week (weeks start on Monday) or month holding a YYYY-MM-DD date
+function periodStart(date, granularity) {
+  if (granularity === 'month') return date.slice(0, 8) + '01';
+  const d = new Date(date + 'T00:00:00Z');
+  d.setUTCDate(d.getUTCDate() - (d.getUTCDay() + 6) % 7);
+  return d.toISOString().slice(0, 10);
+}
+
+function nextPeriod(start, granularity) {
+  const d = new Date(start + 'T00:00:00Z');
+  if (granularity === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  else d.setUTCDate(d.getUTCDate() + 7);
+  return d.toISOString().slice(0, 10);
+}
+
+// Start dates of the periods overlapping from..to (inclusive)
+function periodStarts(from, to, granularity) {
+  const starts = [];
+  for (let start = periodStart(from, granularity); start <= to; start = nextPeriod(start, granularity)) starts.push(start);
+  return starts;
+}
+
+/**
+ * Hard sets, tonnage and sessions per muscle group for each period from `from`
+ * to `to`, and over the whole range. `muscleOf(exercise)` names the group a
+ * logged exercise counts for. Groups that were not trained are left out.
+ */
+function muscleVolume(workouts, { from, to, granularity }, muscleOf) {
+  const periods = periodStarts(from, to, granularity).map(start => ({ start, workouts: 0, muscles: {} }));
+  const byStart = new Map(periods.map(p => [p.start, p]));
+  const totals = {};
+  const add = (muscles, group) => (muscles[group] ||= { hardSets: 0, tonnageKg: 0, sessions: 0 });
+
+  for (const workout of workouts) {
+    if (workout.date < from || workout.date > to) continue;
+    const period = byStart.get(periodStart(workout.date, granularity));
+    if (!period) continue;
+    period.workouts++;
+    const trained = new Set();
+    for (const e of Array.isArray(workout.exercises) ? workout.exercises : []) {
+      if (!e || !e.name || !Array.isArray(e.sets)) continue;
+      const group = muscleOf(e);
+      for (const set of e.sets.filter(isWorkSet)) {
+        const tonnageKg = set.weightKg > 0 && set.reps > 0 ? set.weightKg * set.reps : 0;
+        const hard = isHardSet(set) ? 1 : 0;
+        for (const m of [add(period.muscles, group), add(totals, group)]) {
+          m.tonnageKg += tonnageKg;
+          m.hardSets += hard;
+        }
+        if (hard) trained.add(group);
+      }
+    }
+    for (const group of trained) {
+      period.muscles[group].sessions++;
+      totals[group].sessions++;
+    }
+  }
+
+  for (const m of [...periods.map(p => Object.values(p.muscles)).flat(), ...Object.values(totals)]) {
+    m.tonnageKg = round3(m.tonnageKg);
+  }
+  return { periods, totals };
+}
+
+const dayNumber = date => Math.round(Date.parse(date + 'T00:00:00Z') / DAY_MS);
+
+/**
+ * Smoothed trend of weigh-ins ([{ date, weightKg }], any order) with the
+ * weekly rate of change and, given a goal, the date the trend reaches it at
+ * that rate. `projectedGoalDate` is null once the goal is reached, while the
+ * trend moves away from it, or when it is more than TREND_MAX_PROJECTION_DAYS off.
+ */
+function weightTrend(entries, goalKg = null) {
+  const sorted = entries.filter(e => e.weightKg > 0).sort((a, b) => a.date.localeCompare(b.date));
+  const points = [];
+  let trend = null;
+  for (const { date, weightKg } of sorted) {
+    if (trend === null) trend = weightKg;
+    else trend += (1 - (1 - TREND_SMOOTHING) ** (dayNumber(date) - dayNumber(points[points.length - 1].date))) * (weightKg - trend);
+    points.push({ date, weightKg, trendKg: round3(trend) });
+  }
+  if (points.length === 0) return { points, trendKg: null, weeklyRateKg: null, goalKg, goalReached: false, projectedGoalDate: null };
+
+  const last = points[points.length - 1];
+  const recent = points.filter(p => dayNumber(last.date) - dayNumber(p.date) < TREND_RATE_DAYS);
+  let weeklyRateKg = null;
+  if (dayNumber(last.date) - dayNumber(recent[0].date) >= TREND_MIN_RATE_DAYS) {
+    const xs = recent.map(p => dayNumber(p.date));
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = recent.reduce((a, p) => a + p.trendKg, 0) / recent.length;
+    const sxy = recent.reduce((a, p, i) => a + (xs[i] - meanX) * (p.trendKg - meanY), 0);
+    const sxx = xs.reduce((a, x) => a + (x - meanX) ** 2, 0);
+    weeklyRateKg = round3(sxy / sxx * 7);
+  }
+
+  const remaining = goalKg !== null ? goalKg - last.trendKg : null;
+  // Within a tenth of a kilo, or on the far side of a goal approached from the start
+  const goalReached = remaining !== null && (Math.abs(remaining) < 0.1 || Math.sign(remaining) !== Math.sign(goalKg - points[0].trendKg));
+  let projectedGoalDate = null;
+  if (remaining !== null && !goalReached && weeklyRateKg && Math.sign(weeklyRateKg) === Math.sign(remaining)) {
+    const days = Math.ceil(remaining / weeklyRateKg * 7);
+    if (days <= TREND_MAX_PROJECTION_DAYS) projectedGoalDate = new Date((dayNumber(last.date) + days) * DAY_MS).toISOString().slice(0, 10);
+  }
+  return { points, trendKg: last.trendKg, weeklyRateKg, goalKg, goalReached, projectedGoalDate };
+}
+
+/**
+ * Estimated TDEE over from..to (inclusive) from food entries ([{ date,
+ * calories }]) and weigh-ins ([{ date, weightKg }], the whole history, so the
+ * trend is settled by the window's start). Needs weigh-ins spanning at least
+ * TREND_MIN_RATE_DAYS of the window; `tdee` is null otherwise.
+ */
+function estimateTdee(intakes, weighIns, { from, to }) {
+  const daily = new Map();
+  for (const { date, calories } of intakes) {
+    if (date >= from && date <= to && calories > 0) daily.set(date, (daily.get(date) || 0) + calories);
+  }
+  const loggedDays = daily.size;
+  const averageIntake = loggedDays ? Math.round([...daily.values()].reduce((a, b) => a + b, 0) / loggedDays) : null;
+
+  const inWindow = weightTrend(weighIns).points.filter(p => p.date >= from && p.date <= to);
+  const spanDays = inWindow.length ? dayNumber(inWindow[inWindow.length - 1].date) - dayNumber(inWindow[0].date) : 0;
+  const trendChangeKg = spanDays >= TREND_MIN_RATE_DAYS ? round3(inWindow[inWindow.length - 1].trendKg - inWindow[0].trendKg) : null;
+
+  const confidence = (TDEE_CONFIDENCE.find(([, days]) => loggedDays >= days) || [null])[0];
+  const tdee = confidence && trendChangeKg !== null ? Math.round(averageIntake - trendChangeKg / spanDays * KCAL_PER_KG) : null;
+  return { loggedDays, averageIntake, trendChangeKg, tdee, confidence: tdee === null ? null : confidence };
+}
+
+// Daily target for 'lose', 'maintain' or 'gain', to the nearest 10 kcal
+function calorieTarget(tdee, goal) {
+  if (tdee === null) return null;
+  return Math.max(MIN_CALORIE_TARGET, Math.round((tdee + TDEE_GOAL_ADJUSTMENTS[goal]) / 10) * 10);
+}
+
+module.exports = {
+  ANALYTICS_GRANULARITIES, HARD_SET_MIN_RPE, HARD_SET_MAX_RIR, TREND_SMOOTHING, TREND_RATE_DAYS,
+  KCAL_PER_KG, TDEE_GOAL_ADJUSTMENTS,
+  isHardSet, periodStart, periodStarts, muscleVolume, weightTrend, estimateTdee, calorieTarget,
+};
@@ -104,6 +104,10 @@ if [[ -f "${APP_DIR}/data.db" ]]; then
   rm -f "${APP_DIR}/data.db" "${APP_DIR}/data.db-wal" "${APP_DIR}/data.db-shm"
 fi
 
+echo "==> Checking database schema..."
+# Lists the migrations the service will apply when it starts.
+sudo -u ${APP_USER} env DB_PATH="${DATA_DIR}/data.db" node "${APP_DIR}/migrate.js" --dry-run
+
 echo "==> Setting file permissions..."
 chown -R ${APP_USER}:${APP_USER} "${APP_DIR}"
 find "${APP_DIR}" -type d -exec chmod 755 {} +
@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * Matching free-text exercise names to catalogue exercises, so that
+ * "bench press", "Bench Press (Barbell)" and "BB bench" count as one lift.
+ *
+ * Names are compared in normalized form: lower case, punctuation and brackets
+ * dropped, common abbreviations spelled out (db → dumbbell) and a plural "s"
+ * removed from each word. A name then matches, in order of preference:
+ *   1. a catalogue exercise with the same normalized name,
+ *   2. an alias from the `exercise_aliases` table,
+ *   3. a catalogue exercise whose name without its bracketed qualifier is the
+ *      same, when only one exercise has that base name. "Back squat" matches
+ *      "Back squat (barbell)"; "Romanian deadlift" is the base of both RDLs,
+ *      so it needs an alias.
+ */
+
+const ABBREVIATIONS = {
+  db: 'dumbbell',
+  bb: 'barbell',
+  kb: 'kettlebell',
+  bw: 'bodyweight',
+  ohp: 'overhead press',
+  rdl: 'romanian deadlift',
+  dl: 'deadlift',
+};
+
+// "dumbbells" → "dumbbell", "raises" → "raise"; "press" and short words stay
+function singular(word) {
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+function normalizeExerciseName(name) {
+  return String(name ?? '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ')
+    .split(' ')
+    .map(singular)
+    .join(' ');
+}
+
+function baseName(name) {
+  return String(name).replace(/\([^)]*\)/g, ' ');
+}
+
+/**
+ * Build a matcher over `exercises` ({ id, name }) and `aliases`
+ * ({ alias, exerciseId }). Aliases pointing at exercises not in the list are
+ * ignored. Returns name => exercise id, or null when nothing matches.
+ */
+function createExerciseMatcher(exercises, aliases = []) {
+  const exact = new Map();
+  const byAlias = new Map();
+  const byBase = new Map();
+  for (const exercise of exercises) {
+    const key = normalizeExerciseName(exercise.name);
+    if (!exact.has(key)) exact.set(key, exercise.id);
+    const base = normalizeExerciseName(baseName(exercise.name));
+    if (base && base !== key) {
+      // A base name shared by two exercises is ambiguous and matches neither
+      byBase.set(base, byBase.has(base) && byBase.get(base) !== exercise.id ? null : exercise.id);
+    }
+  }
+  const ids = new Set(exercises.map(e => e.id));
+  for (const { alias, exerciseId } of aliases) {
+    if (ids.has(exerciseId)) byAlias.set(normalizeExerciseName(alias), exerciseId);
+  }
+  return name => {
+    const key = normalizeExerciseName(name);
+    if (!key) return null;
+    return exact.get(key) ?? byAlias.get(key) ?? byBase.get(key) ?? null;
+  };
+}
+
+module.exports = { normalizeExerciseName, createExerciseMatcher };
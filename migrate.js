@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in migrations/ is named NNN_description.js and exports `up(db)`.
+ * The database's version is the number of the last migration applied, kept in
+ * PRAGMA user_version. Pending migrations run in order, each in one transaction
+ * together with its version bump, so a failing migration leaves the database
+ * at the last good version and the error propagates (server.js does not start).
+ *
+ *   node migrate.js            apply pending migrations
+ *   node migrate.js --dry-run  list pending migrations without applying them
+ */
+
+const Database = require('better-sqlite3');
+const path     = require('path');
+const fs       = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_\w+\.js$/.test(file))
+    .map(file => {
+      const { up } = require(path.join(dir, file));
+      if (typeof up !== 'function') throw new Error(`Migration ${file} does not export up(db).`);
+      return { version: parseInt(file, 10), name: file.replace(/\.js$/, ''), up };
+    })
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((m, i) => {
+    if (m.version !== i + 1) {
+      throw new Error(`Migration ${m.name} should be numbered ${i + 1}: numbers must run 1, 2, 3, … without gaps or repeats.`);
+    }
+  });
+  return migrations;
+}
+
+function schemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+function pendingMigrations(db, migrations = loadMigrations()) {
+  const version = schemaVersion(db);
+  if (version > migrations.length) {
+    throw new Error(`Database schema is at version ${version}, newer than this code (${migrations.length}).`);
+  }
+  return migrations.slice(version);
+}
+
+// Foreign key enforcement is switched off while migrating (SQLite ignores the
+// pragma inside a transaction, and rebuilding a table needs it off) and each
+// migration is checked for violations before it commits.
+function migrate(db, { migrations = loadMigrations(), log = console.log } = {}) {
+  const pending = pendingMigrations(db, migrations);
+  if (!pending.length) return [];
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  try {
+    for (const m of pending) {
+      try {
+        db.transaction(() => {
+          m.up(db);
+          const violation = db.pragma('foreign_key_check')[0];
+          if (violation) throw new Error(`foreign key violation in table ${violation.table}`);
+          db.pragma(`user_version = ${m.version}`);
+        })();
+      } catch (err) {
+        throw new Error(`Migration ${m.name} failed: ${err.message}`, { cause: err });
+      }
+      log(`[GetUs.Fit] Applied migration ${m.name}`);
+    }
+  } finally {
+    db.pragma(`foreign_keys = ${foreignKeys ? 'ON' : 'OFF'}`);
+  }
+  return pending.map(m => m.name);
+}
+
+// Databases created before version tracking report version 0 but already hold
+// some of the early tables and columns, so those migrations check first.
+function hasColumn(db, table, column) {
+  return !!db.prepare('SELECT 1 FROM pragma_table_info(?) WHERE name = ?').get(table, column);
+}
+
+function addColumnIfMissing(db, table, column, definition) {
+  if (!hasColumn(db, table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+
+module.exports = { MIGRATIONS_DIR, loadMigrations, schemaVersion, pendingMigrations, migrate, hasColumn, addColumnIfMissing };
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+  const dbPath = process.env.DB_PATH || path.join(process.env.DATA_DIR || __dirname, 'data.db');
+  try {
+    const migrations = loadMigrations();
+    if (dryRun) {
+      const exists = fs.existsSync(dbPath);
+      const db = exists ? new Database(dbPath, { readonly: true }) : null;
+      const pending = db ? pendingMigrations(db, migrations) : migrations;
+      console.log(`Database: ${dbPath} (schema version ${db ? schemaVersion(db) : 0}${exists ? '' : ', not created yet'})`);
+      console.log(pending.length
+        ? `Pending migrations:\n${pending.map(m => `  ${m.name}`).join('\n')}`
+        : 'Schema is up to date.');
+    } else {
+      const db = new Database(dbPath);
+      db.pragma('journal_mode = WAL');
+      const applied = migrate(db, { migrations });
+      if (!applied.length) console.log('Schema is up to date.');
+    }
+  } catch (err) {
+    console.error(`[GetUs.Fit] ${err.message}`);
+    process.exit(1);
+  }
+}
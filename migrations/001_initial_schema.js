@@ -0,0 +1,90 @@
+'use strict';
+
+const { addColumnIfMissing } = require('../migrate');
+
+// Core tables. Databases from before role support lack users.role.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id            INTEGER PRIMARY KEY AUTOINCREMENT,
+      username      TEXT    UNIQUE NOT NULL COLLATE NOCASE,
+      password_hash TEXT    NOT NULL,
+      role          TEXT    NOT NULL DEFAULT 'user'
+    );
+
+    CREATE TABLE IF NOT EXISTS profiles (
+      user_id  INTEGER PRIMARY KEY,
+      data     TEXT    NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS workouts (
+      id       TEXT    PRIMARY KEY,
+      user_id  INTEGER NOT NULL,
+      date     TEXT    NOT NULL,
+      data     TEXT    NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS weights (
+      user_id  INTEGER NOT NULL,
+      date     TEXT    NOT NULL,
+      data     TEXT    NOT NULL,
+      PRIMARY KEY (user_id, date),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS calories (
+      id       INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id  INTEGER NOT NULL,
+      date     TEXT    NOT NULL,
+      data     TEXT    NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS trainer_assignments (
+      trainer_id INTEGER NOT NULL,
+      user_id    INTEGER NOT NULL,
+      PRIMARY KEY (trainer_id, user_id),
+      FOREIGN KEY (trainer_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id)    REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS plans (
+      id         TEXT    PRIMARY KEY,
+      trainer_id INTEGER NOT NULL,
+      name       TEXT    NOT NULL,
+      data       TEXT    NOT NULL,
+      FOREIGN KEY (trainer_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_assignments (
+      plan_id  TEXT    NOT NULL,
+      user_id  INTEGER NOT NULL,
+      PRIMARY KEY (plan_id, user_id),
+      FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS scheduled_workouts (
+      id       TEXT    PRIMARY KEY,
+      user_id  INTEGER NOT NULL,
+      date     TEXT    NOT NULL,
+      plan_id  TEXT,
+      title    TEXT    NOT NULL,
+      notes    TEXT    NOT NULL DEFAULT '',
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS one_rep_maxes (
+      user_id    INTEGER NOT NULL,
+      exercise   TEXT    NOT NULL COLLATE NOCASE,
+      weight_kg  REAL    NOT NULL,
+      updated_at TEXT    NOT NULL,
+      PRIMARY KEY (user_id, exercise),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  addColumnIfMissing(db, 'users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+};
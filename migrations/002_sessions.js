@@ -0,0 +1,17 @@
+'use strict';
+
+// Server-side sessions with rotating refresh tokens.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id           TEXT    PRIMARY KEY,
+      user_id      INTEGER NOT NULL,
+      refresh_hash TEXT    NOT NULL,
+      created_at   TEXT    NOT NULL,
+      expires_at   TEXT    NOT NULL,
+      revoked_at   TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+  `);
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+// Single-use password reset codes.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL,
+      code_hash  TEXT    NOT NULL,
+      created_at TEXT    NOT NULL,
+      expires_at TEXT    NOT NULL,
+      used_at    TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+};
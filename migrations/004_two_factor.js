@@ -0,0 +1,24 @@
+'use strict';
+
+const { addColumnIfMissing } = require('../migrate');
+
+// TOTP two-factor authentication, recovery codes and site settings.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS recovery_codes (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL,
+      code_hash  TEXT    NOT NULL,
+      used_at    TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+      key   TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+  addColumnIfMissing(db, 'users', 'totp_secret', 'TEXT');
+  addColumnIfMissing(db, 'users', 'totp_enabled', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing(db, 'users', 'totp_last_step', 'INTEGER NOT NULL DEFAULT 0');
+};
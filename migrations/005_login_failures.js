@@ -0,0 +1,13 @@
+'use strict';
+
+// Per-username failed login counts and lockouts.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_failures (
+      username        TEXT    PRIMARY KEY COLLATE NOCASE,
+      failures        INTEGER NOT NULL,
+      last_failure_at TEXT    NOT NULL,
+      locked_until    TEXT
+    );
+  `);
+};
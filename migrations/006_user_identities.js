@@ -0,0 +1,28 @@
+'use strict';
+
+const { hasColumn } = require('../migrate');
+
+// Sign-in provider identities. Google sign-ins used to live in users.google_id.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_identities (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id    INTEGER NOT NULL,
+      provider   TEXT    NOT NULL,
+      subject    TEXT    NOT NULL,
+      email      TEXT,
+      created_at TEXT    NOT NULL,
+      UNIQUE (provider, subject),
+      UNIQUE (user_id, provider),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  if (hasColumn(db, 'users', 'google_id')) {
+    db.exec(`
+      INSERT OR IGNORE INTO user_identities (user_id, provider, subject, created_at)
+        SELECT id, 'google', google_id, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM users WHERE google_id IS NOT NULL;
+      DROP INDEX IF EXISTS idx_users_google_id;
+      ALTER TABLE users DROP COLUMN google_id;
+    `);
+  }
+};
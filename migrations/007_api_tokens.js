@@ -0,0 +1,17 @@
+'use strict';
+
+// Personal API tokens.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      INTEGER NOT NULL,
+      name         TEXT    NOT NULL,
+      token_hash   TEXT    UNIQUE NOT NULL,
+      scopes       TEXT    NOT NULL,
+      created_at   TEXT    NOT NULL,
+      last_used_at TEXT,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+// Trainer invite codes.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS invite_codes (
+      id         INTEGER PRIMARY KEY AUTOINCREMENT,
+      trainer_id INTEGER NOT NULL,
+      code       TEXT    UNIQUE NOT NULL,
+      plan_ids   TEXT    NOT NULL DEFAULT '[]',
+      max_uses   INTEGER NOT NULL,
+      uses       INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT    NOT NULL,
+      expires_at TEXT    NOT NULL,
+      revoked_at TEXT,
+      FOREIGN KEY (trainer_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+// Append-only audit log of privileged actions. No foreign keys: entries
+// outlive the accounts they mention, so usernames are copied in at write time.
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id              INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at      TEXT    NOT NULL,
+      actor_id        INTEGER,
+      actor_username  TEXT,
+      action          TEXT    NOT NULL,
+      target_user_id  INTEGER,
+      target_username TEXT,
+      details         TEXT,
+      ip              TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+};
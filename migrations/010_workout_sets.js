@@ -0,0 +1,33 @@
+'use strict';
+
+// Workout exercises move from a flat { sets, reps, weightKg } triple to an
+// array of individual sets. Each stored flat exercise becomes `sets` identical
+// working sets. Rows that fail to parse are left untouched.
+function toSets(exercise) {
+  const reps     = parseInt(exercise.reps, 10);
+  const weightKg = parseFloat(exercise.weightKg);
+  let count = parseInt(exercise.sets, 10);
+  if (!Number.isFinite(count) || count < 1) count = Number.isFinite(reps) || weightKg > 0 ? 1 : 0;
+  return Array.from({ length: Math.min(count, 50) }, () => ({
+    reps: Number.isFinite(reps) && reps >= 0 ? reps : null,
+    weightKg: Number.isFinite(weightKg) && weightKg >= 0 ? weightKg : null,
+    rpe: null, rir: null, tempo: null, type: 'working', completed: true,
+  }));
+}
+
+exports.up = (db) => {
+  const update = db.prepare('UPDATE workouts SET data = ? WHERE id = ?');
+  for (const row of db.prepare('SELECT id, data FROM workouts').all()) {
+    let workout;
+    try { workout = JSON.parse(row.data); } catch { continue; }
+    if (!workout || !Array.isArray(workout.exercises)) continue;
+    let changed = false;
+    workout.exercises = workout.exercises.map(e => {
+      if (!e || typeof e !== 'object' || Array.isArray(e.sets)) return e;
+      changed = true;
+      const { reps, weightKg, ...rest } = e;
+      return { ...rest, sets: toSets(e) };
+    });
+    if (changed) update.run(JSON.stringify(workout), row.id);
+  }
+};
@@ -0,0 +1,6 @@
+'use strict';
+
+// When each workout was last created or edited.
+exports.up = (db) => {
+  db.exec('ALTER TABLE workouts ADD COLUMN updated_at TEXT');
+};
@@ -0,0 +1,10 @@
+'use strict';
+
+// History lists filter and sort each user's rows by date. The weights primary
+// key already covers (user_id, date).
+exports.up = (db) => {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_workouts_user_date ON workouts(user_id, date);
+    CREATE INDEX IF NOT EXISTS idx_calories_user_date ON calories(user_id, date);
+  `);
+};
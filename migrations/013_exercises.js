@@ -0,0 +1,103 @@
+'use strict';
+
+// Exercise catalogue. Built-in exercises have no owner; custom ones belong to
+// the user who created them, and a trainer's `shared` exercises are also
+// listed for their athletes. Names are unique per owner, ignoring case.
+const BUILT_IN = [
+  // name, primary muscle, secondary muscles, equipment, movement pattern, unilateral
+  ['Back squat (barbell)', 'legs', ['core'], 'barbell', 'squat', false],
+  ['Front squat (barbell)', 'legs', ['core'], 'barbell', 'squat', false],
+  ['Goblet squat (dumbbell/kettlebell)', 'legs', ['core'], 'dumbbell', 'squat', false],
+  ['Bulgarian split squat (DB/BB)', 'legs', [], 'dumbbell', 'lunge', true],
+  ['Leg press (machine)', 'legs', [], 'machine', 'squat', false],
+  ['Hack squat (machine)', 'legs', [], 'machine', 'squat', false],
+  ['Smith machine squat', 'legs', [], 'machine', 'squat', false],
+  ['Step-up (DB)', 'legs', [], 'dumbbell', 'lunge', true],
+  ['Walking lunge (DB/BB)', 'legs', [], 'dumbbell', 'lunge', true],
+  ['Reverse lunge (DB/BB)', 'legs', [], 'dumbbell', 'lunge', true],
+  ['Leg extension (machine)', 'legs', [], 'machine', 'isolation', false],
+  ['Deadlift (conventional)', 'legs', ['back'], 'barbell', 'hinge', false],
+  ['Sumo deadlift', 'legs', ['back'], 'barbell', 'hinge', false],
+  ['Romanian deadlift (barbell)', 'legs', ['back'], 'barbell', 'hinge', false],
+  ['Romanian deadlift (dumbbells)', 'legs', ['back'], 'dumbbell', 'hinge', false],
+  ['Trap bar deadlift', 'legs', ['back'], 'barbell', 'hinge', false],
+  ['Good morning (barbell)', 'legs', ['back'], 'barbell', 'hinge', false],
+  ['Hip thrust (barbell)', 'legs', [], 'barbell', 'hinge', false],
+  ['Glute bridge (barbell)', 'legs', [], 'barbell', 'hinge', false],
+  ['Cable pull-through', 'legs', [], 'cable', 'hinge', false],
+  ['Back extension (weighted)', 'legs', ['back'], 'other', 'hinge', false],
+  ['Bench press (barbell)', 'chest', ['shoulders', 'triceps'], 'barbell', 'push', false],
+  ['Incline bench press (barbell)', 'chest', ['shoulders', 'triceps'], 'barbell', 'push', false],
+  ['Dumbbell bench press', 'chest', ['shoulders', 'triceps'], 'dumbbell', 'push', false],
+  ['Incline dumbbell press', 'chest', ['shoulders', 'triceps'], 'dumbbell', 'push', false],
+  ['Chest press (machine)', 'chest', ['triceps'], 'machine', 'push', false],
+  ['Overhead press (barbell)', 'shoulders', ['triceps'], 'barbell', 'push', false],
+  ['Dumbbell shoulder press', 'shoulders', ['triceps'], 'dumbbell', 'push', false],
+  ['Arnold press', 'shoulders', ['triceps'], 'dumbbell', 'push', false],
+  ['Lateral raise (dumbbells/cable)', 'shoulders', [], 'dumbbell', 'isolation', false],
+  ['Front raise (dumbbells/plate)', 'shoulders', [], 'dumbbell', 'isolation', false],
+  ['Face pull (cable)', 'shoulders', ['back'], 'cable', 'pull', false],
+  ['Rear delt fly (DB/cable)', 'shoulders', ['back'], 'dumbbell', 'isolation', false],
+  ['Triceps pushdown (cable)', 'triceps', [], 'cable', 'isolation', false],
+  ['Overhead triceps extension (DB/cable)', 'triceps', [], 'dumbbell', 'isolation', false],
+  ['Skull crushers (EZ-bar)', 'triceps', [], 'barbell', 'isolation', false],
+  ['Bent-over row (barbell)', 'back', ['biceps'], 'barbell', 'pull', false],
+  ['One-arm dumbbell row', 'back', ['biceps'], 'dumbbell', 'pull', true],
+  ['Seated cable row', 'back', ['biceps'], 'cable', 'pull', false],
+  ['Lat pulldown (machine)', 'back', ['biceps'], 'machine', 'pull', false],
+  ['T-bar row', 'back', ['biceps'], 'barbell', 'pull', false],
+  ['Chest-supported row (machine/DB)', 'back', ['biceps'], 'machine', 'pull', false],
+  ['Pull-up (weighted)', 'back', ['biceps'], 'bodyweight', 'pull', false],
+  ['Chin-up (weighted)', 'back', ['biceps'], 'bodyweight', 'pull', false],
+  ['Barbell curl', 'biceps', [], 'barbell', 'isolation', false],
+  ['Dumbbell curl', 'biceps', [], 'dumbbell', 'isolation', false],
+  ['Hammer curl', 'biceps', [], 'dumbbell', 'isolation', false],
+  ['Preacher curl (machine/EZ-bar)', 'biceps', [], 'machine', 'isolation', false],
+  ['Standing calf raise (machine/Smith/DB)', 'calves', [], 'machine', 'isolation', false],
+  ['Seated calf raise (machine)', 'calves', [], 'machine', 'isolation', false],
+  ['Single-leg calf raise (weighted)', 'calves', [], 'dumbbell', 'isolation', true],
+  ['Cable crunch', 'core', [], 'cable', 'core', false],
+  ['Weighted sit-up', 'core', [], 'other', 'core', false],
+  ['Decline sit-up (weighted)', 'core', [], 'other', 'core', false],
+  ['Hanging knee/leg raise', 'core', [], 'bodyweight', 'core', false],
+  ['Pallof press (cable/band)', 'core', [], 'cable', 'core', true],
+  ['Weighted Russian twist', 'core', [], 'other', 'core', false],
+  ['Farmers carry (DB/KB)', 'core', ['fullbody'], 'dumbbell', 'carry', false],
+  ['Suitcase carry', 'core', [], 'dumbbell', 'carry', true],
+  ['Power clean', 'fullbody', ['legs', 'back'], 'barbell', 'olympic', false],
+  ['Hang clean', 'fullbody', ['legs', 'back'], 'barbell', 'olympic', false],
+  ['Clean and press', 'fullbody', ['shoulders'], 'barbell', 'olympic', false],
+  ['Push press', 'fullbody', ['shoulders', 'legs'], 'barbell', 'push', false],
+  ['Thruster (barbell/dumbbells)', 'fullbody', ['legs', 'shoulders'], 'barbell', 'squat', false],
+  ['Dumbbell snatch', 'fullbody', ['shoulders'], 'dumbbell', 'olympic', true],
+  ['Kettlebell swing', 'fullbody', ['legs'], 'kettlebell', 'hinge', false],
+  ['Kettlebell clean', 'fullbody', [], 'kettlebell', 'olympic', true],
+  ['Farmers walk', 'fullbody', ['core'], 'dumbbell', 'carry', false],
+  ['Sandbag carry', 'fullbody', ['core'], 'other', 'carry', false],
+];
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS exercises (
+      id                INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_id          INTEGER,
+      name              TEXT    NOT NULL,
+      primary_muscle    TEXT    NOT NULL,
+      secondary_muscles TEXT    NOT NULL DEFAULT '[]',
+      equipment         TEXT,
+      movement_pattern  TEXT,
+      unilateral        INTEGER NOT NULL DEFAULT 0,
+      shared            INTEGER NOT NULL DEFAULT 0,
+      created_at        TEXT    NOT NULL,
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_exercises_owner_name ON exercises(COALESCE(owner_id, 0), lower(name));
+  `);
+  const insert = db.prepare(`INSERT INTO exercises
+    (owner_id, name, primary_muscle, secondary_muscles, equipment, movement_pattern, unilateral, created_at)
+    VALUES (NULL, ?, ?, ?, ?, ?, ?, ?)`);
+  const now = new Date().toISOString();
+  for (const [name, primary, secondary, equipment, pattern, unilateral] of BUILT_IN) {
+    insert.run(name, primary, JSON.stringify(secondary), equipment, pattern, unilateral ? 1 : 0, now);
+  }
+};
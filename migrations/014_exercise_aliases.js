@@ -0,0 +1,47 @@
+'use strict';
+
+// Alternative names for catalogue exercises, matched case- and
+// punctuation-insensitively (see exercises.js), and the canonical exercise
+// of each 1RM. Logged workouts keep the id on each exercise in their JSON.
+const ALIASES = [
+  ['Bench press (barbell)', ['bench', 'barbell bench', 'barbell bench press', 'flat bench', 'flat bench press']],
+  ['Dumbbell bench press', ['dumbbell press', 'flat dumbbell press']],
+  ['Back squat (barbell)', ['squat', 'barbell squat', 'high bar squat', 'low bar squat']],
+  ['Deadlift (conventional)', ['deadlift', 'conventional deadlift', 'barbell deadlift']],
+  ['Romanian deadlift (barbell)', ['romanian deadlift', 'barbell romanian deadlift']],
+  ['Romanian deadlift (dumbbells)', ['dumbbell romanian deadlift']],
+  ['Overhead press (barbell)', ['military press', 'standing press', 'barbell shoulder press']],
+  ['Dumbbell shoulder press', ['seated dumbbell press', 'dumbbell overhead press']],
+  ['Bent-over row (barbell)', ['barbell row', 'bent over row']],
+  ['One-arm dumbbell row', ['dumbbell row', 'single arm dumbbell row']],
+  ['Lat pulldown (machine)', ['pulldown', 'lat pull down']],
+  ['Pull-up (weighted)', ['pullup']],
+  ['Chin-up (weighted)', ['chinup']],
+  ['Triceps pushdown (cable)', ['tricep pushdown', 'rope pushdown', 'pushdown']],
+  ['Skull crushers (EZ-bar)', ['skullcrusher', 'lying triceps extension']],
+  ['Dumbbell curl', ['bicep curl', 'biceps curl']],
+  ['Lateral raise (dumbbells/cable)', ['side raise', 'side lateral raise']],
+  ['Farmers walk', ['farmer walk']],
+  ['Hip thrust (barbell)', ['barbell hip thrust', 'glute thrust']],
+];
+
+exports.up = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS exercise_aliases (
+      id          INTEGER PRIMARY KEY AUTOINCREMENT,
+      alias       TEXT    NOT NULL UNIQUE COLLATE NOCASE,
+      exercise_id INTEGER NOT NULL,
+      created_at  TEXT    NOT NULL,
+      FOREIGN KEY (exercise_id) REFERENCES exercises(id) ON DELETE CASCADE
+    );
+    ALTER TABLE one_rep_maxes ADD COLUMN exercise_id INTEGER REFERENCES exercises(id) ON DELETE SET NULL;
+  `);
+  const find = db.prepare('SELECT id FROM exercises WHERE owner_id IS NULL AND name = ?');
+  const insert = db.prepare('INSERT OR IGNORE INTO exercise_aliases (alias, exercise_id, created_at) VALUES (?, ?, ?)');
+  const now = new Date().toISOString();
+  for (const [name, aliases] of ALIASES) {
+    const exercise = find.get(name);
+    if (!exercise) continue;
+    for (const alias of aliases) insert.run(alias, exercise.id, now);
+  }
+};
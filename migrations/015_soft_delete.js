@@ -0,0 +1,13 @@
+'use strict';
+
+// Deleting a workout, weight, calorie entry, scheduled workout or plan moves it
+// to the trash by setting `deleted_at`; trashed rows are purged after the
+// retention period (TRASH_RETENTION_DAYS).
+const TABLES = ['workouts', 'weights', 'calories', 'scheduled_workouts', 'plans'];
+
+exports.up = (db) => {
+  for (const table of TABLES) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN deleted_at TEXT`);
+    db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table}(deleted_at) WHERE deleted_at IS NOT NULL`);
+  }
+};
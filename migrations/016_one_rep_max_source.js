@@ -0,0 +1,7 @@
+'use strict';
+
+// Where each 1RM came from: 'manual' (entered on the profile page, the only
+// kind until now) or 'estimated' (the best estimate from logged sets).
+exports.up = (db) => {
+  db.exec("ALTER TABLE one_rep_maxes ADD COLUMN source TEXT NOT NULL DEFAULT 'manual'");
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+// Who issued each reset code: 'admin' or 'email' (POST /api/auth/forgot-password),
+// so a code requested by email does not cancel one an admin handed out.
+// Earlier codes count as admin-issued.
+exports.up = (db) => {
+  db.exec("ALTER TABLE password_resets ADD COLUMN source TEXT NOT NULL DEFAULT 'admin'");
+};
@@ -4,90 +4,54 @@
  */
 
 // ── Exercise catalogue ────────────────────────────────────────────────────────
-const EXERCISE_CATALOGUE = {
-  'Lower body (squat / knee-dominant)': [
-    'Back squat (barbell)',
-    'Front squat (barbell)',
-    'Goblet squat (dumbbell/kettlebell)',
-    'Bulgarian split squat (DB/BB)',
-    'Leg press (machine)',
-    'Hack squat (machine)',
-    'Smith machine squat',
-    'Step-up (DB)',
-    'Walking lunge (DB/BB)',
-    'Reverse lunge (DB/BB)',
-    'Leg extension (machine)',
-  ],
-  'Lower body (hinge / posterior chain)': [
-    'Deadlift (conventional)',
-    'Sumo deadlift',
-    'Romanian deadlift (barbell)',
-    'Romanian deadlift (dumbbells)',
-    'Trap bar deadlift',
-    'Good morning (barbell)',
-    'Hip thrust (barbell)',
-    'Glute bridge (barbell)',
-    'Kettlebell swing',
-    'Cable pull-through',
-    'Back extension (weighted)',
-  ],
-  'Upper body push (chest/shoulders/triceps)': [
-    'Bench press (barbell)',
-    'Incline bench press (barbell)',
-    'Dumbbell bench press',
-    'Incline dumbbell press',
-    'Chest press (machine)',
-    'Overhead press (barbell)',
-    'Dumbbell shoulder press',
-    'Arnold press',
-    'Lateral raise (dumbbells/cable)',
-    'Front raise (dumbbells/plate)',
-    'Triceps pushdown (cable)',
-    'Overhead triceps extension (DB/cable)',
-    'Skull crushers (EZ-bar)',
-  ],
-  'Upper body pull (back/biceps)': [
-    'Bent-over row (barbell)',
-    'One-arm dumbbell row',
-    'Seated cable row',
-    'Lat pulldown (machine)',
-    'T-bar row',
-    'Chest-supported row (machine/DB)',
-    'Pull-up (weighted)',
-    'Chin-up (weighted)',
-    'Face pull (cable)',
-    'Rear delt fly (DB/cable)',
-    'Barbell curl',
-    'Dumbbell curl',
-    'Hammer curl',
-    'Preacher curl (machine/EZ-bar)',
-  ],
-  'Calves': [
-    'Standing calf raise (machine/Smith/DB)',
-    'Seated calf raise (machine)',
-    'Single-leg calf raise (weighted)',
-  ],
-  'Core (weighted)': [
-    'Cable crunch',
-    'Weighted sit-up',
-    'Decline sit-up (weighted)',
-    'Hanging knee/leg raise',
-    'Pallof press (cable/band)',
-    'Weighted Russian twist',
-    'Farmers carry (DB/KB)',
-    'Suitcase carry',
-  ],
-  'Full-body / power / carries': [
-    'Power clean',
-    'Hang clean',
-    'Clean and press',
-    'Push press',
-    'Thruster (barbell/dumbbells)',
-    'Dumbbell snatch',
-    'Kettlebell clean',
-    'Farmers walk',
-    'Sandbag carry',
-  ],
+// Loaded from /api/exercises: the built-in exercises, the user's own and any
+// their trainers have shared, grouped by primary muscle for the pickers.
+const MUSCLE_GROUP_LABELS = {
+  chest: 'Chest', shoulders: 'Shoulders', triceps: 'Triceps', back: 'Back', biceps: 'Biceps',
+  legs: 'Legs', calves: 'Calves', core: 'Core', fullbody: 'Full body', other: 'Other',
+};
+
+const Exercises = {
+  list: [],
+  /** Exercise names keyed by muscle group label */
+  catalogue: {},
+
+  async load() {
+    this.list = await API.get('/exercises').catch(() => []);
+    this.catalogue = {};
+    for (const [group, label] of Object.entries(MUSCLE_GROUP_LABELS)) {
+      const names = this.list.filter(e => e.primaryMuscle === group).map(e => e.name);
+      if (names.length) this.catalogue[label] = names;
+    }
+    return this.list;
+  },
+
+  /**
+   * Grouping key for a logged exercise or 1RM: its catalogue id when the
+   * server matched one, so "BB bench" and "Bench press (barbell)" chart
+   * together, otherwise the lower-cased name.
+   */
+  key(name, exerciseId) {
+    return exerciseId != null ? 'id:' + exerciseId : 'name:' + String(name).toLowerCase();
+  },
+
+  /** Catalogue name for an exercise id, or null if it is not in the list */
+  nameOf(exerciseId) {
+    const exercise = this.list.find(e => e.id === exerciseId);
+    return exercise ? exercise.name : null;
+  },
+
+  /** Save typed names that are not in the catalogue as custom exercises */
+  async remember(names) {
+    const known = new Set(this.list.map(e => e.name.toLowerCase()));
+    const fresh = [];
+    for (const name of names) {
+      if (name && !known.has(name.toLowerCase())) { known.add(name.toLowerCase()); fresh.push(name); }
+    }
+    if (!fresh.length) return;
+    await Promise.all(fresh.map(name => API.post('/exercises', { name }).catch(() => null)));
+    await this.load();
+  },
 };
 
 /**
@@ -103,14 +67,14 @@ function setupExerciseRow(div, existingName) {
   // Find which catalogue group (if any) contains the existing name
   let foundGroup = '';
   if (existingName) {
-    for (const [g, exercises] of Object.entries(EXERCISE_CATALOGUE)) {
+    for (const [g, exercises] of Object.entries(Exercises.catalogue)) {
       if (exercises.includes(existingName)) { foundGroup = g; break; }
     }
   }
 
   function populateExercises(group) {
     exSel.innerHTML = '<option value="">Select exercise\u2026</option>' +
-      (EXERCISE_CATALOGUE[group] || [])
+      (Exercises.catalogue[group] || [])
         .map(e => '<option value="' + escHtmlShared(e) + '">' + escHtmlShared(e) + '</option>')
         .join('');
   }
@@ -172,8 +136,11 @@ const API = {
     return sessionStorage.getItem('dgf_token');
   },
 
-  /** Make an authenticated fetch request */
-  async request(method, path, body) {
+  /**
+   * Make an authenticated fetch request. An expired access token is refreshed
+   * once via the stored refresh token and the request retried.
+   */
+  async request(method, path, body, retried = false) {
     const headers = { 'Content-Type': 'application/json' };
     const token = this.token();
     if (token) headers['Authorization'] = 'Bearer ' + token;
@@ -189,6 +156,13 @@ const API = {
       throw new Error('Cannot reach the server. Please make sure the backend is running.');
     }
 
+    // Auth routes answer 401 for bad credentials, not an expired token; logging
+    // out everywhere still needs a live access token
+    const refreshable = !path.startsWith('/auth/') || path === '/auth/logout-all';
+    if (res.status === 401 && !retried && refreshable && await Auth.refresh()) {
+      return this.request(method, path, body, true);
+    }
+
     const data = await res.json().catch(() => ({}));
     if (!res.ok) throw new Error(data.error || 'Request failed');
     return data;
@@ -197,7 +171,8 @@ const API = {
   get(path)        { return this.request('GET',    path); },
   post(path, body) { return this.request('POST',   path, body); },
   put(path, body)  { return this.request('PUT',    path, body); },
-  del(path)        { return this.request('DELETE', path); },
+  patch(path, body) { return this.request('PATCH', path, body); },
+  del(path, body)  { return this.request('DELETE', path, body); },
 
   /** Fetch without requiring authentication (used for public config endpoints) */
   async getRaw(path) {
@@ -218,6 +193,13 @@ function today() {
   return new Date().toISOString().split('T')[0];
 }
 
+/** Return the date n days before today as YYYY-MM-DD */
+function daysAgo(n) {
+  const d = new Date();
+  d.setDate(d.getDate() - n);
+  return d.toISOString().split('T')[0];
+}
+
 /** Format a YYYY-MM-DD string for display */
 function formatDate(dateStr) {
   if (!dateStr) return '';
@@ -225,20 +207,84 @@ function formatDate(dateStr) {
   return `${d}/${m}/${y}`;
 }
 
-/** Show a temporary success banner above the given container */
-function showAlert(container, message, type = 'success') {
+/**
+ * Show a banner at the top of `container`. An optional `action`
+ * ({ label, onClick }) adds a button, and the banner then stays up longer.
+ */
+function showAlert(container, message, type = 'success', action = null) {
   const existing = container.querySelector('.alert');
   if (existing) existing.remove();
 
   const div = document.createElement('div');
   div.className = `alert alert-${type}`;
   div.textContent = message;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'alert-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => { div.remove(); action.onClick(); });
+    div.append(' ', btn);
+  }
   container.prepend(div);
-  setTimeout(() => div.remove(), 3000);
+  setTimeout(() => div.remove(), action ? 10000 : 3000);
+}
+
+/**
+ * Banner for a record just moved to the trash. Its Undo button restores the
+ * record with `restorePath` (e.g. '/trash/workouts/<id>/restore') and then
+ * calls `onRestored`, usually the page's render function.
+ */
+function showUndo(container, message, restorePath, onRestored) {
+  showAlert(container, message, 'success', {
+    label: 'Undo',
+    async onClick() {
+      try {
+        await API.post(restorePath);
+        showAlert(container, 'Restored.');
+        await onRestored();
+      } catch (err) {
+        showAlert(container, err.message || 'Could not restore.', 'error');
+      }
+    },
+  });
 }
 
+/**
+ * The signed-in user's weight unit, 'kg' or 'lb', set on the profile page.
+ * API responses already give weights in it; pages use it for labels. Elements
+ * marked data-unit show the unit once load() resolves.
+ */
+const Units = {
+  current: 'kg',
+
+  async load() {
+    try {
+      const me = await API.get('/user/me');
+      this.current = me.units === 'lb' ? 'lb' : 'kg';
+    } catch { /* keep kg */ }
+    document.querySelectorAll('[data-unit]').forEach(el => { el.textContent = this.current; });
+    return this.current;
+  },
+};
+
 const Auth = {
-  TOKEN_KEY: 'dgf_token',
+  TOKEN_KEY:   'dgf_token',
+  REFRESH_KEY: 'dgf_refresh',
+  OIDC_KEY:    'dgf_oidc',
+  INVITE_KEY:  'dgf_invite',
+  _refreshing: null,
+
+  /** Store the token pair returned by the login, register and refresh endpoints */
+  _store({ token, refreshToken }) {
+    sessionStorage.setItem(this.TOKEN_KEY, token);
+    if (refreshToken) sessionStorage.setItem(this.REFRESH_KEY, refreshToken);
+  },
+
+  _clear() {
+    sessionStorage.removeItem(this.TOKEN_KEY);
+    sessionStorage.removeItem(this.REFRESH_KEY);
+  },
 
   /** Decode the JWT payload without verification (client-side read only) */
   _payload() {
@@ -257,9 +303,10 @@ const Auth = {
   currentUser() {
     const p = this._payload();
     if (!p) return null;
-    // Check expiry
-    if (p.exp && Date.now() / 1000 > p.exp) {
-      sessionStorage.removeItem(this.TOKEN_KEY);
+    // An expired access token is fine while a refresh token is held; the next
+    // API call exchanges it for a fresh one.
+    if (p.exp && Date.now() / 1000 > p.exp && !sessionStorage.getItem(this.REFRESH_KEY)) {
+      this._clear();
       return null;
     }
     return p.username || null;
@@ -271,38 +318,135 @@ const Auth = {
     return p ? (p.role || 'user') : null;
   },
 
+  /**
+   * Remember a trainer invite code (from a login.html?invite= link) until the
+   * next successful register or sign-in, which sends it along. Pass null to drop it.
+   */
+  setInviteCode(code) {
+    if (code) sessionStorage.setItem(this.INVITE_KEY, code);
+    else sessionStorage.removeItem(this.INVITE_KEY);
+  },
+
+  inviteCode() {
+    return sessionStorage.getItem(this.INVITE_KEY) || undefined;
+  },
+
   async register(username, password) {
     try {
-      const { token } = await API.post('/auth/register', { username, password });
-      sessionStorage.setItem(this.TOKEN_KEY, token);
+      this._store(await API.post('/auth/register', { username, password, inviteCode: this.inviteCode() }));
+      this.setInviteCode(null);
       return { ok: true };
     } catch (e) {
       return { ok: false, error: e.message };
     }
   },
 
-  async login(username, password) {
+  /**
+   * Store the session from a sign-in response, or pass on the challenge when
+   * the account has 2FA and a code must be sent to verifyTwoFactor().
+   */
+  _signIn(data) {
+    if (data.mfaRequired) return { ok: false, mfaRequired: true, challengeToken: data.challengeToken };
+    if (data.linkRequired) return { ok: false, linkRequired: true, username: data.username, linkToken: data.linkToken };
+    this._store(data);
+    this.setInviteCode(null);
+    return { ok: true, linkError: data.linkError };
+  },
+
+  /** Password login; pass `linkToken` to link a provider account on success */
+  async login(username, password, linkToken) {
     try {
-      const { token } = await API.post('/auth/login', { username, password });
-      sessionStorage.setItem(this.TOKEN_KEY, token);
-      return { ok: true };
+      return this._signIn(await API.post('/auth/login', { username, password, linkToken, inviteCode: this.inviteCode() }));
     } catch (e) {
       return { ok: false, error: e.message };
     }
   },
 
-  async loginWithGoogle(credential) {
+  /**
+   * Sign in with an ID token from a provider listed in /api/config.
+   * `createNew` skips the offer to link an account with the same email.
+   */
+  async loginWithProvider(provider, credential, { nonce, createNew = false } = {}) {
     try {
-      const { token } = await API.post('/auth/google', { credential });
-      sessionStorage.setItem(this.TOKEN_KEY, token);
-      return { ok: true };
+      const body = { credential, nonce, createNew, inviteCode: this.inviteCode() };
+      return this._signIn(await API.post(`/auth/oidc/${encodeURIComponent(provider)}`, body));
     } catch (e) {
       return { ok: false, error: e.message };
     }
   },
 
-  logout() {
-    sessionStorage.removeItem(this.TOKEN_KEY);
+  /**
+   * Send the browser to a provider's authorization endpoint. It returns to
+   * login.html with an ID token, which takeProviderRedirect() picks up. `mode`
+   * is 'login' or 'link' (add the provider to the signed-in account).
+   */
+  startProviderRedirect(provider, mode = 'login') {
+    const nonce = crypto.randomUUID();
+    const state = crypto.randomUUID();
+    sessionStorage.setItem(this.OIDC_KEY, JSON.stringify({ provider: provider.id, nonce, state, mode }));
+    const url = new URL(provider.authUrl);
+    url.searchParams.set('client_id', provider.clientId);
+    url.searchParams.set('response_type', 'id_token');
+    url.searchParams.set('response_mode', 'fragment');
+    url.searchParams.set('scope', 'openid email profile');
+    url.searchParams.set('redirect_uri', `${window.location.origin}/login.html`);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('state', state);
+    window.location.href = url.toString();
+  },
+
+  /**
+   * Read the ID token a provider redirect left in the URL fragment. Returns
+   * { provider, credential, nonce, mode }, or null when this page load is not
+   * a provider redirect (or its state does not match the one we started).
+   */
+  takeProviderRedirect() {
+    const params  = new URLSearchParams(window.location.hash.slice(1));
+    const pending = JSON.parse(sessionStorage.getItem(this.OIDC_KEY) || 'null');
+    if (!params.has('id_token') && !params.has('error')) return null;
+    sessionStorage.removeItem(this.OIDC_KEY);
+    history.replaceState(null, '', window.location.pathname);
+    if (!pending || params.get('state') !== pending.state) return null;
+    if (params.has('error')) return { ...pending, error: params.get('error_description') || params.get('error') };
+    return { provider: pending.provider, credential: params.get('id_token'), nonce: pending.nonce, mode: pending.mode };
+  },
+
+  /** Complete a 2FA login with an authenticator code or a recovery code */
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    try {
+      const data = await API.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+      this._store(data);
+      this.setInviteCode(null);
+      return { ok: true, linkError: data.linkError };
+    } catch (e) {
+      return { ok: false, error: e.message };
+    }
+  },
+
+  /**
+   * Exchange the refresh token for a new token pair. Concurrent callers share
+   * one request, since the server rotates the refresh token on every use.
+   * Resolves to false when the session has ended.
+   */
+  refresh() {
+    const refreshToken = sessionStorage.getItem(this.REFRESH_KEY);
+    if (!refreshToken) return Promise.resolve(false);
+    if (!this._refreshing) {
+      this._refreshing = API.post('/auth/refresh', { refreshToken })
+        .then(data => { this._store(data); return true; })
+        .catch(() => { this._clear(); return false; })
+        .finally(() => { this._refreshing = null; });
+    }
+    return this._refreshing;
+  },
+
+  /** End the session on the server (or every session when `everywhere`) and return to login */
+  async logout(everywhere = false) {
+    // The refresh token ends this session even once the access token has expired
+    const refreshToken = sessionStorage.getItem(this.REFRESH_KEY);
+    const body = !everywhere && refreshToken ? { refreshToken } : undefined;
+    await API.post(everywhere ? '/auth/logout-all' : '/auth/logout', body).catch(() => {});
+    this._clear();
     window.location.href = 'login.html';
   },
 
@@ -0,0 +1,326 @@
+'use strict';
+
+/**
+ * Declarative schemas for the JSON documents the API stores: profiles,
+ * workouts, weights, calorie entries and plans, and for custom exercises.
+ *
+ * A schema is a plain object built with the helpers below. validate() walks a
+ * value against it and returns { value } with the coerced result, or { errors }
+ * listing every problem as { field, message }, e.g.
+ *   { field: 'exercises[0].sets[1].rpe', message: 'exercises[0].sets[1].rpe must be from 1 to 10 in steps of 0.5.' }
+ *
+ * Coercion: numeric strings become numbers, 'true' / 'false' become booleans,
+ * strings are trimmed, and '', null and missing all mean "not given" (a field
+ * is then required unless it is optional or has a default). Objects drop
+ * fields they do not declare, or reject them when validated with
+ * { unknown: 'reject' } or declared with that option.
+ *
+ * Field options: optional, default, prepare(value) to reshape the raw value
+ * first, check(value) returning a message to fail early, and hint to replace
+ * the generated "must be …" text. Numbers marked `mass` are body or bar
+ * weights given in the user's unit ({ units: 'lb' } when validating); they are
+ * converted to kg, the unit their bounds are written in. Objects may take
+ * finish(value) to tidy the result.
+ */
+
+const { UNITS, toKg, fromKg } = require('./units');
+const { ONE_REP_MAX_FORMULAS } = require('./strength');
+
+const string  = (opts = {}) => ({ type: 'string', ...opts });
+const number  = (opts = {}) => ({ type: 'number', ...opts });
+const integer = (opts = {}) => ({ type: 'number', integer: true, ...opts });
+const boolean = (opts = {}) => ({ type: 'boolean', ...opts });
+const date    = (opts = {}) => ({ type: 'date', ...opts });
+const array   = (items, opts = {}) => ({ type: 'array', items, ...opts });
+const object  = (fields, opts = {}) => ({ type: 'object', fields, ...opts });
+
+// Same object with every field optional and without defaults, for PATCH-style bodies
+function partial(schema) {
+  const fields = {};
+  for (const [key, spec] of Object.entries(schema.fields)) {
+    const { default: _, ...rest } = spec;
+    fields[key] = { ...rest, optional: true };
+  }
+  return { ...schema, fields };
+}
+
+const NUMERIC = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+function coerce(spec, value) {
+  switch (spec.type) {
+    case 'number':
+      return typeof value === 'string' && NUMERIC.test(value.trim()) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    case 'string':
+    case 'date':
+      if (typeof value === 'number' && Number.isFinite(value)) value = String(value);
+      return typeof value === 'string' && spec.trim !== false ? value.trim() : value;
+    default:
+      return value;
+  }
+}
+
+function numberHint({ integer: whole, min, max, greaterThan }) {
+  const kind = whole ? 'a whole number' : 'a number';
+  if (greaterThan !== undefined) return max !== undefined ? `${kind} above ${greaterThan} and at most ${max}` : `${kind} above ${greaterThan}`;
+  if (min !== undefined && max !== undefined) return `${kind} from ${min} to ${max}`;
+  if (min !== undefined) return `${kind} of at least ${min}`;
+  if (max !== undefined) return `${kind} of at most ${max}`;
+  return kind;
+}
+
+function isValidDate(v) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v)) return false;
+  const d = new Date(v + 'T00:00:00Z');
+  return !isNaN(d) && d.toISOString().slice(0, 10) === v;
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Returns the coerced value, or undefined for "not given". Problems are
+// pushed onto ctx.errors.
+function walk(spec, raw, path, ctx) {
+  const name = path || 'Request body';
+  const fail = message => { ctx.errors.push({ field: path, message: `${name} ${message}` }); };
+
+  let value = raw;
+  if (spec.check && value !== undefined && value !== null) {
+    const message = spec.check(value);
+    if (message) return fail(message);
+  }
+  if (spec.prepare) value = spec.prepare(value);
+  value = coerce(spec, value);
+  if (value === undefined || value === null || value === '') {
+    if ('default' in spec) return spec.default;
+    if (!spec.optional) fail('is required.');
+    return undefined;
+  }
+  const mustBe = hint => fail(`must be ${spec.hint || hint}.`);
+
+  switch (spec.type) {
+    case 'string':
+    case 'date':
+      if (typeof value !== 'string') return mustBe('text');
+      if (spec.type === 'date' && !isValidDate(value)) return mustBe('a valid date in YYYY-MM-DD format');
+      if (spec.max !== undefined && value.length > spec.max) return fail(`must be at most ${spec.max} characters.`);
+      if (spec.pattern && !spec.pattern.test(value)) return mustBe('in the expected format');
+      if (spec.enum && !spec.enum.includes(value)) return mustBe(`one of: ${spec.enum.join(', ')}`);
+      return spec.transform ? spec.transform(value) : value;
+
+    case 'number': {
+      const lb = spec.mass && ctx.units === 'lb';
+      if (lb && typeof value === 'number') value = toKg(value, 'lb');
+      const ok = typeof value === 'number' && Number.isFinite(value)
+        && (!spec.integer || Number.isInteger(value))
+        && (spec.min === undefined || value >= spec.min)
+        && (spec.max === undefined || value <= spec.max)
+        && (spec.greaterThan === undefined || value > spec.greaterThan)
+        && (spec.step === undefined || Number.isInteger(value / spec.step));
+      if (ok) return value;
+      return mustBe(numberHint(lb ? { ...spec, min: fromKg(spec.min, 'lb'), max: fromKg(spec.max, 'lb'), greaterThan: fromKg(spec.greaterThan, 'lb') } : spec));
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : mustBe('true or false');
+
+    case 'array': {
+      if (!Array.isArray(value)) return mustBe('a list');
+      const noun = spec.noun || 'items';
+      if (spec.max !== undefined && value.length > spec.max) return fail(`has more than ${spec.max} ${noun}.`);
+      if (spec.min !== undefined && value.length < spec.min) return fail(`must have at least ${spec.min} ${spec.min === 1 ? noun.replace(/s$/, '') : noun}.`);
+      return value.map((item, i) => walk(spec.items, item, `${path}[${i}]`, ctx));
+    }
+
+    case 'object': {
+      if (!isPlainObject(value)) return mustBe('an object');
+      const out = {};
+      for (const [key, field] of Object.entries(spec.fields)) {
+        const v = walk(field, value[key], path ? `${path}.${key}` : key, ctx);
+        if (v !== undefined) out[key] = v;
+      }
+      if ((spec.unknown || ctx.unknown) === 'reject') {
+        for (const key of Object.keys(value)) {
+          if (!(key in spec.fields)) {
+            const field = path ? `${path}.${key}` : key;
+            ctx.errors.push({ field, message: `${field} is not an allowed field.` });
+          }
+        }
+      }
+      return spec.finish ? spec.finish(out) : out;
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${spec.type}`);
+  }
+}
+
+function validate(schema, value, { unknown = 'strip', units = 'kg' } = {}) {
+  const ctx = { errors: [], unknown, units };
+  const result = walk(schema, value, '', ctx);
+  return ctx.errors.length ? { errors: ctx.errors } : { value: result };
+}
+
+// ── Resource schemas ──────────────────────────────────────────────────────────
+
+// A logged exercise is { name, notes, sets: [set, …] } where each set is
+// { reps, weightKg, rpe, rir, tempo, type, completed }. Only reps and weightKg
+// are commonly filled in; the rest default to null, 'working' and true.
+// The older flat shape { name, sets: 3, reps: 10, weightKg: 60 } is still
+// accepted and expanded into that many identical working sets.
+const SET_TYPES = ['warmup', 'working', 'drop', 'failure'];
+const MAX_SETS_PER_EXERCISE = 50;
+
+function flatExerciseToSets(exercise) {
+  const reps     = parseInt(exercise.reps, 10);
+  const weightKg = parseFloat(exercise.weightKg);
+  let count = parseInt(exercise.sets, 10);
+  if (!Number.isFinite(count) || count < 1) count = Number.isFinite(reps) || weightKg > 0 ? 1 : 0;
+  count = Math.min(count, MAX_SETS_PER_EXERCISE);
+  const set = {
+    reps: Number.isFinite(reps) ? reps : null,
+    weightKg: Number.isFinite(weightKg) ? weightKg : null,
+    rpe: null, rir: null, tempo: null, type: 'working', completed: true,
+  };
+  if (exercise.weight !== undefined) set.weight = exercise.weight;
+  return Array.from({ length: count }, () => ({ ...set }));
+}
+
+// Lifts can be given as `weight` in the user's unit instead of `weightKg`
+function useWeightField(value) {
+  const { weight, ...rest } = value;
+  if (weight !== undefined) rest.weightKg = weight;
+  return rest;
+}
+
+const workoutSet = object({
+  reps:      integer({ min: 0, max: 1000, default: null }),
+  weightKg:  number({ min: 0, max: 1000, default: null }),
+  weight:    number({ min: 0, max: 1000, mass: true, optional: true }),
+  rpe:       number({ min: 1, max: 10, step: 0.5, default: null, hint: 'from 1 to 10 in steps of 0.5' }),
+  rir:       integer({ min: 0, max: 10, default: null }),
+  tempo:     string({ pattern: /^[0-9X](-?[0-9X]){3}$/i, default: null, transform: s => s.toUpperCase(),
+                      hint: 'four digits such as 3-1-1-0 (X for explosive)' }),
+  type:      string({ enum: SET_TYPES, default: 'working' }),
+  completed: boolean({ default: true }),
+}, { finish: useWeightField });
+
+const workoutExercise = object({
+  name:  string({ max: 100 }),
+  notes: string({ max: 1000, optional: true }),
+  sets:  array(workoutSet, { max: MAX_SETS_PER_EXERCISE, noun: 'sets' }),
+}, {
+  check: e => (isPlainObject(e) && !Array.isArray(e.sets) && parseInt(e.sets, 10) > MAX_SETS_PER_EXERCISE
+    ? `has more than ${MAX_SETS_PER_EXERCISE} sets.` : null),
+  prepare: e => {
+    if (!isPlainObject(e) || Array.isArray(e.sets)) return e;
+    const { reps, weightKg, weight, ...rest } = e;
+    return { ...rest, sets: flatExerciseToSets(e) };
+  },
+});
+
+const workoutFields = {
+  id:        string({ pattern: /^[\w-]{1,64}$/, optional: true, hint: '1–64 letters, numbers, dashes or underscores' }),
+  date:      date(),
+  notes:     string({ max: 2000, optional: true }),
+  exercises: array(workoutExercise, { max: 100, noun: 'exercises' }),
+};
+
+const workout = object(workoutFields);
+
+// Edits may echo back ids that predate the id format; the route checks the
+// id against the stored workout instead. updatedAt is echoed back from a GET
+// and ignored; the column is authoritative.
+const workoutUpdate = object({
+  ...workoutFields,
+  id:        string({ max: 200, optional: true }),
+  updatedAt: string({ optional: true }),
+});
+
+const weight = object({
+  date:   date(),
+  weight: number({ greaterThan: 0, max: 1000, mass: true }),
+  goal:   number({ greaterThan: 0, max: 1000, mass: true, optional: true }),
+  notes:  string({ max: 500, optional: true }),
+});
+
+const nutrient = () => number({ min: 0, max: 100000, optional: true });
+
+const calorie = object({
+  date:     date(),
+  meal:     string({ max: 50, optional: true }),
+  food:     string({ max: 200 }),
+  qty:      number({ greaterThan: 0, max: 100, optional: true }),
+  calories: number({ min: 0, max: 100000 }),
+  protein:  nutrient(),
+  carbs:    nutrient(),
+  fat:      nutrient(),
+});
+
+// PUT /api/calories/:id gives nutrition per serving; totals are recalculated
+const calorieUpdate = object({
+  date:       date({ optional: true }),
+  meal:       string({ max: 50, optional: true }),
+  food:       string({ max: 200, optional: true }),
+  qty:        number({ greaterThan: 0, max: 100, optional: true }),
+  perServing: object({ calories: nutrient(), protein: nutrient(), carbs: nutrient(), fat: nutrient() }, { optional: true }),
+});
+
+const profile = object({
+  firstName:        string({ max: 100, optional: true }),
+  lastName:         string({ max: 100, optional: true }),
+  email:            string({ max: 254, pattern: /^[^\s@]+@[^\s@]+$/, optional: true, hint: 'an email address' }),
+  age:              integer({ min: 1, max: 120, optional: true }),
+  goal:             string({ max: 50, optional: true }),
+  dailyCalorieGoal: number({ greaterThan: 0, max: 20000, optional: true }),
+  units:            string({ enum: UNITS, optional: true }),
+  // How logged sets are turned into estimated 1RMs (see strength.js), and
+  // whether a new best estimate updates the exercise's 1RM
+  oneRepMaxFormula: string({ enum: ONE_REP_MAX_FORMULAS, optional: true }),
+  autoOneRepMax:    boolean({ optional: true }),
+});
+
+// Plans prescribe flat sets × reps rather than individual sets
+const planExercise = object({
+  name:     string({ max: 100 }),
+  sets:     integer({ min: 1, max: MAX_SETS_PER_EXERCISE, optional: true }),
+  reps:     integer({ min: 0, max: 1000, optional: true }),
+  weightKg: number({ min: 0, max: 1000, optional: true }),
+  weight:   number({ min: 0, max: 1000, mass: true, optional: true }),
+  notes:    string({ max: 1000, optional: true }),
+}, { finish: useWeightField });
+
+const planFields = {
+  name:        string({ max: 100 }),
+  description: string({ max: 2000, optional: true }),
+  exercises:   array(planExercise, { max: 100, noun: 'exercises' }),
+};
+
+const plan = object(planFields);
+const savedPlan = object({ ...planFields, exercises: array(planExercise, { min: 1, max: 100, noun: 'exercises' }) });
+
+// Catalogue exercises. Built-ins are seeded by migration; users add their own,
+// and trainers may share theirs with their athletes. `other` is for custom
+// exercises that fit no group; the generator never picks those.
+const MUSCLE_GROUPS     = ['chest', 'shoulders', 'triceps', 'back', 'biceps', 'legs', 'calves', 'core', 'fullbody', 'other'];
+const EQUIPMENT         = ['barbell', 'dumbbell', 'kettlebell', 'machine', 'cable', 'bodyweight', 'band', 'other'];
+const MOVEMENT_PATTERNS = ['squat', 'lunge', 'hinge', 'push', 'pull', 'carry', 'core', 'olympic', 'isolation'];
+
+const exercise = object({
+  name:             string({ max: 100 }),
+  primaryMuscle:    string({ enum: MUSCLE_GROUPS, default: 'other' }),
+  secondaryMuscles: array(string({ enum: MUSCLE_GROUPS }), { max: MUSCLE_GROUPS.length, noun: 'muscles', default: [] }),
+  equipment:        string({ enum: EQUIPMENT, default: null }),
+  movementPattern:  string({ enum: MOVEMENT_PATTERNS, default: null }),
+  unilateral:       boolean({ default: false }),
+  shared:           boolean({ default: false }),
+});
+
+const schemas = { workout, workoutUpdate, weight, calorie, calorieUpdate, profile, plan, savedPlan, exercise };
+
+module.exports = {
+  string, number, integer, boolean, date, array, object, partial, validate,
+  schemas, SET_TYPES, MAX_SETS_PER_EXERCISE, MUSCLE_GROUPS, EQUIPMENT, MOVEMENT_PATTERNS, flatExerciseToSets,
+};
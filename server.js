@@ -8,6 +8,14 @@ const bcrypt      = require('bcryptjs');
 const path        = require('path');
 const crypto      = require('crypto');
 const fs          = require('fs');
+const { migrate } = require('./migrate');
+const { validate, partial, schemas, flatExerciseToSets, MUSCLE_GROUPS } = require('./schemas');
+const { createExerciseMatcher } = require('./exercises');
+const { G_PER_OZ, toKg, fromKg, roundToPlates } = require('./units');
+const { ONE_REP_MAX_FORMULAS, DEFAULT_ONE_REP_MAX_FORMULA, setEstimate, recordsBoard } = require('./strength');
+const {
+  ANALYTICS_GRANULARITIES, TDEE_GOAL_ADJUSTMENTS, periodStart, periodStarts, muscleVolume, weightTrend, estimateTdee, calorieTarget,
+} = require('./analytics');
 
 // ── Configuration ──────────────────────────────────────────────────────────────
 const PORT          = parseInt(process.env.PORT || '3000', 10);
@@ -26,6 +34,70 @@ function loadOrCreateSecret() {
 const JWT_SECRET = loadOrCreateSecret();
 const BCRYPT_ROUNDS = 10;
 const VALID_ROLES   = ['admin', 'user', 'trainer'];
+const ACCESS_TOKEN_TTL   = '15m';
+const REFRESH_TOKEN_DAYS = 30;
+const AUTH_RATE_LIMIT    = parseInt(process.env.AUTH_RATE_LIMIT || '20', 10);
+const API_RATE_LIMIT     = parseInt(process.env.API_RATE_LIMIT || '300', 10);
+const RESET_CODE_TTL_MINUTES = 60;
+const MFA_CHALLENGE_TTL      = '5m';
+const IDENTITY_LINK_TTL      = '10m';
+const MFA_ISSUER             = 'GetUs.Fit';
+const RECOVERY_CODE_COUNT    = 10;
+const LOCKOUT_THRESHOLD      = 5;  // failed logins before the first lockout
+const LOCKOUT_BASE_MINUTES   = 1;  // first lockout; doubles with each further failure
+const LOCKOUT_MAX_MINUTES    = 60;
+const LOCKOUT_RESET_HOURS    = 24; // failures older than this are forgotten
+const MAIL_TRANSPORT  = process.env.MAIL_TRANSPORT || '';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(DATA_DIR, 'outbox');
+const API_TOKEN_PREFIX    = 'gfp_';
+const API_TOKEN_LIMIT     = 25;        // per user
+const INVITE_MAX_USES     = 1000;
+const INVITE_MAX_DAYS     = 90;
+const JWKS_CACHE_SECONDS  = 3600;      // when the JWKS response sets no max-age
+const JWKS_MIN_REFETCH_MS = 60 * 1000; // unknown key ids refetch at most this often
+const JSON_BODY_LIMIT     = process.env.JSON_BODY_LIMIT || '100kb';
+// Fields a request body does not declare are dropped, or rejected with a 400
+// when UNKNOWN_BODY_FIELDS=reject
+const UNKNOWN_BODY_FIELDS = process.env.UNKNOWN_BODY_FIELDS === 'reject' ? 'reject' : 'strip';
+// Deleted records stay in the trash this long before they are purged
+const TRASH_RETENTION_DAYS  = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// OpenID Connect sign-in providers. Google is registered when GOOGLE_CLIENT_ID
+// is set; others are listed in OIDC_PROVIDERS (e.g. "club") and configured with
+// OIDC_<ID>_ISSUER, OIDC_<ID>_CLIENT_ID and OIDC_<ID>_JWKS_URL, plus optional
+// OIDC_<ID>_NAME and OIDC_<ID>_AUTH_URL (authorization endpoint for the
+// browser redirect). Incomplete configuration stops the server at startup.
+function loadOidcProviders(env) {
+  const providers = new Map();
+  if (env.GOOGLE_CLIENT_ID) {
+    providers.set('google', {
+      id: 'google',
+      name: 'Google',
+      issuers: ['https://accounts.google.com', 'accounts.google.com'],
+      clientId: env.GOOGLE_CLIENT_ID,
+      jwksUrl: 'https://www.googleapis.com/oauth2/v3/certs',
+      authUrl: null,
+    });
+  }
+  const ids = (env.OIDC_PROVIDERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  for (const id of ids) {
+    if (!/^[a-z0-9_]{1,30}$/.test(id)) throw new Error(`OIDC_PROVIDERS: invalid provider id "${id}"`);
+    const prefix  = `OIDC_${id.toUpperCase()}_`;
+    const missing = ['ISSUER', 'CLIENT_ID', 'JWKS_URL'].map(k => prefix + k).filter(k => !env[k]);
+    if (missing.length) throw new Error(`OIDC provider "${id}" is missing ${missing.join(', ')}`);
+    providers.set(id, {
+      id,
+      name: env[prefix + 'NAME'] || id,
+      issuers: [env[prefix + 'ISSUER']],
+      clientId: env[prefix + 'CLIENT_ID'],
+      jwksUrl: env[prefix + 'JWKS_URL'],
+      authUrl: env[prefix + 'AUTH_URL'] || null,
+    });
+  }
+  return providers;
+}
+const OIDC_PROVIDERS = loadOidcProviders(process.env);
 
 // ── Database setup ─────────────────────────────────────────────────────────────
 console.log(`[GetUs.Fit] Database: ${DB_PATH}`);
@@ -34,121 +106,65 @@ const db = new Database(DB_PATH);
 db.pragma('journal_mode = WAL');
 db.pragma('foreign_keys = ON');
 
-db.exec(`
-  CREATE TABLE IF NOT EXISTS users (
-    id            INTEGER PRIMARY KEY AUTOINCREMENT,
-    username      TEXT    UNIQUE NOT NULL COLLATE NOCASE,
-    password_hash TEXT    NOT NULL,
-    role          TEXT    NOT NULL DEFAULT 'user'
-  );
-
-  CREATE TABLE IF NOT EXISTS profiles (
-    user_id  INTEGER PRIMARY KEY,
-    data     TEXT    NOT NULL,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS workouts (
-    id       TEXT    PRIMARY KEY,
-    user_id  INTEGER NOT NULL,
-    date     TEXT    NOT NULL,
-    data     TEXT    NOT NULL,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS weights (
-    user_id  INTEGER NOT NULL,
-    date     TEXT    NOT NULL,
-    data     TEXT    NOT NULL,
-    PRIMARY KEY (user_id, date),
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS calories (
-    id       INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id  INTEGER NOT NULL,
-    date     TEXT    NOT NULL,
-    data     TEXT    NOT NULL,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS trainer_assignments (
-    trainer_id INTEGER NOT NULL,
-    user_id    INTEGER NOT NULL,
-    PRIMARY KEY (trainer_id, user_id),
-    FOREIGN KEY (trainer_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (user_id)    REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS plans (
-    id         TEXT    PRIMARY KEY,
-    trainer_id INTEGER NOT NULL,
-    name       TEXT    NOT NULL,
-    data       TEXT    NOT NULL,
-    FOREIGN KEY (trainer_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS plan_assignments (
-    plan_id  TEXT    NOT NULL,
-    user_id  INTEGER NOT NULL,
-    PRIMARY KEY (plan_id, user_id),
-    FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-
-  CREATE TABLE IF NOT EXISTS scheduled_workouts (
-    id       TEXT    PRIMARY KEY,
-    user_id  INTEGER NOT NULL,
-    date     TEXT    NOT NULL,
-    plan_id  TEXT,
-    title    TEXT    NOT NULL,
-    notes    TEXT    NOT NULL DEFAULT '',
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE SET NULL
-  );
-
-  CREATE TABLE IF NOT EXISTS one_rep_maxes (
-    user_id    INTEGER NOT NULL,
-    exercise   TEXT    NOT NULL COLLATE NOCASE,
-    weight_kg  REAL    NOT NULL,
-    updated_at TEXT    NOT NULL,
-    PRIMARY KEY (user_id, exercise),
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
-  );
-`);
-
-// Migration: add role column to databases created before this feature
-try { db.exec("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user'"); } catch {}
-
-// Migration: add google_id column for social sign-in
-try { db.exec('ALTER TABLE users ADD COLUMN google_id TEXT'); } catch {}
-try { db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_google_id ON users(google_id) WHERE google_id IS NOT NULL'); } catch {}
+// Apply pending schema migrations (see migrate.js). A failure throws here and
+// the server does not start.
+migrate(db);
 
 // ── Prepared statements ─────────────────────────────────────────────────────────
 const stmts = {
   findUser:            db.prepare('SELECT * FROM users WHERE username = ?'),
-  findUserByGoogleId:  db.prepare('SELECT * FROM users WHERE google_id = ?'),
+  findUserByIdentity:  db.prepare('SELECT u.* FROM users u JOIN user_identities i ON i.user_id = u.id WHERE i.provider = ? AND i.subject = ?'),
   insertUser:          db.prepare('INSERT INTO users (username, password_hash) VALUES (?, ?)'),
   insertUserWithRole:  db.prepare('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)'),
-  insertGoogleUser:    db.prepare("INSERT INTO users (username, password_hash, google_id) VALUES (?, '!', ?)"),
+  insertIdentity:      db.prepare('INSERT INTO user_identities (user_id, provider, subject, email, created_at) VALUES (?, ?, ?, ?, ?)'),
+  getUserIdentity:     db.prepare('SELECT * FROM user_identities WHERE user_id = ? AND provider = ?'),
+  listUserIdentities:  db.prepare('SELECT provider, email, created_at FROM user_identities WHERE user_id = ? ORDER BY provider'),
+  deleteUserIdentity:  db.prepare('DELETE FROM user_identities WHERE user_id = ? AND provider = ?'),
+  findUsersByProfileEmail: db.prepare("SELECT u.* FROM users u JOIN profiles p ON p.user_id = u.id WHERE lower(json_extract(p.data, '$.email')) = lower(?)"),
   getProfile:     db.prepare('SELECT data FROM profiles WHERE user_id = ?'),
   upsertProfile:  db.prepare('INSERT INTO profiles (user_id, data) VALUES (?, ?) ON CONFLICT(user_id) DO UPDATE SET data = excluded.data'),
-  getWorkouts:    db.prepare('SELECT id, data FROM workouts WHERE user_id = ? ORDER BY date DESC'),
-  insertWorkout:  db.prepare('INSERT INTO workouts (id, user_id, date, data) VALUES (?, ?, ?, ?)'),
-  deleteWorkout:  db.prepare('DELETE FROM workouts WHERE id = ? AND user_id = ?'),
-  getWeights:     db.prepare('SELECT data FROM weights WHERE user_id = ? ORDER BY date'),
-  upsertWeight:   db.prepare('INSERT INTO weights (user_id, date, data) VALUES (?, ?, ?) ON CONFLICT(user_id, date) DO UPDATE SET data = excluded.data'),
-  deleteWeight:   db.prepare('DELETE FROM weights WHERE user_id = ? AND date = ?'),
-  getCalories:    db.prepare('SELECT id, data FROM calories WHERE user_id = ? ORDER BY date, id'),
+  // Workouts, weights, calories, scheduled workouts and plans with a
+  // `deleted_at` are in the trash and left out of everything but the trash
+  getWorkouts:    db.prepare('SELECT id, data, updated_at FROM workouts WHERE user_id = ? AND deleted_at IS NULL ORDER BY date DESC'),
+  getWorkoutById: db.prepare('SELECT id, user_id, data, updated_at, deleted_at FROM workouts WHERE id = ?'),
+  insertWorkout:  db.prepare('INSERT INTO workouts (id, user_id, date, data, updated_at) VALUES (?, ?, ?, ?, ?)'),
+  updateWorkout:  db.prepare('UPDATE workouts SET date = ?, data = ?, updated_at = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL'),
+  trashWorkout:   db.prepare('UPDATE workouts SET deleted_at = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL'),
+  getWeights:     db.prepare('SELECT data FROM weights WHERE user_id = ? AND deleted_at IS NULL ORDER BY date'),
+  // A new entry for a day replaces one of that day in the trash
+  upsertWeight:   db.prepare('INSERT INTO weights (user_id, date, data) VALUES (?, ?, ?) ON CONFLICT(user_id, date) DO UPDATE SET data = excluded.data, deleted_at = NULL'),
+  trashWeight:    db.prepare('UPDATE weights SET deleted_at = ? WHERE user_id = ? AND date = ? AND deleted_at IS NULL'),
+  getWeight:      db.prepare('SELECT data FROM weights WHERE user_id = ? AND date = ? AND deleted_at IS NULL'),
+  updateWeight:   db.prepare('UPDATE weights SET date = ?, data = ? WHERE user_id = ? AND date = ? AND deleted_at IS NULL'),
+  purgeTrashedWeight: db.prepare('DELETE FROM weights WHERE user_id = ? AND date = ? AND deleted_at IS NOT NULL'),
+  getCalories:    db.prepare('SELECT id, data FROM calories WHERE user_id = ? AND deleted_at IS NULL ORDER BY date, id'),
   insertCalorie:  db.prepare('INSERT INTO calories (user_id, date, data) VALUES (?, ?, ?)'),
-  deleteCalorie:  db.prepare('DELETE FROM calories WHERE id = ? AND user_id = ?'),
+  trashCalorie:   db.prepare('UPDATE calories SET deleted_at = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL'),
+  getCalorieById: db.prepare('SELECT id, user_id, data FROM calories WHERE id = ? AND deleted_at IS NULL'),
+  updateCalorie:  db.prepare('UPDATE calories SET date = ?, data = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL'),
   deleteUserData:      db.prepare('DELETE FROM profiles WHERE user_id = ?'),
-  deleteUserWorkouts:  db.prepare('DELETE FROM workouts WHERE user_id = ?'),
-  deleteUserWeights:   db.prepare('DELETE FROM weights WHERE user_id = ?'),
-  deleteUserCalories:  db.prepare('DELETE FROM calories WHERE user_id = ?'),
+  trashUserWorkouts:   db.prepare('UPDATE workouts SET deleted_at = ? WHERE user_id = ? AND deleted_at IS NULL'),
+  trashUserWeights:    db.prepare('UPDATE weights SET deleted_at = ? WHERE user_id = ? AND deleted_at IS NULL'),
+  trashUserCalories:   db.prepare('UPDATE calories SET deleted_at = ? WHERE user_id = ? AND deleted_at IS NULL'),
+  deleteUserOneRepMaxes: db.prepare('DELETE FROM one_rep_maxes WHERE user_id = ?'),
+  trashUserSchedule:     db.prepare('UPDATE scheduled_workouts SET deleted_at = ? WHERE user_id = ? AND deleted_at IS NULL'),
+  // Personal plans: authored by the user and not assigned to anyone else
+  trashUserPersonalPlans: db.prepare('UPDATE plans SET deleted_at = ? WHERE trainer_id = ? AND deleted_at IS NULL AND NOT EXISTS (SELECT 1 FROM plan_assignments pa WHERE pa.plan_id = plans.id AND pa.user_id != plans.trainer_id)'),
+  deleteUserPrivateExercises: db.prepare('DELETE FROM exercises WHERE owner_id = ? AND shared = 0'),
+  countAdmins:         db.prepare("SELECT COUNT(*) AS n FROM users WHERE role = 'admin'"),
+  // Data export
+  exportTrainers:      db.prepare('SELECT u.id, u.username FROM users u JOIN trainer_assignments ta ON ta.trainer_id = u.id WHERE ta.user_id = ? ORDER BY u.username COLLATE NOCASE'),
+  exportAuthoredPlans: db.prepare('SELECT data FROM plans WHERE trainer_id = ? AND deleted_at IS NULL ORDER BY rowid'),
+  exportSessions:      db.prepare('SELECT created_at, expires_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY created_at'),
+  exportAuditLog:      db.prepare('SELECT * FROM audit_log WHERE actor_id = @userId OR target_user_id = @userId ORDER BY id'),
   updateUserPassword:  db.prepare('UPDATE users SET password_hash = ? WHERE id = ?'),
   listUsers:        db.prepare('SELECT id, username, role FROM users ORDER BY username COLLATE NOCASE'),
-  getUserById:      db.prepare('SELECT id, username, role FROM users WHERE id = ?'),
+  listUsersWithAuth: db.prepare(`
+    SELECT id, username, role, password_hash != '!' AS has_password, totp_enabled,
+           (SELECT group_concat(provider) FROM user_identities WHERE user_id = users.id) AS providers
+    FROM users ORDER BY username COLLATE NOCASE
+  `),
+  getUserById:      db.prepare('SELECT id, username, role, totp_enabled FROM users WHERE id = ?'),
   updateUserRole:   db.prepare('UPDATE users SET role = ? WHERE id = ?'),
   updateUsername:   db.prepare('UPDATE users SET username = ? WHERE id = ?'),
   deleteUser:       db.prepare('DELETE FROM users WHERE id = ?'),
@@ -157,34 +173,176 @@ const stmts = {
   getAssignedUsers: db.prepare('SELECT u.id, u.username, u.role FROM users u JOIN trainer_assignments ta ON ta.user_id = u.id WHERE ta.trainer_id = ? ORDER BY u.username COLLATE NOCASE'),
   isAssigned:       db.prepare('SELECT 1 FROM trainer_assignments WHERE trainer_id = ? AND user_id = ?'),
   // Plans
-  getTrainerPlans:    db.prepare('SELECT id, data FROM plans WHERE trainer_id = ? ORDER BY rowid'),
+  getTrainerPlans:    db.prepare('SELECT id, data FROM plans WHERE trainer_id = ? AND deleted_at IS NULL ORDER BY rowid'),
   insertPlan:         db.prepare('INSERT INTO plans (id, trainer_id, name, data) VALUES (?, ?, ?, ?)'),
-  updatePlan:         db.prepare('UPDATE plans SET name = ?, data = ? WHERE id = ? AND trainer_id = ?'),
-  deletePlan:         db.prepare('DELETE FROM plans WHERE id = ? AND trainer_id = ?'),
-  getPlanById:        db.prepare('SELECT id, trainer_id, data FROM plans WHERE id = ?'),
+  updatePlan:         db.prepare('UPDATE plans SET name = ?, data = ? WHERE id = ? AND trainer_id = ? AND deleted_at IS NULL'),
+  trashPlan:          db.prepare('UPDATE plans SET deleted_at = ? WHERE id = ? AND trainer_id = ? AND deleted_at IS NULL'),
+  getPlanById:        db.prepare('SELECT id, trainer_id, name, data FROM plans WHERE id = ? AND deleted_at IS NULL'),
   assignPlan:         db.prepare('INSERT OR IGNORE INTO plan_assignments (plan_id, user_id) VALUES (?, ?)'),
   unassignPlan:       db.prepare('DELETE FROM plan_assignments WHERE plan_id = ? AND user_id = ?'),
   getPlanAssignments: db.prepare('SELECT u.id, u.username FROM users u JOIN plan_assignments pa ON pa.user_id = u.id WHERE pa.plan_id = ? ORDER BY u.username COLLATE NOCASE'),
-  getUserPlans:       db.prepare('SELECT p.id, p.data FROM plans p JOIN plan_assignments pa ON pa.plan_id = p.id WHERE pa.user_id = ? ORDER BY p.rowid'),
+  getUserPlans:       db.prepare('SELECT p.id, p.data FROM plans p JOIN plan_assignments pa ON pa.plan_id = p.id WHERE pa.user_id = ? AND p.deleted_at IS NULL ORDER BY p.rowid'),
   // Scheduled workouts
-  getSchedule:            db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE user_id = ? ORDER BY date'),
-  getScheduleForMonth:    db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE user_id = ? AND date >= ? AND date <= ? ORDER BY date'),
+  getSchedule:            db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE user_id = ? AND deleted_at IS NULL ORDER BY date'),
+  getScheduleForMonth:    db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE user_id = ? AND date >= ? AND date <= ? AND deleted_at IS NULL ORDER BY date'),
   insertSchedule:         db.prepare('INSERT INTO scheduled_workouts (id, user_id, date, plan_id, title, notes) VALUES (?, ?, ?, ?, ?, ?)'),
-  updateSchedule:         db.prepare('UPDATE scheduled_workouts SET date = ?, plan_id = ?, title = ?, notes = ? WHERE id = ? AND user_id = ?'),
-  deleteSchedule:         db.prepare('DELETE FROM scheduled_workouts WHERE id = ? AND user_id = ?'),
-  getScheduleById:        db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE id = ?'),
-  deleteScheduleTrainer:  db.prepare('DELETE FROM scheduled_workouts WHERE id = ?'),
+  updateSchedule:         db.prepare('UPDATE scheduled_workouts SET date = ?, plan_id = ?, title = ?, notes = ? WHERE id = ? AND user_id = ? AND deleted_at IS NULL'),
+  getScheduleById:        db.prepare('SELECT id, user_id, date, plan_id, title, notes FROM scheduled_workouts WHERE id = ? AND deleted_at IS NULL'),
+  trashSchedule:          db.prepare('UPDATE scheduled_workouts SET deleted_at = ? WHERE id = ? AND deleted_at IS NULL'),
   // One rep maxes
-  getOneRepMaxes:   db.prepare('SELECT exercise, weight_kg, updated_at FROM one_rep_maxes WHERE user_id = ? ORDER BY exercise COLLATE NOCASE'),
-  upsertOneRepMax:  db.prepare('INSERT INTO one_rep_maxes (user_id, exercise, weight_kg, updated_at) VALUES (?, ?, ?, ?) ON CONFLICT(user_id, exercise) DO UPDATE SET weight_kg = excluded.weight_kg, updated_at = excluded.updated_at'),
+  getOneRepMaxes:   db.prepare('SELECT exercise, exercise_id, weight_kg, updated_at, source FROM one_rep_maxes WHERE user_id = ? ORDER BY exercise COLLATE NOCASE'),
+  upsertOneRepMax:  db.prepare('INSERT INTO one_rep_maxes (user_id, exercise, exercise_id, weight_kg, updated_at, source) VALUES (?, ?, ?, ?, ?, ?) ON CONFLICT(user_id, exercise) DO UPDATE SET exercise_id = excluded.exercise_id, weight_kg = excluded.weight_kg, updated_at = excluded.updated_at, source = excluded.source'),
   deleteOneRepMax:  db.prepare('DELETE FROM one_rep_maxes WHERE user_id = ? AND exercise = ?'),
+  // Exercise catalogue: built-ins, the user's own, then those shared by their trainers
+  getVisibleExercises: db.prepare(`SELECT e.*, u.username AS owner_username FROM exercises e
+                                   LEFT JOIN users u ON u.id = e.owner_id
+                                   WHERE e.owner_id IS NULL OR e.owner_id = @userId
+                                      OR (e.shared = 1 AND e.owner_id IN (SELECT trainer_id FROM trainer_assignments WHERE user_id = @userId))
+                                   ORDER BY CASE WHEN e.owner_id = @userId THEN 0 WHEN e.owner_id IS NULL THEN 1 ELSE 2 END,
+                                            e.name COLLATE NOCASE`),
+  getExerciseById:     db.prepare('SELECT * FROM exercises WHERE id = ?'),
+  getOwnExercises:     db.prepare('SELECT * FROM exercises WHERE owner_id = ? ORDER BY name COLLATE NOCASE'),
+  insertExercise:      db.prepare(`INSERT INTO exercises (owner_id, name, primary_muscle, secondary_muscles, equipment, movement_pattern, unilateral, shared, created_at)
+                                   VALUES (@ownerId, @name, @primaryMuscle, @secondaryMuscles, @equipment, @movementPattern, @unilateral, @shared, @createdAt)`),
+  updateExercise:      db.prepare(`UPDATE exercises SET name = @name, primary_muscle = @primaryMuscle, secondary_muscles = @secondaryMuscles,
+                                   equipment = @equipment, movement_pattern = @movementPattern, unilateral = @unilateral, shared = @shared
+                                   WHERE id = @id AND owner_id = @ownerId`),
+  deleteExercise:      db.prepare('DELETE FROM exercises WHERE id = ? AND owner_id = ?'),
+  getExerciseAliases:  db.prepare('SELECT alias, exercise_id AS exerciseId FROM exercise_aliases'),
+  listExerciseAliases: db.prepare(`SELECT a.id, a.alias, a.exercise_id, e.name AS exercise_name, a.created_at FROM exercise_aliases a
+                                   JOIN exercises e ON e.id = a.exercise_id ORDER BY a.alias COLLATE NOCASE`),
+  insertExerciseAlias: db.prepare('INSERT INTO exercise_aliases (alias, exercise_id, created_at) VALUES (?, ?, ?)'),
+  getExerciseAlias:    db.prepare('SELECT id FROM exercise_aliases WHERE alias = ?'),
+  deleteExerciseAlias: db.prepare('DELETE FROM exercise_aliases WHERE id = ?'),
+  allOneRepMaxes:      db.prepare('SELECT user_id, exercise, exercise_id FROM one_rep_maxes ORDER BY user_id'),
+  setOneRepMaxExercise: db.prepare('UPDATE one_rep_maxes SET exercise_id = ? WHERE user_id = ? AND exercise = ?'),
+  setWorkoutData:      db.prepare('UPDATE workouts SET data = ? WHERE id = ?'),
+  // Sessions
+  insertSession:        db.prepare('INSERT INTO sessions (id, user_id, refresh_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)'),
+  getSession:           db.prepare('SELECT * FROM sessions WHERE id = ?'),
+  rotateSession:        db.prepare('UPDATE sessions SET refresh_hash = ? WHERE id = ?'),
+  revokeSession:        db.prepare('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL'),
+  revokeUserSessions:   db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL'),
+  purgeUserSessions:    db.prepare('DELETE FROM sessions WHERE user_id = ? AND (expires_at <= ? OR revoked_at IS NOT NULL)'),
+  revokeOtherSessions:  db.prepare('UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND id != ? AND revoked_at IS NULL'),
+  // Password resets
+  getUserRecord:        db.prepare('SELECT * FROM users WHERE id = ?'),
+  insertResetCode:      db.prepare('INSERT INTO password_resets (user_id, code_hash, created_at, expires_at, source) VALUES (?, ?, ?, ?, ?)'),
+  expireResetCodes:     db.prepare('UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL'),
+  expireEmailResetCodes: db.prepare("UPDATE password_resets SET used_at = ? WHERE user_id = ? AND used_at IS NULL AND source = 'email'"),
+  findResetCode:        db.prepare('SELECT * FROM password_resets WHERE user_id = ? AND code_hash = ? AND used_at IS NULL AND expires_at > ?'),
+  // Two-factor authentication
+  setTotpSecret:        db.prepare('UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = 0 WHERE id = ?'),
+  enableTotp:           db.prepare('UPDATE users SET totp_enabled = 1 WHERE id = ?'),
+  disableTotp:          db.prepare('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = 0 WHERE id = ?'),
+  setTotpLastStep:      db.prepare('UPDATE users SET totp_last_step = ? WHERE id = ?'),
+  insertRecoveryCode:   db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)'),
+  deleteRecoveryCodes:  db.prepare('DELETE FROM recovery_codes WHERE user_id = ?'),
+  findRecoveryCode:     db.prepare('SELECT id FROM recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL'),
+  useRecoveryCode:      db.prepare('UPDATE recovery_codes SET used_at = ? WHERE id = ?'),
+  countRecoveryCodes:   db.prepare('SELECT COUNT(*) AS n FROM recovery_codes WHERE user_id = ? AND used_at IS NULL'),
+  // Login throttling
+  getLoginFailures:     db.prepare('SELECT * FROM login_failures WHERE username = ?'),
+  upsertLoginFailures:  db.prepare('INSERT INTO login_failures (username, failures, last_failure_at, locked_until) VALUES (?, ?, ?, ?) ON CONFLICT(username) DO UPDATE SET failures = excluded.failures, last_failure_at = excluded.last_failure_at, locked_until = excluded.locked_until'),
+  clearLoginFailures:   db.prepare('DELETE FROM login_failures WHERE username = ?'),
+  listLoginFailures:    db.prepare('SELECT username, failures, last_failure_at, locked_until FROM login_failures ORDER BY last_failure_at DESC'),
+  // Settings
+  getSetting:           db.prepare('SELECT value FROM settings WHERE key = ?'),
+  setSetting:           db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value'),
+  // Personal access tokens
+  insertApiToken:       db.prepare('INSERT INTO api_tokens (user_id, name, token_hash, scopes, created_at) VALUES (?, ?, ?, ?, ?)'),
+  listApiTokens:        db.prepare('SELECT id, name, scopes, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC'),
+  countApiTokens:       db.prepare('SELECT COUNT(*) AS n FROM api_tokens WHERE user_id = ?'),
+  findApiToken:         db.prepare('SELECT t.id, t.scopes, u.id AS user_id, u.username, u.role FROM api_tokens t JOIN users u ON u.id = t.user_id WHERE t.token_hash = ?'),
+  touchApiToken:        db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?'),
+  deleteApiToken:       db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?'),
+  // Trainer invite codes
+  insertInvite:         db.prepare('INSERT INTO invite_codes (trainer_id, code, plan_ids, max_uses, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)'),
+  listInvites:          db.prepare('SELECT * FROM invite_codes WHERE trainer_id = ? ORDER BY created_at DESC, id DESC'),
+  findActiveInvite:     db.prepare("SELECT i.* FROM invite_codes i JOIN users u ON u.id = i.trainer_id WHERE i.code = ? AND i.revoked_at IS NULL AND i.expires_at > ? AND i.uses < i.max_uses AND u.role = 'trainer'"),
+  getInvite:            db.prepare('SELECT * FROM invite_codes WHERE id = ?'),
+  useInvite:            db.prepare('UPDATE invite_codes SET uses = uses + 1 WHERE id = ? AND revoked_at IS NULL AND expires_at > ? AND uses < max_uses'),
+  revokeInvite:         db.prepare('UPDATE invite_codes SET revoked_at = ? WHERE id = ? AND trainer_id = ? AND revoked_at IS NULL'),
+  // Audit log
+  insertAudit:          db.prepare('INSERT INTO audit_log (created_at, actor_id, actor_username, action, target_user_id, target_username, details, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)'),
+  searchAudit:          db.prepare(`SELECT * FROM audit_log
+                                    WHERE (@actorId IS NULL OR actor_id = @actorId)
+                                      AND (@targetUserId IS NULL OR target_user_id = @targetUserId)
+                                      AND (@userId IS NULL OR actor_id = @userId OR target_user_id = @userId)
+                                      AND (@action IS NULL OR action = @action OR action LIKE @action || '.%')
+                                      AND (@from IS NULL OR created_at >= @from)
+                                      AND (@to IS NULL OR created_at < @to)
+                                      AND (@before IS NULL OR id < @before)
+                                    ORDER BY id DESC LIMIT @limit`),
+  // History pages: ?from/?to filter, the cursor is the last row's sort key
+  pageWorkouts:         db.prepare(`SELECT id, date, data, updated_at FROM workouts
+                                    WHERE user_id = @userId AND deleted_at IS NULL
+                                      AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)
+                                      AND (@afterDate IS NULL OR date < @afterDate OR (date = @afterDate AND id < @afterId))
+                                    ORDER BY date DESC, id DESC LIMIT @limit`),
+  countWorkouts:        db.prepare(`SELECT COUNT(*) AS n FROM workouts
+                                    WHERE user_id = @userId AND deleted_at IS NULL AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)`),
+  pageWeights:          db.prepare(`SELECT date, data FROM weights
+                                    WHERE user_id = @userId AND deleted_at IS NULL
+                                      AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)
+                                      AND (@afterDate IS NULL OR date > @afterDate)
+                                    ORDER BY date LIMIT @limit`),
+  countWeights:         db.prepare(`SELECT COUNT(*) AS n FROM weights
+                                    WHERE user_id = @userId AND deleted_at IS NULL AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)`),
+  pageCalories:         db.prepare(`SELECT id, date, data FROM calories
+                                    WHERE user_id = @userId AND deleted_at IS NULL
+                                      AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)
+                                      AND (@afterDate IS NULL OR date > @afterDate OR (date = @afterDate AND id > @afterId))
+                                    ORDER BY date, id LIMIT @limit`),
+  countCalories:        db.prepare(`SELECT COUNT(*) AS n FROM calories
+                                    WHERE user_id = @userId AND deleted_at IS NULL AND (@from IS NULL OR date >= @from) AND (@to IS NULL OR date <= @to)`),
+  // Consistency check
+  allProfiles:          db.prepare('SELECT user_id, data FROM profiles ORDER BY user_id'),
+  allWorkouts:          db.prepare('SELECT id, user_id, data FROM workouts ORDER BY rowid'),
+  allWeights:           db.prepare('SELECT user_id, date, data FROM weights ORDER BY user_id, date'),
+  allCalories:          db.prepare('SELECT id, user_id, data FROM calories ORDER BY id'),
+  allPlans:             db.prepare('SELECT id, trainer_id AS user_id, data FROM plans ORDER BY rowid'),
   // Workout generator
-  getWorkoutsAfterDate: db.prepare('SELECT data FROM workouts WHERE user_id = ? AND date >= ? ORDER BY date DESC'),
+  getWorkoutsAfterDate: db.prepare('SELECT data FROM workouts WHERE user_id = ? AND date >= ? AND deleted_at IS NULL ORDER BY date DESC'),
+  // Personal records: the user's other workouts up to a date
+  getEarlierWorkouts:   db.prepare('SELECT data FROM workouts WHERE user_id = ? AND date <= ? AND id != ? AND deleted_at IS NULL'),
+  // Trash
+  trashedWorkouts:      db.prepare('SELECT id, date, data, updated_at, deleted_at FROM workouts WHERE user_id = ? AND deleted_at IS NOT NULL'),
+  trashedWeights:       db.prepare('SELECT date, data, deleted_at FROM weights WHERE user_id = ? AND deleted_at IS NOT NULL'),
+  trashedCalories:      db.prepare('SELECT id, date, data, deleted_at FROM calories WHERE user_id = ? AND deleted_at IS NOT NULL'),
+  trashedSchedule:      db.prepare('SELECT id, user_id, date, plan_id, title, notes, deleted_at FROM scheduled_workouts WHERE user_id = ? AND deleted_at IS NOT NULL'),
+  trashedPlans:         db.prepare('SELECT id, data, deleted_at FROM plans WHERE trainer_id = ? AND deleted_at IS NOT NULL'),
+  getTrashedSchedule:   db.prepare('SELECT id, user_id FROM scheduled_workouts WHERE id = ? AND deleted_at IS NOT NULL'),
+  restoreWorkout:       db.prepare('UPDATE workouts SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL'),
+  restoreWeight:        db.prepare('UPDATE weights SET deleted_at = NULL WHERE date = ? AND user_id = ? AND deleted_at IS NOT NULL'),
+  restoreCalorie:       db.prepare('UPDATE calories SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL'),
+  restoreSchedule:      db.prepare('UPDATE scheduled_workouts SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL'),
+  restorePlan:          db.prepare('UPDATE plans SET deleted_at = NULL WHERE id = ? AND trainer_id = ? AND deleted_at IS NOT NULL'),
+  // Restore everything in a user's trash, or only what was deleted at @deletedAt
+  restoreUserWorkouts:  db.prepare('UPDATE workouts SET deleted_at = NULL WHERE user_id = @userId AND deleted_at IS NOT NULL AND (@deletedAt IS NULL OR deleted_at = @deletedAt)'),
+  restoreUserWeights:   db.prepare('UPDATE weights SET deleted_at = NULL WHERE user_id = @userId AND deleted_at IS NOT NULL AND (@deletedAt IS NULL OR deleted_at = @deletedAt)'),
+  restoreUserCalories:  db.prepare('UPDATE calories SET deleted_at = NULL WHERE user_id = @userId AND deleted_at IS NOT NULL AND (@deletedAt IS NULL OR deleted_at = @deletedAt)'),
+  restoreUserSchedule:  db.prepare('UPDATE scheduled_workouts SET deleted_at = NULL WHERE user_id = @userId AND deleted_at IS NOT NULL AND (@deletedAt IS NULL OR deleted_at = @deletedAt)'),
+  restoreUserPlans:     db.prepare('UPDATE plans SET deleted_at = NULL WHERE trainer_id = @userId AND deleted_at IS NOT NULL AND (@deletedAt IS NULL OR deleted_at = @deletedAt)'),
+  purgeWorkouts:        db.prepare('DELETE FROM workouts WHERE deleted_at < ?'),
+  purgeWeights:         db.prepare('DELETE FROM weights WHERE deleted_at < ?'),
+  purgeCalories:        db.prepare('DELETE FROM calories WHERE deleted_at < ?'),
+  purgeSchedule:        db.prepare('DELETE FROM scheduled_workouts WHERE deleted_at < ?'),
+  purgePlans:           db.prepare('DELETE FROM plans WHERE deleted_at < ?'),
 };
 
 // ── Express app ─────────────────────────────────────────────────────────────────
 const app = express();
-app.use(express.json());
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+
+// Body-parser failures answer in JSON like every other API error
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body is larger than the ${JSON_BODY_LIMIT} limit.` });
+  }
+  if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'Request body is not valid JSON.' });
+  next(err);
+});
 
 // Trust exactly one reverse-proxy hop (nginx).  Without this, Express does not
 // inspect the X-Forwarded-For header, so req.ip resolves to the proxy's address
@@ -198,7 +356,7 @@ app.set('trust proxy', 1);
 // Strict limiter for authentication endpoints (prevents brute-force)
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 20,
+  max: AUTH_RATE_LIMIT,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests. Please try again later.' },
@@ -207,7 +365,7 @@ const authLimiter = rateLimit({
 // General limiter for all other API endpoints
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
-  max: 300,
+  max: API_RATE_LIMIT,
   standardHeaders: true,
   legacyHeaders: false,
   message: { error: 'Too many requests. Please try again later.' },
@@ -224,18 +382,99 @@ function requireAuth(req, res, next) {
   const header = req.headers['authorization'] || '';
   const token  = header.startsWith('Bearer ') ? header.slice(7) : null;
   if (!token) return res.status(401).json({ error: 'Authentication required.' });
+  if (token.startsWith(API_TOKEN_PREFIX)) return authenticateApiToken(token, req, res, next);
+  let payload;
   try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    next();
+    payload = jwt.verify(token, JWT_SECRET);
   } catch {
-    res.status(401).json({ error: 'Invalid or expired token.' });
+    return res.status(401).json({ error: 'Invalid or expired token.' });
+  }
+  // Access tokens are only honoured while their session is live, so logout and
+  // admin revocation take effect immediately instead of at token expiry.
+  const session = payload.sid ? stmts.getSession.get(payload.sid) : null;
+  if (!session || session.revoked_at || session.user_id !== payload.userId) {
+    return res.status(401).json({ error: 'Session has ended. Please log in again.' });
   }
+  req.user = payload;
+  next();
+}
+
+// ── Personal access tokens ──────────────────────────────────────────────────────
+// Long-lived tokens for scripts, created on the profile page. Only a SHA-256
+// hash is stored. A token may call only the routes listed here, and only when
+// it holds the scope the route needs; account, admin and trainer routes always
+// require an interactive session.
+const API_TOKEN_SCOPES = [
+  'profile:read', 'profile:write',
+  'workouts:read', 'workouts:write',
+  'weights:read', 'weights:write',
+  'calories:read', 'calories:write',
+  '1rm:read', '1rm:write',
+];
+
+const API_TOKEN_ROUTE_SCOPES = {
+  'GET /api/user/me':          'profile:read',
+  'GET /api/profile':          'profile:read',
+  'PUT /api/profile':          'profile:write',
+  'GET /api/workouts':         'workouts:read',
+  'POST /api/workouts':        'workouts:write',
+  'PUT /api/workouts/:id':     'workouts:write',
+  'PATCH /api/workouts/:id':   'workouts:write',
+  'DELETE /api/workouts/:id':  'workouts:write',
+  'GET /api/records':          'workouts:read',
+  'GET /api/analytics/volume': 'workouts:read',
+  'GET /api/weights':          'weights:read',
+  'GET /api/weights/trend':    'weights:read',
+  'POST /api/weights':         'weights:write',
+  'PUT /api/weights/:date':    'weights:write',
+  'DELETE /api/weights/:date': 'weights:write',
+  'GET /api/calories':         'calories:read',
+  'POST /api/calories':        'calories:write',
+  'PUT /api/calories/:id':     'calories:write',
+  'DELETE /api/calories/:id':  'calories:write',
+  'GET /api/food/search':      'calories:read',
+  'GET /api/nutrition/tdee':   'calories:read',
+  'GET /api/exercises':        'workouts:read',
+  'POST /api/exercises':       'workouts:write',
+  'PUT /api/exercises/:id':    'workouts:write',
+  'DELETE /api/exercises/:id': 'workouts:write',
+  'GET /api/1rm':              '1rm:read',
+  'PUT /api/1rm/:exercise':    '1rm:write',
+  'DELETE /api/1rm/:exercise': '1rm:write',
+};
+
+function authenticateApiToken(token, req, res, next) {
+  const row = stmts.findApiToken.get(hashToken(token));
+  if (!row) return res.status(401).json({ error: 'Invalid API token.' });
+  const scope = req.route && API_TOKEN_ROUTE_SCOPES[`${req.method} ${req.route.path}`];
+  if (!scope) return res.status(403).json({ error: 'This endpoint cannot be used with an API token.' });
+  if (!JSON.parse(row.scopes).includes(scope)) {
+    return res.status(403).json({ error: `API token is missing the ${scope} scope.` });
+  }
+  stmts.touchApiToken.run(new Date().toISOString(), row.id);
+  req.user = { userId: row.user_id, username: row.username, role: row.role, apiTokenId: row.id };
+  next();
 }
 
 // ── Role middleware ───────────────────────────────────────────────────────────
+// Admins can require 2FA for privileged roles. Until such a user enrols, the
+// role-gated routes refuse them; their own account routes keep working so
+// they can complete enrolment.
+const MFA_ENROLLMENT_ERROR = 'Two-factor authentication is required for your role. Enable it on your profile page.';
+
+function mfaRequiredRoles() {
+  const row = stmts.getSetting.get('require_2fa_roles');
+  return row ? JSON.parse(row.value) : [];
+}
+
+function mfaEnrollmentMissing(user) {
+  return !user.totp_enabled && mfaRequiredRoles().includes(user.role);
+}
+
 function requireAdmin(req, res, next) {
   const user = stmts.getUserById.get(req.user.userId);
   if (!user || user.role !== 'admin') return res.status(403).json({ error: 'Admin access required.' });
+  if (mfaEnrollmentMissing(user)) return res.status(403).json({ error: MFA_ENROLLMENT_ERROR });
   req.user.role = user.role;
   next();
 }
@@ -245,6 +484,7 @@ function requireTrainer(req, res, next) {
   if (!user || (user.role !== 'trainer' && user.role !== 'admin')) {
     return res.status(403).json({ error: 'Trainer access required.' });
   }
+  if (mfaEnrollmentMissing(user)) return res.status(403).json({ error: MFA_ENROLLMENT_ERROR });
   req.user.role = user.role;
   next();
 }
@@ -253,110 +493,932 @@ function trainerCanAccessUser(req, res, next) {
   const targetId = parseInt(req.params.id, 10);
   if (!Number.isFinite(targetId)) return res.status(400).json({ error: 'Invalid user id.' });
   req.targetUserId = targetId;
-  if (req.user.role === 'admin') return next();
-  if (!stmts.isAssigned.get(req.user.userId, targetId)) {
+  if (req.user.role !== 'admin' && !stmts.isAssigned.get(req.user.userId, targetId)) {
     return res.status(403).json({ error: 'User not assigned to you.' });
   }
+  if (req.method === 'GET') auditAthleteRead(req, targetId, req.route.path.split('/').pop());
   next();
 }
 
+// ── Request validation ────────────────────────────────────────────────────────
+// Stored documents are checked against the schemas in schemas.js. The body is
+// replaced by its coerced form (numbers as numbers, undeclared fields dropped)
+// or the request fails with a 400 listing each problem by field.
+function sendValidationErrors(res, errors) {
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+  return res.status(400).json({ error: errors[0].message + more, errors });
+}
+
+function validateBody(schema) {
+  return (req, res, next) => {
+    const units = userUnits(req.user.userId);
+    const { errors, value } = validate(schema, req.body, { unknown: UNKNOWN_BODY_FIELDS, units });
+    if (errors) return sendValidationErrors(res, errors);
+    req.body = value;
+    next();
+  };
+}
+
+// ── Units ─────────────────────────────────────────────────────────────────────
+// Body and bar weights are stored in kg. Responses give them in the requesting
+// user's unit (profile `units`, 'kg' by default): `weight` and `goal` on
+// weight entries, and `weight` next to the stored `weightKg` on sets, plan
+// exercises and 1RMs. Trainers see athletes' data in their own unit.
+function userUnits(userId) {
+  const row = stmts.getProfile.get(userId);
+  try {
+    return row && JSON.parse(row.data).units === 'lb' ? 'lb' : 'kg';
+  } catch (_) {
+    return 'kg';
+  }
+}
+
+function presentWeight(entry, units) {
+  const out = { ...entry };
+  for (const key of ['weight', 'goal']) {
+    if (out[key] !== undefined) out[key] = fromKg(out[key], units);
+  }
+  return out;
+}
+
+function presentLifts(exercises, units) {
+  if (!Array.isArray(exercises)) return exercises;
+  return exercises.map(e => {
+    if (!e || typeof e !== 'object') return e;
+    if (Array.isArray(e.sets)) {
+      return { ...e, sets: e.sets.map(set => ({ ...set, weight: fromKg(set.weightKg ?? null, units), e1rm: fromKg(set.e1rmKg, units) })) };
+    }
+    return { ...e, weight: fromKg(e.weightKg === '' ? null : e.weightKg ?? null, units) };
+  });
+}
+
+function presentPlan(plan, units) {
+  return { ...plan, exercises: presentLifts(plan.exercises, units) };
+}
+
+function presentOneRepMax(row, units) {
+  return { ...row, weight: fromKg(row.weight_kg, units) };
+}
+
+// ── History pages ───────────────────────────────────────────────────────────
+// Workout, weight and calorie lists accept ?from / ?to (YYYY-MM-DD, inclusive)
+// and ?limit (1 to 500; everything when left out). The body stays a plain
+// array. X-Total-Count gives the number of entries in the range, and when more
+// remain X-Next-Cursor holds the value to send as ?cursor for the next page.
+const HISTORY_PAGE_MAX = 500;
+
+const HISTORY_LISTS = {
+  workouts: { page: stmts.pageWorkouts, count: stmts.countWorkouts, key: row => [row.date, row.id] },
+  weights:  { page: stmts.pageWeights,  count: stmts.countWeights,  key: row => [row.date, null] },
+  calories: { page: stmts.pageCalories, count: stmts.countCalories, key: row => [row.date, row.id] },
+};
+
+const isIsoDate = v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v));
+
+function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Array.isArray(key) && key.length === 2 && isIsoDate(key[0])) return key;
+  } catch (_) { /* fall through */ }
+  return null;
+}
+
+// Sends one page of a user's history, each row shaped by `present`
+function sendHistoryPage(req, res, list, userId, present) {
+  const q = req.query;
+  for (const key of ['from', 'to']) {
+    if (q[key] && !isIsoDate(q[key])) return res.status(400).json({ error: `${key} must be in YYYY-MM-DD format.` });
+  }
+  const limit = q.limit === undefined ? null : Number(q.limit);
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_PAGE_MAX)) {
+    return res.status(400).json({ error: `limit must be a whole number from 1 to ${HISTORY_PAGE_MAX}.` });
+  }
+  const after = q.cursor ? decodeCursor(q.cursor) : [null, null];
+  if (!after) return res.status(400).json({ error: 'Invalid cursor parameter.' });
+
+  const range = { userId, from: q.from || null, to: q.to || null };
+  // One extra row tells whether another page follows; -1 means no limit
+  const rows = list.page.all({ ...range, afterDate: after[0], afterId: after[1], limit: limit === null ? -1 : limit + 1 });
+  if (limit !== null && rows.length > limit) {
+    rows.length = limit;
+    res.set('X-Next-Cursor', encodeCursor(list.key(rows[rows.length - 1])));
+  }
+  res.set('X-Total-Count', String(list.count.get(range).n));
+  res.json(rows.map(present));
+}
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+// Admin mutations, trainer assignment and plan assignment changes, and reads
+// of another user's data are appended to `audit_log`. Triggers reject UPDATE
+// and DELETE on the table, so entries can only be added. `req` may be null
+// for actions taken outside a request handler, in which case pass `actorId`.
+function audit(req, action, { targetUserId = null, targetUsername, actorId, details = null } = {}) {
+  const actor = stmts.getUserById.get(actorId !== undefined ? actorId : req.user.userId);
+  if (targetUserId !== null && targetUsername === undefined) {
+    const target = stmts.getUserById.get(targetUserId);
+    targetUsername = target ? target.username : null;
+  }
+  stmts.insertAudit.run(
+    new Date().toISOString(),
+    actor ? actor.id : null,
+    actor ? actor.username : null,
+    action,
+    targetUserId,
+    targetUsername === undefined ? null : targetUsername,
+    details ? JSON.stringify(details) : null,
+    (req && req.ip) || null
+  );
+}
+
+// `resource` names what was read: profile, workouts, weights, …
+function auditAthleteRead(req, targetUserId, resource) {
+  audit(req, 'athlete.read', { targetUserId, details: { resource } });
+}
+
+// ── Sessions ────────────────────────────────────────────────────────────────────
+// Every sign-in creates a row in `sessions`. The client receives a short-lived
+// access JWT carrying the session id (`sid`) and an opaque refresh token of the
+// form `<sid>.<secret>`. Only a SHA-256 hash of the secret is stored, and it is
+// replaced on every refresh so a leaked refresh token is single-use.
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function signAccessToken(user, sid) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, role: user.role || 'user', sid },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Start a new session for `user` and return the token pair sent to the client.
+function createSession(user) {
+  const now       = new Date();
+  const expiresAt = new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  const sid    = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('hex');
+  stmts.purgeUserSessions.run(user.id, now.toISOString());
+  stmts.insertSession.run(sid, user.id, hashToken(secret), now.toISOString(), expiresAt.toISOString());
+  return { token: signAccessToken(user, sid), refreshToken: `${sid}.${secret}` };
+}
+
+// ── Mail ────────────────────────────────────────────────────────────────────────
+// Outgoing mail is delivered by the transport named in MAIL_TRANSPORT: either
+// the built-in `outbox`, which writes each message as a JSON file to
+// MAIL_OUTBOX_DIR (handy for tests and for deployments without SMTP), or a path
+// to a module exporting `async function send({ to, subject, text })`.
+// When MAIL_TRANSPORT is unset, no mail is sent.
+function loadMailTransport() {
+  if (!MAIL_TRANSPORT) return null;
+  if (MAIL_TRANSPORT === 'outbox') {
+    return async (message) => {
+      fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+      const file = path.join(MAIL_OUTBOX_DIR, `${Date.now()}-${crypto.randomUUID()}.json`);
+      fs.writeFileSync(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+    };
+  }
+  const transport = require(path.resolve(MAIL_TRANSPORT));
+  return typeof transport === 'function' ? transport : transport.send;
+}
+const sendMail = loadMailTransport();
+
+// ── Password helpers ────────────────────────────────────────────────────────────
+// Accounts created through provider sign-in store this placeholder instead of a
+// bcrypt hash, so they can never match a password until one is set.
+const NO_PASSWORD = '!';
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) return 'Password must be at least 8 characters.';
+  return null;
+}
+
+// Reset and invite codes look like `ABCD-EFGH`; the alphabet omits easily
+// confused characters. They are stored without the dash.
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function randomCode() {
+  let raw = '';
+  for (let i = 0; i < 8; i++) raw += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  return raw;
+}
+
+function normalizeCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function formatCode(raw) {
+  return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+}
+
+// Issue a single-use reset code for `userId`. `source` is 'admin' or 'email'.
+// An admin's code invalidates every earlier one; one requested by email only
+// earlier emailed ones, since anyone who knows a username can request it.
+function createResetCode(userId, source) {
+  const raw = randomCode();
+  const now       = new Date();
+  const expiresAt = new Date(now.getTime() + RESET_CODE_TTL_MINUTES * 60 * 1000).toISOString();
+  db.transaction(() => {
+    (source === 'admin' ? stmts.expireResetCodes : stmts.expireEmailResetCodes).run(now.toISOString(), userId);
+    stmts.insertResetCode.run(userId, hashToken(raw), now.toISOString(), expiresAt, source);
+  })();
+  return { code: formatCode(raw), expiresAt };
+}
+
+// ── Two-factor authentication ───────────────────────────────────────────────────
+// RFC 6238 TOTP (HMAC-SHA1, 30-second steps, 6 digits) with base32 secrets, as
+// understood by common authenticator apps.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buf) {
+  let bits = 0, value = 0, out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  let bits = 0, value = 0;
+  const out = [];
+  for (const ch of str.replace(/=+$/, '').toUpperCase()) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function totpAt(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac   = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+// Return the time step a code matches (allowing one step of clock drift either
+// way), or null. Steps at or before `lastStep` are rejected to stop replays.
+function matchTotpStep(secret, code, lastStep = 0) {
+  if (!/^\d{6}$/.test(String(code || ''))) return null;
+  const current = Math.floor(Date.now() / 30000);
+  for (const step of [current - 1, current, current + 1]) {
+    if (step > lastStep && totpAt(secret, step) === String(code)) return step;
+  }
+  return null;
+}
+
+// Replace the user's recovery codes with a fresh set; returns the plain codes,
+// which are shown once and only stored hashed.
+function createRecoveryCodes(userId) {
+  const codes = [];
+  db.transaction(() => {
+    stmts.deleteRecoveryCodes.run(userId);
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+      stmts.insertRecoveryCode.run(userId, hashToken(raw));
+    }
+  })();
+  return codes;
+}
+
+// Check a TOTP code or a recovery code for `user` (a full users row) and
+// consume it so it cannot be used again.
+function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = matchTotpStep(user.totp_secret, code, user.totp_last_step);
+    if (step === null) return false;
+    stmts.setTotpLastStep.run(step, user.id);
+    return true;
+  }
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[^0-9a-f]/g, '');
+    const row = stmts.findRecoveryCode.get(user.id, hashToken(normalized));
+    if (!row) return false;
+    stmts.useRecoveryCode.run(new Date().toISOString(), row.id);
+    return true;
+  }
+  return false;
+}
+
+// Check the second factor for a sign-in or a signed-in account change. Wrong
+// codes count towards the login lockout, so a 6-digit code cannot be guessed
+// without limit. Sends the 429 or 401 and returns false when it is refused.
+function checkSecondFactor(user, factor, res) {
+  if (rejectIfLocked(user.username, res)) return false;
+  if (!verifySecondFactor(user, factor)) {
+    recordLoginFailure(user.username);
+    res.status(401).json({ error: 'Invalid authentication code.' });
+    return false;
+  }
+  stmts.clearLoginFailures.run(user.username);
+  return true;
+}
+
+// Finish a sign-in once the password (or identity provider) has been checked.
+// Users with 2FA get a short-lived challenge token to redeem at
+// /api/auth/login/2fa. `pending` holds actions to apply once sign-in succeeds:
+// `link` ({ provider, subject, email }) is an identity to attach (see the
+// email-match prompt in handleOidcSignIn), `inviteId` a trainer invite to redeem.
+// A link that cannot be made does not fail the sign-in; the session carries
+// its error as `linkError` instead.
+function completeSignIn(user, pending = {}) {
+  if (user.totp_enabled) {
+    const challengeToken = jwt.sign(
+      { userId: user.id, purpose: 'mfa', pending },
+      JWT_SECRET,
+      { expiresIn: MFA_CHALLENGE_TTL }
+    );
+    return { mfaRequired: true, challengeToken };
+  }
+  return signedIn(user, applyPendingSignIn(user, pending));
+}
+
+// Returns the error from linking the pending identity, if any
+function applyPendingSignIn(user, { link, inviteId } = {}) {
+  const linkError = link ? linkIdentity(user.id, link) : null;
+  if (inviteId) redeemInvite(inviteId, user.id);
+  return linkError;
+}
+
+function signedIn(user, linkError) {
+  const session = createSession(user);
+  return linkError ? { ...session, linkError } : session;
+}
+
+// ── Login throttling ────────────────────────────────────────────────────────────
+// Failed sign-ins are counted per username, whether or not the account exists,
+// so credential stuffing from many IPs is slowed without locking out everyone
+// behind a shared NAT address. After LOCKOUT_THRESHOLD failures the username is
+// locked for LOCKOUT_BASE_MINUTES, doubling with each further failure.
+
+// Bcrypt hash compared against when the username is unknown (or has no
+// password), so response times do not reveal which accounts exist.
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+// Milliseconds until `username` may try again, or 0 if it is not locked.
+function loginLockRemaining(username) {
+  const row = stmts.getLoginFailures.get(String(username));
+  if (!row || !row.locked_until) return 0;
+  return Math.max(0, new Date(row.locked_until).getTime() - Date.now());
+}
+
+function recordLoginFailure(username) {
+  const now = new Date();
+  const row = stmts.getLoginFailures.get(String(username));
+  const stale = row && now - new Date(row.last_failure_at) > LOCKOUT_RESET_HOURS * 60 * 60 * 1000;
+  const failures = (row && !stale ? row.failures : 0) + 1;
+  let lockedUntil = null;
+  if (failures >= LOCKOUT_THRESHOLD) {
+    const minutes = Math.min(LOCKOUT_BASE_MINUTES * 2 ** (failures - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MINUTES);
+    lockedUntil = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+  }
+  stmts.upsertLoginFailures.run(String(username), failures, now.toISOString(), lockedUntil);
+}
+
+// Send a 429 and return true when `username` is locked out.
+function rejectIfLocked(username, res) {
+  const remaining = loginLockRemaining(username);
+  if (!remaining) return false;
+  const minutes = Math.ceil(remaining / 60000);
+  res.set('Retry-After', String(Math.ceil(remaining / 1000)));
+  res.status(429).json({ error: `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.` });
+  return true;
+}
+
 // ── Auth routes ─────────────────────────────────────────────────────────────────
 
-// Helper: verify a Google ID token via Google's tokeninfo endpoint.
-// For production deployments with high traffic, consider replacing this with
-// local verification using the 'google-auth-library' package to avoid the
-// round-trip to Google and potential rate limits on the tokeninfo endpoint.
-async function verifyGoogleToken(idToken) {
-  const url = `https://oauth2.googleapis.com/tokeninfo?id_token=${encodeURIComponent(idToken)}`;
-  const response = await fetch(url, { signal: AbortSignal.timeout(8000) });
-  if (!response.ok) throw new Error('Failed to verify Google token');
-  const payload = await response.json();
-  if (payload.error_description) throw new Error(payload.error_description);
-  const clientId = process.env.GOOGLE_CLIENT_ID;
-  if (clientId && payload.aud !== clientId) throw new Error('Token not issued for this application');
-  if (!payload.sub) throw new Error('Invalid Google token payload');
+// ── OpenID Connect ──────────────────────────────────────────────────────────────
+// ID tokens are verified locally against each provider's published signing keys
+// (JWKS), cached per provider. An unknown key id triggers a refetch so rotated
+// keys are picked up, throttled by JWKS_MIN_REFETCH_MS.
+const jwksCache = new Map(); // provider id → { keys: Map(kid → KeyObject), fetchedAt, expiresAt }
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+async function fetchJwks(provider) {
+  const response = await fetch(provider.jwksUrl, { signal: AbortSignal.timeout(8000) });
+  if (!response.ok) throw new Error(`JWKS request failed (${response.status})`);
+  const { keys = [] } = await response.json();
+  const maxAge = /max-age=(\d+)/.exec(response.headers.get('cache-control') || '');
+  const keyMap = new Map();
+  for (const jwk of keys) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      keyMap.set(jwk.kid || '', crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch {
+      // Skip key types this Node.js build cannot import
+    }
+  }
+  const now = Date.now();
+  const entry = { keys: keyMap, fetchedAt: now, expiresAt: now + (maxAge ? Number(maxAge[1]) : JWKS_CACHE_SECONDS) * 1000 };
+  jwksCache.set(provider.id, entry);
+  return entry;
+}
+
+async function getSigningKey(provider, kid = '') {
+  let entry = jwksCache.get(provider.id);
+  if (!entry || entry.expiresAt <= Date.now()) {
+    entry = await fetchJwks(provider);
+  } else if (!entry.keys.has(kid) && Date.now() - entry.fetchedAt > JWKS_MIN_REFETCH_MS) {
+    entry = await fetchJwks(provider);
+  }
+  const key = entry.keys.get(kid);
+  if (!key) throw new Error(`No signing key with id "${kid}"`);
+  return key;
+}
+
+// Verify an ID token's signature, issuer, audience and expiry. When the client
+// started the sign-in with a nonce, the token must carry the same one.
+async function verifyIdToken(provider, idToken, nonce) {
+  const decoded = jwt.decode(String(idToken), { complete: true });
+  if (!decoded || !decoded.header) throw new Error('Malformed ID token');
+  const key = await getSigningKey(provider, decoded.header.kid);
+  const payload = jwt.verify(String(idToken), key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: provider.issuers,
+    audience: provider.clientId,
+    clockTolerance: 60,
+  });
+  if (!payload.sub) throw new Error('ID token has no subject');
+  if (nonce !== undefined && payload.nonce !== nonce) throw new Error('ID token nonce mismatch');
   return payload;
 }
 
-// Return public configuration (e.g. Google Client ID) for the frontend
+// Return public configuration (e.g. Google Client ID, sign-in providers) for the frontend
 app.get('/api/config', (req, res) => {
-  res.json({ googleClientId: process.env.GOOGLE_CLIENT_ID || null });
+  res.json({
+    googleClientId: process.env.GOOGLE_CLIENT_ID || null,
+    providers: [...OIDC_PROVIDERS.values()].map(p => ({ id: p.id, name: p.name, clientId: p.clientId, authUrl: p.authUrl })),
+  });
 });
 
-app.post('/api/auth/google', async (req, res) => {
-  const { credential } = req.body || {};
-  if (!credential) return res.status(400).json({ error: 'Google credential is required.' });
+// Attach an identity ({ provider, subject, email }) to a user. Returns an error
+// message instead when it belongs to someone else or the user already has an
+// identity from that provider.
+function linkIdentity(userId, { provider, subject, email }) {
+  const name  = OIDC_PROVIDERS.has(provider) ? OIDC_PROVIDERS.get(provider).name : provider;
+  const owner = stmts.findUserByIdentity.get(provider, subject);
+  if (owner) return owner.id === userId ? null : `That ${name} account is already linked to another user.`;
+  if (stmts.getUserIdentity.get(userId, provider)) return `A different ${name} account is already linked.`;
+  stmts.insertIdentity.run(userId, provider, subject, email || null, new Date().toISOString());
+  return null;
+}
 
+// Return the single existing account whose profile email matches a verified
+// provider email, or null when there is none (or the match is ambiguous).
+function findAccountForIdentityEmail(provider, payload) {
+  const verified = payload.email_verified === true || payload.email_verified === 'true';
+  if (!verified || !payload.email) return null;
+  const matches = stmts.findUsersByProfileEmail.all(payload.email)
+    .filter(u => !stmts.getUserIdentity.get(u.id, provider.id));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// Decode a link token issued by handleOidcSignIn; returns the identity or null.
+function verifyIdentityLinkToken(linkToken) {
   try {
-    const payload = await verifyGoogleToken(credential);
-    const googleId = payload.sub;
-
-    // Find existing user linked to this Google account
-    let user = stmts.findUserByGoogleId.get(googleId);
-
-    if (!user) {
-      // Derive a username from the Google email address
-      const emailPrefix = (payload.email || '').split('@')[0];
-      let baseUsername = emailPrefix.replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 28) || 'user';
-      if (baseUsername.length < 2) baseUsername = 'user';
-
-      // Ensure username is unique by appending a numeric suffix if necessary
-      let username = baseUsername;
-      let suffix = 1;
-      while (stmts.findUser.get(username) && suffix <= 9999) {
-        username = `${baseUsername.slice(0, 26)}_${suffix++}`;
-      }
+    const payload = jwt.verify(linkToken, JWT_SECRET);
+    if (payload.purpose !== 'identity-link') return null;
+    return { provider: payload.provider, subject: payload.subject, email: payload.email };
+  } catch {
+    return null;
+  }
+}
 
-      const info = stmts.insertGoogleUser.run(username, googleId);
-      user = { id: info.lastInsertRowid, username, role: 'user' };
-    }
+// Derive a free username from the identity's preferred username or email
+function usernameForIdentity(payload) {
+  const source = payload.preferred_username || (payload.email || '').split('@')[0];
+  let baseUsername = String(source || '').replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 28) || 'user';
+  if (baseUsername.length < 2) baseUsername = 'user';
+
+  // Ensure username is unique by appending a numeric suffix if necessary
+  let username = baseUsername;
+  let suffix = 1;
+  while (stmts.findUser.get(username) && suffix <= 9999) {
+    username = `${baseUsername.slice(0, 26)}_${suffix++}`;
+  }
+  return username;
+}
 
-    const token = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role || 'user' },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    res.json({ token });
+// Sign in with an ID token { credential, nonce } from the given provider. When
+// no account is linked yet but the verified email matches an existing account,
+// the response is { linkRequired, username, linkToken } instead: the client
+// should offer to log in to that account with its password (passing linkToken
+// to /api/auth/login to link it), or retry with { createNew: true }.
+async function handleOidcSignIn(req, res, providerId) {
+  const provider = OIDC_PROVIDERS.get(providerId);
+  if (!provider) return res.status(404).json({ error: 'Unknown sign-in provider.' });
+  const { credential, nonce, createNew, inviteCode } = req.body || {};
+  if (!credential) return res.status(400).json({ error: `${provider.name} credential is required.` });
+  const invite = inviteCode ? findActiveInvite(inviteCode) : null;
+  if (inviteCode && !invite) return res.status(400).json({ error: INVITE_ERROR });
+
+  let payload;
+  try {
+    payload = await verifyIdToken(provider, credential, nonce);
   } catch (err) {
-    console.error('Google auth error:', err.message || err);
-    res.status(401).json({ error: 'Google authentication failed.' });
+    console.error(`${provider.name} auth error:`, err.message || err);
+    return res.status(401).json({ error: `${provider.name} authentication failed.` });
+  }
+  const identity = { provider: provider.id, subject: String(payload.sub), email: payload.email || null };
+
+  // Find existing user linked to this identity
+  let user = stmts.findUserByIdentity.get(identity.provider, identity.subject);
+
+  if (!user && !createNew) {
+    const existing = findAccountForIdentityEmail(provider, payload);
+    if (existing) {
+      const linkToken = jwt.sign({ purpose: 'identity-link', ...identity }, JWT_SECRET, { expiresIn: IDENTITY_LINK_TTL });
+      return res.json({ linkRequired: true, username: existing.username, linkToken });
+    }
   }
-});
+
+  if (!user) {
+    const username = usernameForIdentity(payload);
+    user = db.transaction(() => {
+      const info = stmts.insertUser.run(username, NO_PASSWORD);
+      linkIdentity(info.lastInsertRowid, identity);
+      return { id: info.lastInsertRowid, username, role: 'user' };
+    })();
+  }
+
+  res.json(completeSignIn(user, { inviteId: invite && invite.id }));
+}
+
+app.post('/api/auth/oidc/:provider', (req, res) => handleOidcSignIn(req, res, req.params.provider));
+
+// Google Identity Services button on login.html posts here
+app.post('/api/auth/google', (req, res) => handleOidcSignIn(req, res, 'google'));
 
 app.post('/api/auth/register', async (req, res) => {
-  const { username, password } = req.body || {};
+  const { username, password, inviteCode } = req.body || {};
   if (!username || !password) return res.status(400).json({ error: 'Username and password are required.' });
   if (!/^[a-zA-Z0-9_]{2,30}$/.test(username)) {
     return res.status(400).json({ error: 'Username must be 2–30 characters (letters, numbers, underscores).' });
   }
-  if (typeof password !== 'string' || password.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters.' });
-  }
+  const passwordError = validatePassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
   if (stmts.findUser.get(username)) {
     return res.status(409).json({ error: 'Username already taken.' });
   }
+  const invite = inviteCode ? findActiveInvite(inviteCode) : null;
+  if (inviteCode && !invite) return res.status(400).json({ error: INVITE_ERROR });
   const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
   const info = stmts.insertUser.run(username, hash);
-  const token = jwt.sign({ userId: info.lastInsertRowid, username, role: 'user' }, JWT_SECRET, { expiresIn: '7d' });
-  res.status(201).json({ token });
+  if (invite) redeemInvite(invite.id, info.lastInsertRowid);
+  res.status(201).json(createSession({ id: info.lastInsertRowid, username, role: 'user' }));
 });
 
 app.post('/api/auth/login', async (req, res) => {
-  const { username, password } = req.body || {};
+  const { username, password, linkToken, inviteCode } = req.body || {};
   if (!username || !password) return res.status(400).json({ error: 'Username and password are required.' });
+  const link = linkToken ? verifyIdentityLinkToken(linkToken) : null;
+  if (linkToken && !link) {
+    return res.status(400).json({ error: 'Link request expired. Please sign in with your provider again.' });
+  }
+  const invite = inviteCode ? findActiveInvite(inviteCode) : null;
+  if (inviteCode && !invite) return res.status(400).json({ error: INVITE_ERROR });
+  if (rejectIfLocked(username, res)) return;
+  const user = stmts.findUser.get(username);
+  const hasPassword = user && user.password_hash !== NO_PASSWORD;
+  const match = await bcrypt.compare(String(password), hasPassword ? user.password_hash : DUMMY_PASSWORD_HASH);
+  if (!hasPassword || !match) {
+    recordLoginFailure(username);
+    return res.status(401).json({ error: 'Invalid username or password.' });
+  }
+  // With 2FA on, the counter is only cleared once the second factor passes, so
+  // a known password cannot be used to brute-force codes indefinitely.
+  if (!user.totp_enabled) stmts.clearLoginFailures.run(user.username);
+  if (link) {
+    const owner = stmts.findUserByIdentity.get(link.provider, link.subject);
+    if (owner && owner.id !== user.id) {
+      return res.status(409).json({ error: 'That account is already linked to another user.' });
+    }
+  }
+  res.json(completeSignIn(user, { link, inviteId: invite && invite.id }));
+});
+
+// Second login step for accounts with 2FA: redeem the challenge token from
+// /api/auth/login with a TOTP code or a recovery code.
+app.post('/api/auth/login/2fa', (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body || {};
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.status(400).json({ error: 'Challenge token and a code are required.' });
+  }
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: 'Login challenge expired. Please log in again.' });
+  }
+  if (payload.purpose !== 'mfa') return res.status(401).json({ error: 'Invalid login challenge.' });
+  const user = stmts.getUserRecord.get(payload.userId);
+  if (!user || !user.totp_enabled) return res.status(401).json({ error: 'Invalid login challenge.' });
+  if (!checkSecondFactor(user, { code, recoveryCode }, res)) return;
+  res.json(signedIn(user, applyPendingSignIn(user, payload.pending)));
+});
+
+// Exchange a refresh token for a new access token. The refresh token is rotated
+// on every call; presenting an already-rotated token ends the whole session.
+app.post('/api/auth/refresh', (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required.' });
+  }
+  const session = sessionForRefreshToken(refreshToken);
+  const user = session && stmts.getUserById.get(session.user_id);
+  if (!user) return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+
+  const next = crypto.randomBytes(32).toString('hex');
+  stmts.rotateSession.run(hashToken(next), session.id);
+  res.json({ token: signAccessToken(user, session.id), refreshToken: `${session.id}.${next}` });
+});
+
+// The live session a refresh token belongs to, or null. Presenting a token
+// that has already been rotated out ends its session.
+function sessionForRefreshToken(refreshToken) {
+  const [sid, secret = ''] = refreshToken.split('.');
+  const now = new Date().toISOString();
+  const session = stmts.getSession.get(sid);
+  if (!session || session.revoked_at || session.expires_at <= now) return null;
+  const presented = Buffer.from(hashToken(secret));
+  const expected  = Buffer.from(session.refresh_hash);
+  if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+    stmts.revokeSession.run(now, sid);
+    return null;
+  }
+  return session;
+}
+
+// Request a reset code by email. Always answers the same way so the response
+// does not reveal whether the account exists or has an email address on file.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  const { username } = req.body || {};
+  if (!username) return res.status(400).json({ error: 'Username is required.' });
   const user = stmts.findUser.get(username);
-  if (!user) return res.status(401).json({ error: 'User not found.' });
-  const match = await bcrypt.compare(password, user.password_hash);
-  if (!match) return res.status(401).json({ error: 'Incorrect password.' });
-  const token = jwt.sign({ userId: user.id, username: user.username, role: user.role || 'user' }, JWT_SECRET, { expiresIn: '7d' });
-  res.json({ token });
+  const profile = user && stmts.getProfile.get(user.id);
+  const email = profile && JSON.parse(profile.data).email;
+  if (sendMail && email) {
+    const { code } = createResetCode(user.id, 'email');
+    try {
+      await sendMail({
+        to: email,
+        subject: 'GetUs.Fit password reset code',
+        text: `Your password reset code is ${code}. It expires in ${RESET_CODE_TTL_MINUTES} minutes.\n` +
+              'If you did not request this, you can ignore this message.',
+      });
+    } catch (err) {
+      console.error('[mail] Failed to send reset code:', err.message || err);
+    }
+  }
+  res.json({ ok: true });
+});
+
+// Set a new password using a reset code issued by an admin or sent by email
+app.post('/api/auth/reset-password', async (req, res) => {
+  const { username, code, newPassword } = req.body || {};
+  if (!username || !code || !newPassword) {
+    return res.status(400).json({ error: 'Username, code and new password are required.' });
+  }
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const now  = new Date().toISOString();
+  const user = stmts.findUser.get(username);
+  const reset = user && stmts.findResetCode.get(user.id, hashToken(normalizeCode(code)), now);
+  if (!reset) return res.status(400).json({ error: 'Invalid or expired reset code.' });
+
+  const hash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  db.transaction(() => {
+    stmts.expireResetCodes.run(now, user.id);
+    stmts.updateUserPassword.run(hash, user.id);
+    stmts.revokeUserSessions.run(now, user.id);
+    stmts.clearLoginFailures.run(user.username);
+  })();
+  res.json({ ok: true });
+});
+
+// End the current session. With { refreshToken } no access token is needed, so
+// a client whose access token has expired can still end its session.
+app.post('/api/auth/logout', (req, res, next) => {
+  const { refreshToken } = req.body || {};
+  if (refreshToken === undefined) return requireAuth(req, res, next);
+  const session = typeof refreshToken === 'string' && refreshToken ? sessionForRefreshToken(refreshToken) : null;
+  if (!session) return res.status(401).json({ error: 'Invalid or expired refresh token.' });
+  stmts.revokeSession.run(new Date().toISOString(), session.id);
+  res.json({ ok: true });
+}, (req, res) => {
+  stmts.revokeSession.run(new Date().toISOString(), req.user.sid);
+  res.json({ ok: true });
+});
+
+// End every session belonging to the current user ("log out everywhere")
+app.post('/api/auth/logout-all', requireAuth, (req, res) => {
+  const info = stmts.revokeUserSessions.run(new Date().toISOString(), req.user.userId);
+  res.json({ ok: true, revoked: info.changes });
+});
+
+// ── Current user info ───────────────────────────────────────────────────────────
+app.get('/api/user/me', requireAuth, (req, res) => {
+  const user = stmts.getUserById.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  res.json({ userId: user.id, username: user.username, role: user.role, units: userUnits(user.id) });
+});
+
+// Change the current user's password. Accounts without a password yet (provider
+// sign-in only) may set one without supplying the current password. Other sessions
+// are ended so a stolen session cannot outlive the change.
+app.put('/api/user/password', requireAuth, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const row = stmts.getUserRecord.get(req.user.userId);
+  if (!row) return res.status(404).json({ error: 'User not found.' });
+  if (row.password_hash !== NO_PASSWORD) {
+    if (!currentPassword) return res.status(400).json({ error: 'Current password is required.' });
+    if (typeof currentPassword !== 'string') return res.status(400).json({ error: 'Current password must be a string.' });
+    // Wrong guesses count towards the same lockout as failed logins
+    if (rejectIfLocked(row.username, res)) return;
+    const match = await bcrypt.compare(currentPassword, row.password_hash);
+    if (!match) {
+      recordLoginFailure(row.username);
+      return res.status(401).json({ error: 'Current password is incorrect.' });
+    }
+  }
+
+  const hash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+  stmts.updateUserPassword.run(hash, req.user.userId);
+  stmts.revokeOtherSessions.run(new Date().toISOString(), req.user.userId, req.user.sid);
+  res.json({ ok: true });
+});
+
+// ── Linked sign-in methods ──────────────────────────────────────────────────────
+app.get('/api/user/login-methods', requireAuth, (req, res) => {
+  const user = stmts.getUserRecord.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  res.json({
+    password: user.password_hash !== NO_PASSWORD,
+    identities: stmts.listUserIdentities.all(user.id).map(i => ({
+      provider: i.provider,
+      name: OIDC_PROVIDERS.has(i.provider) ? OIDC_PROVIDERS.get(i.provider).name : i.provider,
+      email: i.email,
+      linkedAt: i.created_at,
+    })),
+  });
+});
+
+// Link an identity to the current account with an ID token { credential, nonce }
+app.post('/api/user/identities/:provider', requireAuth, async (req, res) => {
+  const provider = OIDC_PROVIDERS.get(req.params.provider);
+  if (!provider) return res.status(404).json({ error: 'Unknown sign-in provider.' });
+  const { credential, nonce } = req.body || {};
+  if (!credential) return res.status(400).json({ error: `${provider.name} credential is required.` });
+  let payload;
+  try {
+    payload = await verifyIdToken(provider, credential, nonce);
+  } catch (err) {
+    console.error(`${provider.name} link error:`, err.message || err);
+    return res.status(401).json({ error: `${provider.name} authentication failed.` });
+  }
+  const error = linkIdentity(req.user.userId, { provider: provider.id, subject: String(payload.sub), email: payload.email });
+  if (error) return res.status(409).json({ error });
+  res.json({ ok: true });
+});
+
+// Unlink an identity, provided a password or another identity remains to sign in with
+app.delete('/api/user/identities/:provider', requireAuth, (req, res) => {
+  const user = stmts.getUserRecord.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  const identities = stmts.listUserIdentities.all(user.id);
+  if (!identities.some(i => i.provider === req.params.provider)) {
+    return res.status(404).json({ error: 'That sign-in method is not linked.' });
+  }
+  if (user.password_hash === NO_PASSWORD && identities.length === 1) {
+    return res.status(400).json({ error: 'Set a password or link another sign-in method first, or you will be locked out.' });
+  }
+  stmts.deleteUserIdentity.run(user.id, req.params.provider);
+  res.json({ ok: true });
+});
+
+// ── API token routes ────────────────────────────────────────────────────────────
+app.get('/api/user/tokens', requireAuth, (req, res) => {
+  res.json({
+    scopes: API_TOKEN_SCOPES,
+    tokens: stmts.listApiTokens.all(req.user.userId).map(t => ({
+      id: t.id,
+      name: t.name,
+      scopes: JSON.parse(t.scopes),
+      createdAt: t.created_at,
+      lastUsedAt: t.last_used_at,
+    })),
+  });
+});
+
+// Create a token from { name, scopes }. The token itself is returned only here.
+app.post('/api/user/tokens', requireAuth, (req, res) => {
+  const { name, scopes } = req.body || {};
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 60) {
+    return res.status(400).json({ error: 'Token name must be 1–60 characters.' });
+  }
+  if (!Array.isArray(scopes) || !scopes.length) {
+    return res.status(400).json({ error: 'Choose at least one scope.' });
+  }
+  const unknown = scopes.filter(s => !API_TOKEN_SCOPES.includes(s));
+  if (unknown.length) return res.status(400).json({ error: `Unknown scope: ${unknown.join(', ')}` });
+  if (stmts.countApiTokens.get(req.user.userId).n >= API_TOKEN_LIMIT) {
+    return res.status(400).json({ error: `You can have at most ${API_TOKEN_LIMIT} API tokens.` });
+  }
+
+  const token     = API_TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const createdAt = new Date().toISOString();
+  const unique    = [...new Set(scopes)];
+  const info = stmts.insertApiToken.run(req.user.userId, name.trim(), hashToken(token), JSON.stringify(unique), createdAt);
+  res.status(201).json({ id: info.lastInsertRowid, name: name.trim(), scopes: unique, createdAt, token });
+});
+
+app.delete('/api/user/tokens/:id', requireAuth, (req, res) => {
+  const info = stmts.deleteApiToken.run(req.params.id, req.user.userId);
+  if (!info.changes) return res.status(404).json({ error: 'API token not found.' });
+  res.json({ ok: true });
+});
+
+// ── Two-factor routes ───────────────────────────────────────────────────────────
+app.get('/api/user/2fa', requireAuth, (req, res) => {
+  const user = stmts.getUserById.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  res.json({
+    enabled: !!user.totp_enabled,
+    required: mfaRequiredRoles().includes(user.role),
+    recoveryCodesRemaining: stmts.countRecoveryCodes.get(user.id).n,
+  });
+});
+
+// Start enrolment: generate a secret and its otpauth:// provisioning URI (to be
+// shown as a QR code). 2FA is not active until confirmed via /enable.
+app.post('/api/user/2fa/setup', requireAuth, (req, res) => {
+  const user = stmts.getUserById.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  if (user.totp_enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+  const secret = base32Encode(crypto.randomBytes(20));
+  stmts.setTotpSecret.run(secret, user.id);
+  const label = encodeURIComponent(`${MFA_ISSUER}:${user.username}`);
+  const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(MFA_ISSUER)}&algorithm=SHA1&digits=6&period=30`;
+  res.json({ secret, otpauthUri });
+});
+
+// Confirm enrolment with a code from the authenticator app. Returns the
+// recovery codes; they are not retrievable later.
+app.post('/api/user/2fa/enable', requireAuth, (req, res) => {
+  const user = stmts.getUserRecord.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  if (user.totp_enabled) return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+  if (!user.totp_secret) return res.status(400).json({ error: 'Start two-factor setup first.' });
+  if (!verifySecondFactor(user, { code: (req.body || {}).code })) {
+    return res.status(400).json({ error: 'Invalid authentication code.' });
+  }
+  stmts.enableTotp.run(user.id);
+  res.json({ ok: true, recoveryCodes: createRecoveryCodes(user.id) });
+});
+
+app.post('/api/user/2fa/disable', requireAuth, (req, res) => {
+  const user = stmts.getUserRecord.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+  if (mfaRequiredRoles().includes(user.role)) {
+    return res.status(403).json({ error: 'Two-factor authentication is required for your role.' });
+  }
+  const { code, recoveryCode } = req.body || {};
+  if (!checkSecondFactor(user, { code, recoveryCode }, res)) return;
+  db.transaction(() => {
+    stmts.disableTotp.run(user.id);
+    stmts.deleteRecoveryCodes.run(user.id);
+  })();
+  res.json({ ok: true });
 });
 
-// ── Current user info ───────────────────────────────────────────────────────────
-app.get('/api/user/me', requireAuth, (req, res) => {
-  const user = stmts.getUserById.get(req.user.userId);
+app.post('/api/user/2fa/recovery-codes', requireAuth, (req, res) => {
+  const user = stmts.getUserRecord.get(req.user.userId);
   if (!user) return res.status(404).json({ error: 'User not found.' });
-  res.json({ userId: user.id, username: user.username, role: user.role });
+  if (!user.totp_enabled) return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+  if (!checkSecondFactor(user, { code: (req.body || {}).code }, res)) return;
+  res.json({ recoveryCodes: createRecoveryCodes(user.id) });
 });
 
 // ── Profile routes ──────────────────────────────────────────────────────────────
@@ -365,25 +1427,138 @@ app.get('/api/profile', requireAuth, (req, res) => {
   res.json(row ? JSON.parse(row.data) : null);
 });
 
-app.put('/api/profile', requireAuth, (req, res) => {
+app.put('/api/profile', requireAuth, validateBody(schemas.profile), (req, res) => {
   stmts.upsertProfile.run(req.user.userId, JSON.stringify(req.body));
   res.json({ ok: true });
 });
 
+// ── Exercise catalogue ──────────────────────────────────────────────────────────
+// Everyone sees the built-in exercises and their own custom ones, plus any
+// their trainers have shared. When names collide the user's own wins, then
+// the built-in one.
+function presentExercise(row, userId) {
+  const source = row.owner_id === null ? 'built-in' : row.owner_id === userId ? 'own' : 'trainer';
+  return {
+    id: row.id,
+    name: row.name,
+    primaryMuscle: row.primary_muscle,
+    secondaryMuscles: JSON.parse(row.secondary_muscles),
+    equipment: row.equipment,
+    movementPattern: row.movement_pattern,
+    unilateral: !!row.unilateral,
+    source,
+    shared: !!row.shared,
+    sharedBy: source === 'trainer' ? row.owner_username : null,
+  };
+}
+
+function visibleExercises(userId) {
+  const seen = new Set();
+  return stmts.getVisibleExercises.all({ userId })
+    .filter(row => {
+      const key = row.name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+// Maps the free-text names a user logs to the id of an exercise they can see
+function exerciseMatcher(userId) {
+  return createExerciseMatcher(visibleExercises(userId), stmts.getExerciseAliases.all());
+}
+
+// Each logged exercise carries `exerciseId`, its matched catalogue exercise or null
+function tagExercises(exercises, match) {
+  return exercises.map(e => ({ ...e, exerciseId: match(e.name) }));
+}
+
+function exerciseColumns(exercise) {
+  return {
+    ...exercise,
+    secondaryMuscles: JSON.stringify(exercise.secondaryMuscles),
+    unilateral: exercise.unilateral ? 1 : 0,
+    shared: exercise.shared ? 1 : 0,
+  };
+}
+
+// Only trainers and admins may share, and a name may not match an exercise
+// the user can already see (other than the one being edited), alias included
+function checkExercise(req, res, exercise, id = null) {
+  if (exercise.shared && !['trainer', 'admin'].includes(stmts.getUserById.get(req.user.userId)?.role)) {
+    res.status(403).json({ error: 'Only trainers can share exercises.' });
+    return false;
+  }
+  const match = exerciseMatcher(req.user.userId)(exercise.name);
+  if (match !== null && match !== id) {
+    const existing = stmts.getExerciseById.get(match);
+    res.status(409).json({ error: `This name already matches the exercise "${existing.name}".`, exerciseId: match });
+    return false;
+  }
+  return true;
+}
+
+// Optional ?muscle=chest lists one primary muscle group
+app.get('/api/exercises', requireAuth, (req, res) => {
+  const { muscle } = req.query;
+  if (muscle && !MUSCLE_GROUPS.includes(muscle)) {
+    return res.status(400).json({ error: `muscle must be one of: ${MUSCLE_GROUPS.join(', ')}.` });
+  }
+  const rows = visibleExercises(req.user.userId).filter(row => !muscle || row.primary_muscle === muscle);
+  res.json(rows.map(row => presentExercise(row, req.user.userId)));
+});
+
+app.post('/api/exercises', requireAuth, validateBody(schemas.exercise), (req, res) => {
+  const exercise = req.body;
+  if (!checkExercise(req, res, exercise)) return;
+  const info = stmts.insertExercise.run({
+    ...exerciseColumns(exercise),
+    ownerId: req.user.userId,
+    createdAt: new Date().toISOString(),
+  });
+  res.status(201).json({ ok: true, id: info.lastInsertRowid });
+});
+
+// Fields left out keep their values
+app.put('/api/exercises/:id', requireAuth, validateBody(partial(schemas.exercise)), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  const row = Number.isFinite(id) ? stmts.getExerciseById.get(id) : null;
+  if (row && row.owner_id === null) return res.status(403).json({ error: 'Built-in exercises cannot be changed.' });
+  if (!row || row.owner_id !== req.user.userId) return res.status(404).json({ error: 'Exercise not found.' });
+  const current = presentExercise(row, req.user.userId);
+  const { errors, value: exercise } = validate(schemas.exercise, { ...current, ...req.body });
+  if (errors) return sendValidationErrors(res, errors);
+  if (!checkExercise(req, res, exercise, id)) return;
+  stmts.updateExercise.run({ ...exerciseColumns(exercise), id, ownerId: req.user.userId });
+  res.json({ ok: true });
+});
+
+// Workouts and plans store exercise names, so deleting one leaves them as they are
+app.delete('/api/exercises/:id', requireAuth, (req, res) => {
+  const info = stmts.deleteExercise.run(parseInt(req.params.id, 10), req.user.userId);
+  if (info.changes === 0) return res.status(404).json({ error: 'Exercise not found.' });
+  res.json({ ok: true });
+});
+
 // ── One Rep Max routes ──────────────────────────────────────────────────────────
 app.get('/api/1rm', requireAuth, (req, res) => {
-  res.json(stmts.getOneRepMaxes.all(req.user.userId));
+  const units = userUnits(req.user.userId);
+  res.json(stmts.getOneRepMaxes.all(req.user.userId).map(r => presentOneRepMax(r, units)));
 });
 
+// Takes `weight` in the user's unit, or `weightKg`
 app.put('/api/1rm/:exercise', requireAuth, (req, res) => {
   const exercise = req.params.exercise.trim();
   if (!exercise) return res.status(400).json({ error: 'Exercise name is required.' });
-  const weightKg = parseFloat(req.body && req.body.weightKg);
+  const { weight, weightKg: kg } = req.body || {};
+  const weightKg = weight !== undefined ? toKg(parseFloat(weight), userUnits(req.user.userId)) : parseFloat(kg);
   if (!Number.isFinite(weightKg) || weightKg <= 0) {
-    return res.status(400).json({ error: 'weightKg must be a positive number.' });
+    return res.status(400).json({ error: 'weight must be a positive number.' });
   }
   const updatedAt = new Date().toISOString().split('T')[0];
-  stmts.upsertOneRepMax.run(req.user.userId, exercise, weightKg, updatedAt);
+  const exerciseId = exerciseMatcher(req.user.userId)(exercise);
+  stmts.upsertOneRepMax.run(req.user.userId, exercise, exerciseId, weightKg, updatedAt, 'manual');
   res.json({ ok: true });
 });
 
@@ -395,84 +1570,556 @@ app.delete('/api/1rm/:exercise', requireAuth, (req, res) => {
 });
 
 // ── User data reset ─────────────────────────────────────────────────────────────
+// Workouts, weights, calories, the schedule and personal plans go to the trash
+// together, so POST /api/trash/restore with the returned `deletedAt` brings
+// them all back. The profile, 1RMs and private exercises are deleted outright.
 app.delete('/api/user/data', requireAuth, (req, res) => {
   const uid = req.user.userId;
+  const deletedAt = new Date().toISOString();
   db.transaction(() => {
     stmts.deleteUserData.run(uid);
-    stmts.deleteUserWorkouts.run(uid);
-    stmts.deleteUserWeights.run(uid);
-    stmts.deleteUserCalories.run(uid);
+    stmts.trashUserWorkouts.run(deletedAt, uid);
+    stmts.trashUserWeights.run(deletedAt, uid);
+    stmts.trashUserCalories.run(deletedAt, uid);
+    stmts.deleteUserOneRepMaxes.run(uid);
+    stmts.trashUserSchedule.run(deletedAt, uid);
+    stmts.trashUserPersonalPlans.run(deletedAt, uid);
+    stmts.deleteUserPrivateExercises.run(uid);
+  })();
+  res.json({ ok: true, deletedAt });
+});
+
+// ── Data export & account deletion ──────────────────────────────────────────────
+// GET /api/user/export  – a machine-readable archive of everything stored about
+// the current user, including the invite codes they created and the audit log
+// entries naming them as actor or subject (the IP only where they acted).
+// Credentials (password hash, 2FA secret, token hashes, reset and recovery
+// codes) are deliberately left out.
+app.get('/api/user/export', requireAuth, (req, res) => {
+  const uid  = req.user.userId;
+  const user = stmts.getUserRecord.get(uid);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+  const profile = stmts.getProfile.get(uid);
+
+  const archive = {
+    format: 'getus-fit-export',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    account: {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      hasPassword: user.password_hash !== NO_PASSWORD,
+      identities: stmts.listUserIdentities.all(uid).map(i => ({ provider: i.provider, email: i.email, linkedAt: i.created_at })),
+      twoFactorEnabled: !!user.totp_enabled,
+    },
+    profile: profile ? JSON.parse(profile.data) : null,
+    workouts: stmts.getWorkouts.all(uid).map(r => formatWorkout(r)),
+    weights: stmts.getWeights.all(uid).map(r => JSON.parse(r.data)),
+    calories: stmts.getCalories.all(uid).map(r => ({ ...JSON.parse(r.data), id: r.id })),
+    oneRepMaxes: stmts.getOneRepMaxes.all(uid),
+    exercises: stmts.getOwnExercises.all(uid).map(r => presentExercise(r, uid)),
+    scheduledWorkouts: stmts.getSchedule.all(uid),
+    trash: trashItems(uid, 'kg'),
+    plans: {
+      authored: stmts.exportAuthoredPlans.all(uid).map(r => JSON.parse(r.data)),
+      assigned: stmts.getUserPlans.all(uid).map(r => JSON.parse(r.data)),
+    },
+    trainers: stmts.exportTrainers.all(uid),
+    athletes: stmts.getAssignedUsers.all(uid).map(u => ({ id: u.id, username: u.username })),
+    sessions: stmts.exportSessions.all(uid),
+    apiTokens: stmts.listApiTokens.all(uid).map(t => ({ name: t.name, scopes: JSON.parse(t.scopes), createdAt: t.created_at, lastUsedAt: t.last_used_at })),
+    inviteCodes: stmts.listInvites.all(uid).map(formatInvite),
+    auditLog: stmts.exportAuditLog.all({ userId: uid }).map(r => ({
+      createdAt: r.created_at,
+      actorUsername: r.actor_username,
+      action: r.action,
+      targetUsername: r.target_username,
+      details: r.details ? JSON.parse(r.details) : null,
+      ip: r.actor_id === uid ? r.ip : null,
+    })),
+  };
+
+  const filename = `getus-fit-${user.username}-${archive.exportedAt.split('T')[0]}.json`;
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.json(archive);
+});
+
+// DELETE /api/user/account  – permanently delete the current user. The other
+// tables reference users(id) with ON DELETE CASCADE, so removing the row removes
+// profiles, logs, plans, assignments, sessions and codes with it. The exceptions
+// are audit_log, which has no foreign keys and keeps its entries (with the
+// username copied in), and login_failures, keyed by username and cleared here.
+// Requires { password } (or { confirmUsername } for accounts without a
+// password) plus { code } or { recoveryCode } when 2FA is on.
+app.delete('/api/user/account', requireAuth, async (req, res) => {
+  const { password, confirmUsername, code, recoveryCode } = req.body || {};
+  const user = stmts.getUserRecord.get(req.user.userId);
+  if (!user) return res.status(404).json({ error: 'User not found.' });
+
+  if (user.password_hash === NO_PASSWORD) {
+    if (!confirmUsername || String(confirmUsername).toLowerCase() !== user.username.toLowerCase()) {
+      return res.status(400).json({ error: 'Type your username to confirm.' });
+    }
+  } else {
+    if (!password) return res.status(400).json({ error: 'Password is required.' });
+    // Wrong guesses count towards the same lockout as failed logins
+    if (rejectIfLocked(user.username, res)) return;
+    const match = await bcrypt.compare(String(password), user.password_hash);
+    if (!match) {
+      recordLoginFailure(user.username);
+      return res.status(401).json({ error: 'Incorrect password.' });
+    }
+  }
+  if (user.totp_enabled && !checkSecondFactor(user, { code, recoveryCode }, res)) return;
+  if (user.role === 'admin' && stmts.countAdmins.get().n <= 1) {
+    return res.status(400).json({ error: 'You are the only admin. Promote another admin before deleting your account.' });
+  }
+
+  db.transaction(() => {
+    stmts.deleteUser.run(user.id);
+    stmts.clearLoginFailures.run(user.username);
   })();
   res.json({ ok: true });
 });
 
+// ── Estimated 1RMs and personal records ─────────────────────────────────────────
+// When a workout is saved each set gets `e1rmKg`, estimated with the formula
+// chosen in the profile (see strength.js). An exercise whose best estimate
+// beats the best of the user's earlier workouts (those dated on or before it)
+// is listed in the workout's `personalRecords`, as it stood when saved. Once
+// the profile turns `autoOneRepMax` on, a best estimate above the exercise's
+// estimated 1RM replaces it, and editing, deleting or restoring a workout
+// re-estimates its exercises; a 1RM entered by hand is never overwritten.
+function strengthSettings(userId) {
+  let profile = {};
+  try { profile = JSON.parse(stmts.getProfile.get(userId)?.data || '{}'); } catch (_) { /* defaults */ }
+  return {
+    formula: ONE_REP_MAX_FORMULAS.includes(profile.oneRepMaxFormula) ? profile.oneRepMaxFormula : DEFAULT_ONE_REP_MAX_FORMULA,
+    autoOneRepMax: profile.autoOneRepMax === true,
+  };
+}
+
+// Logged exercises match across workouts by catalogue id, or else by name
+function exerciseKey(exercise) {
+  return exercise.exerciseId != null ? exercise.exerciseId : 'name:' + String(exercise.name).trim().toLowerCase();
+}
+
+// Best estimate per exercise key: { exerciseId, exercise, e1rmKg, weightKg, reps }
+function bestEstimates(exercises, formula) {
+  const best = new Map();
+  for (const e of Array.isArray(exercises) ? exercises : []) {
+    if (!e || !e.name || !Array.isArray(e.sets)) continue;
+    const key = exerciseKey(e);
+    for (const set of e.sets) {
+      const e1rmKg = setEstimate(set, formula);
+      if (e1rmKg === null || (best.has(key) && best.get(key).e1rmKg >= e1rmKg)) continue;
+      best.set(key, { exerciseId: e.exerciseId ?? null, exercise: e.name, e1rmKg, weightKg: set.weightKg, reps: set.reps });
+    }
+  }
+  return best;
+}
+
+// Tags and scores a validated workout before it is stored. Returns the
+// workout and its best estimates for updateEstimatedMaxes().
+function prepareWorkout(userId, workout) {
+  const { formula } = strengthSettings(userId);
+  const exercises = tagExercises(workout.exercises, exerciseMatcher(userId)).map(e => (
+    Array.isArray(e.sets) ? { ...e, sets: e.sets.map(set => ({ ...set, e1rmKg: setEstimate(set, formula) })) } : e
+  ));
+  const best = bestEstimates(exercises, formula);
+
+  const earlier = new Map();
+  for (const row of stmts.getEarlierWorkouts.all(userId, workout.date, workout.id)) {
+    let data;
+    try { data = JSON.parse(row.data); } catch (_) { continue; }
+    for (const [key, estimate] of bestEstimates(data.exercises, formula)) {
+      if (!earlier.has(key) || estimate.e1rmKg > earlier.get(key).e1rmKg) earlier.set(key, estimate);
+    }
+  }
+  const personalRecords = [...best]
+    .filter(([key, estimate]) => earlier.has(key) && estimate.e1rmKg > earlier.get(key).e1rmKg)
+    .map(([key, estimate]) => ({ ...estimate, previousE1rmKg: earlier.get(key).e1rmKg }));
+  return { workout: { ...workout, exercises, personalRecords }, best };
+}
+
+// 1RMs stored under a logged exercise's catalogue id or name, entered by hand or estimated
+function oneRepMaxesFor(rows, exerciseId, name) {
+  return rows.filter(r => (exerciseId !== null && r.exercise_id === exerciseId) || r.exercise.toLowerCase() === name.toLowerCase());
+}
+
+function saveEstimatedMax(userId, current, estimate, date) {
+  const catalogued = estimate.exerciseId !== null ? stmts.getExerciseById.get(estimate.exerciseId) : null;
+  const name = current ? current.exercise : (catalogued ? catalogued.name : estimate.exercise);
+  stmts.upsertOneRepMax.run(userId, name, estimate.exerciseId, estimate.e1rmKg, date, 'estimated');
+}
+
+// A new workout can only raise the estimates
+function updateEstimatedMaxes(userId, date, best) {
+  if (!strengthSettings(userId).autoOneRepMax) return;
+  const rows = stmts.getOneRepMaxes.all(userId);
+  for (const estimate of best.values()) {
+    const matching = oneRepMaxesFor(rows, estimate.exerciseId, estimate.exercise);
+    if (matching.some(r => r.source === 'manual')) continue;
+    if (matching[0] && matching[0].weight_kg >= estimate.e1rmKg) continue;
+    saveEstimatedMax(userId, matching[0], estimate, date);
+  }
+}
+
+// After a workout is edited, deleted or restored, the estimate for each of
+// `exercises` (every exercise logged when null) is taken again from the best
+// of the user's live workouts, and removed when none of them has one left
+function recomputeEstimatedMaxes(userId, exercises = null) {
+  const { formula, autoOneRepMax } = strengthSettings(userId);
+  if (!autoOneRepMax) return;
+  const best = new Map();
+  for (const row of stmts.getWorkouts.all(userId)) {
+    let data;
+    try { data = JSON.parse(row.data); } catch (_) { continue; }
+    for (const [key, estimate] of bestEstimates(data.exercises, formula)) {
+      if (!best.has(key) || estimate.e1rmKg > best.get(key).e1rmKg) best.set(key, { ...estimate, date: data.date });
+    }
+  }
+  const affected = new Map();
+  for (const e of exercises || [...best.values()].map(b => ({ name: b.exercise, exerciseId: b.exerciseId }))) {
+    if (e && e.name) affected.set(exerciseKey(e), { name: String(e.name), exerciseId: e.exerciseId ?? null });
+  }
+  const rows = stmts.getOneRepMaxes.all(userId);
+  for (const [key, e] of affected) {
+    const matching = oneRepMaxesFor(rows, e.exerciseId, e.name);
+    if (matching.some(r => r.source === 'manual')) continue;
+    const estimate = best.get(key);
+    if (estimate) saveEstimatedMax(userId, matching[0], estimate, estimate.date);
+    else for (const r of matching) stmts.deleteOneRepMax.run(userId, r.exercise);
+  }
+}
+
+function presentRecords(records, units) {
+  if (!Array.isArray(records)) return records;
+  return records.map(r => ({ ...r, e1rm: fromKg(r.e1rmKg, units), weight: fromKg(r.weightKg, units), previousE1rm: fromKg(r.previousE1rmKg, units) }));
+}
+
 // ── Workout routes ──────────────────────────────────────────────────────────────
+// Bodies are validated by schemas.workout / schemas.workoutUpdate (per-set
+// logging, with the older flat shape expanded into sets).
+// The exercises logged in a stored workout row
+function exercisesOf(row) {
+  let data = {};
+  try { data = JSON.parse(row.data); } catch (_) { /* none */ }
+  return Array.isArray(data.exercises) ? data.exercises : [];
+}
+
+// Without `units` the stored document is returned as is (kg only)
+function formatWorkout(row, units) {
+  const workout = { ...JSON.parse(row.data), updatedAt: row.updated_at };
+  if (!units) return workout;
+  return { ...workout, exercises: presentLifts(workout.exercises, units), personalRecords: presentRecords(workout.personalRecords, units) };
+}
+
 app.get('/api/workouts', requireAuth, (req, res) => {
-  const rows = stmts.getWorkouts.all(req.user.userId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  const units = userUnits(req.user.userId);
+  sendHistoryPage(req, res, HISTORY_LISTS.workouts, req.user.userId, r => formatWorkout(r, units));
 });
 
-app.post('/api/workouts', requireAuth, (req, res) => {
+// A stored workout as the client sent it, without the fields prepareWorkout
+// derives (these change with the user's catalogue, formula and later workouts)
+function sentWorkout(workout) {
+  const { personalRecords, ...sent } = workout;
+  const exercises = Array.isArray(sent.exercises) ? sent.exercises.map(({ exerciseId, ...e }) => (
+    Array.isArray(e.sets) ? { ...e, sets: e.sets.map(({ e1rmKg, ...set }) => set) } : e
+  )) : sent.exercises;
+  return { ...sent, exercises };
+}
+
+// Clients may supply the id. Resending an identical workout (e.g. a retry
+// after a dropped response) succeeds without creating a second copy.
+app.post('/api/workouts', requireAuth, validateBody(schemas.workout), (req, res) => {
   const session = req.body;
-  if (!session || !session.date || !Array.isArray(session.exercises)) {
-    return res.status(400).json({ error: 'Invalid workout data.' });
-  }
   const id = session.id || crypto.randomUUID();
   session.id = id;
-  stmts.insertWorkout.run(id, req.user.userId, session.date, JSON.stringify(session));
-  res.status(201).json({ ok: true, id });
+  const existing = stmts.getWorkoutById.get(id);
+  if (existing) {
+    if (existing.user_id === req.user.userId && existing.deleted_at) {
+      return res.status(409).json({ error: 'A workout with this id is in the trash. Restore it with POST /api/trash/workouts/:id/restore.' });
+    }
+    const stored = existing.user_id === req.user.userId ? JSON.parse(existing.data) : null;
+    if (stored && JSON.stringify(sentWorkout(stored)) === JSON.stringify(session)) {
+      return res.json({ ok: true, id, personalRecords: presentRecords(stored.personalRecords, userUnits(req.user.userId)) });
+    }
+    return res.status(409).json({ error: 'A workout with this id already exists. Use PUT /api/workouts/:id to change it.' });
+  }
+  const { workout, best } = prepareWorkout(req.user.userId, session);
+  stmts.insertWorkout.run(id, req.user.userId, workout.date, JSON.stringify(workout), new Date().toISOString());
+  updateEstimatedMaxes(req.user.userId, workout.date, best);
+  res.status(201).json({ ok: true, id, personalRecords: presentRecords(workout.personalRecords, userUnits(req.user.userId)) });
 });
 
+// PUT replaces the workout; PATCH merges the given top-level fields (date,
+// notes, exercises, …) into it. Either way the result is validated as a whole.
+function updateWorkout(req, res, merge) {
+  const existing = stmts.getWorkoutById.get(req.params.id);
+  if (!existing || existing.user_id !== req.user.userId || existing.deleted_at) return res.status(404).json({ error: 'Workout not found.' });
+  if (req.body.id !== undefined && req.body.id !== existing.id) {
+    return res.status(400).json({ error: 'The workout id cannot be changed.' });
+  }
+  let body = req.body;
+  if (merge) {
+    const { errors, value } = validate(schemas.workoutUpdate, { ...JSON.parse(existing.data), ...req.body });
+    if (errors) return sendValidationErrors(res, errors);
+    body = value;
+  }
+  delete body.updatedAt;
+  body.id = existing.id;
+  const { workout } = prepareWorkout(req.user.userId, body);
+  const updatedAt = new Date().toISOString();
+  stmts.updateWorkout.run(workout.date, JSON.stringify(workout), updatedAt, existing.id, req.user.userId);
+  recomputeEstimatedMaxes(req.user.userId, [...exercisesOf(existing), ...workout.exercises]);
+  res.json({ ok: true, id: existing.id, updatedAt, personalRecords: presentRecords(workout.personalRecords, userUnits(req.user.userId)) });
+}
+
+app.put('/api/workouts/:id', requireAuth, validateBody(schemas.workoutUpdate), (req, res) => updateWorkout(req, res, false));
+app.patch('/api/workouts/:id', requireAuth, validateBody(partial(schemas.workoutUpdate)), (req, res) => updateWorkout(req, res, true));
+
 app.delete('/api/workouts/:id', requireAuth, (req, res) => {
-  const info = stmts.deleteWorkout.run(req.params.id, req.user.userId);
+  const info = stmts.trashWorkout.run(new Date().toISOString(), req.params.id, req.user.userId);
   if (info.changes === 0) return res.status(404).json({ error: 'Workout not found.' });
+  recomputeEstimatedMaxes(req.user.userId, exercisesOf(stmts.getWorkoutById.get(req.params.id)));
   res.json({ ok: true });
 });
 
+// ── Records ───────────────────────────────────────────────────────────────────
+// Lifetime records per exercise, from every workout (see recordsBoard in
+// strength.js). Matched exercises count as one lift under their catalogue
+// name; estimated 1RMs use the athlete's own formula.
+function personalRecordsBoard(userId, units) {
+  const workouts = [];
+  for (const row of stmts.getWorkouts.all(userId)) {
+    try { workouts.push(JSON.parse(row.data)); } catch (_) { /* skip malformed rows */ }
+  }
+  const present = (record, field) => record && { ...record, [field]: fromKg(record[field + 'Kg'], units) };
+  return recordsBoard(workouts, exerciseKey, strengthSettings(userId).formula)
+    .map(r => ({
+      exerciseId: r.exerciseId,
+      exercise: (r.exerciseId !== null && stmts.getExerciseById.get(r.exerciseId)?.name) || r.exercise,
+      repMaxes: Object.fromEntries(Object.entries(r.repMaxes).map(([reps, record]) => [reps, present(record, 'weight')])),
+      e1rm: r.e1rm && { ...present(r.e1rm, 'e1rm'), weight: fromKg(r.e1rm.weightKg, units) },
+      volume: present(r.volume, 'volume'),
+    }))
+    .sort((a, b) => a.exercise.localeCompare(b.exercise));
+}
+
+app.get('/api/records', requireAuth, (req, res) => {
+  res.json(personalRecordsBoard(req.user.userId, userUnits(req.user.userId)));
+});
+
+// ── Analytics ─────────────────────────────────────────────────────────────────
+// Training volume per muscle group (see analytics.js) over ?from / ?to
+// (YYYY-MM-DD; this week and the 11 before by default), grouped by ?granularity
+// (week or month). Exercises count for their catalogue primary muscle, and
+// those matching no exercise as 'other'.
+const ANALYTICS_DEFAULT_WEEKS = 12;
+const ANALYTICS_MAX_PERIODS = 104;
+
+function volumeAnalytics(req, res, userId) {
+  const { from: qFrom, to: qTo, granularity = 'week' } = req.query;
+  for (const [key, value] of [['from', qFrom], ['to', qTo]]) {
+    if (value && !isIsoDate(value)) return res.status(400).json({ error: `${key} must be in YYYY-MM-DD format.` });
+  }
+  if (!ANALYTICS_GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${ANALYTICS_GRANULARITIES.join(', ')}.` });
+  }
+  const to = qTo || new Date().toISOString().split('T')[0];
+  const from = qFrom || new Date(Date.parse(periodStart(to, 'week')) - (ANALYTICS_DEFAULT_WEEKS - 1) * 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  if (from > to) return res.status(400).json({ error: 'from must not be after to.' });
+  if (periodStarts(from, to, granularity).length > ANALYTICS_MAX_PERIODS) {
+    return res.status(400).json({ error: `The range covers more than ${ANALYTICS_MAX_PERIODS} periods; narrow it or use a longer granularity.` });
+  }
+
+  const workouts = [];
+  for (const row of stmts.pageWorkouts.all({ userId, from, to, afterDate: null, afterId: null, limit: -1 })) {
+    try { workouts.push(JSON.parse(row.data)); } catch (_) { /* skip malformed rows */ }
+  }
+  const muscles = new Map();
+  const muscleOf = e => {
+    if (e.exerciseId == null) return 'other';
+    if (!muscles.has(e.exerciseId)) muscles.set(e.exerciseId, stmts.getExerciseById.get(e.exerciseId)?.primary_muscle || 'other');
+    return muscles.get(e.exerciseId);
+  };
+  const { periods, totals } = muscleVolume(workouts, { from, to, granularity }, muscleOf);
+
+  const units = userUnits(req.user.userId);
+  const present = groups => Object.fromEntries(Object.entries(groups).map(([group, m]) => [group, { ...m, tonnage: fromKg(m.tonnageKg, units) }]));
+  res.json({
+    from, to, granularity, units,
+    periods: periods.map(p => ({ ...p, muscles: present(p.muscles) })),
+    totals: present(totals),
+  });
+}
+
+app.get('/api/analytics/volume', requireAuth, (req, res) => volumeAnalytics(req, res, req.user.userId));
+
+// Bodyweight trend (see weightTrend in analytics.js) from the whole history,
+// with the points narrowed to ?from / ?to. The goal is the one on the latest
+// weigh-in that has one.
+function sendWeightTrend(req, res, userId) {
+  for (const key of ['from', 'to']) {
+    if (req.query[key] && !isIsoDate(req.query[key])) return res.status(400).json({ error: `${key} must be in YYYY-MM-DD format.` });
+  }
+  const entries = [];
+  for (const row of stmts.getWeights.all(userId)) {
+    try { entries.push(JSON.parse(row.data)); } catch (_) { /* skip malformed rows */ }
+  }
+  const goalKg = entries.reduce((goal, e) => (e.goal > 0 ? e.goal : goal), null);
+  const trend = weightTrend(entries.map(e => ({ date: e.date, weightKg: e.weight })), goalKg);
+
+  const { from, to } = req.query;
+  const units = userUnits(req.user.userId);
+  res.json({
+    units,
+    points: trend.points
+      .filter(p => (!from || p.date >= from) && (!to || p.date <= to))
+      .map(p => ({ date: p.date, weight: fromKg(p.weightKg, units), trend: fromKg(p.trendKg, units) })),
+    trend: fromKg(trend.trendKg, units),
+    weeklyRate: fromKg(trend.weeklyRateKg, units),
+    goal: fromKg(trend.goalKg, units),
+    goalReached: trend.goalReached,
+    projectedGoalDate: trend.projectedGoalDate,
+  });
+}
+
 // ── Weight routes ───────────────────────────────────────────────────────────────
 app.get('/api/weights', requireAuth, (req, res) => {
-  const rows = stmts.getWeights.all(req.user.userId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  const units = userUnits(req.user.userId);
+  sendHistoryPage(req, res, HISTORY_LISTS.weights, req.user.userId, r => presentWeight(JSON.parse(r.data), units));
 });
 
-app.post('/api/weights', requireAuth, (req, res) => {
+app.get('/api/weights/trend', requireAuth, (req, res) => sendWeightTrend(req, res, req.user.userId));
+
+app.post('/api/weights', requireAuth, validateBody(schemas.weight), (req, res) => {
   const entry = req.body;
-  if (!entry || !entry.date || !entry.weight) {
-    return res.status(400).json({ error: 'Date and weight are required.' });
-  }
   stmts.upsertWeight.run(req.user.userId, entry.date, JSON.stringify(entry));
   res.status(201).json({ ok: true });
 });
 
+// Edit an entry. Fields left out keep their values; a new `date` moves the
+// entry, unless that day already has one.
+app.put('/api/weights/:date', requireAuth, validateBody(partial(schemas.weight)), (req, res) => {
+  const row = stmts.getWeight.get(req.user.userId, req.params.date);
+  if (!row) return res.status(404).json({ error: 'Weight entry not found.' });
+  const { errors, value: entry } = validate(schemas.weight, { ...JSON.parse(row.data), ...req.body });
+  if (errors) return sendValidationErrors(res, errors);
+  if (entry.date !== req.params.date && stmts.getWeight.get(req.user.userId, entry.date)) {
+    return res.status(409).json({ error: 'There is already a weight entry for that date.' });
+  }
+  // As with a new entry, moving onto a day replaces one of that day in the trash
+  if (entry.date !== req.params.date) stmts.purgeTrashedWeight.run(req.user.userId, entry.date);
+  stmts.updateWeight.run(entry.date, JSON.stringify(entry), req.user.userId, req.params.date);
+  res.json({ ok: true, entry: presentWeight(entry, userUnits(req.user.userId)) });
+});
+
 app.delete('/api/weights/:date', requireAuth, (req, res) => {
-  const info = stmts.deleteWeight.run(req.user.userId, req.params.date);
+  const info = stmts.trashWeight.run(new Date().toISOString(), req.user.userId, req.params.date);
   if (info.changes === 0) return res.status(404).json({ error: 'Weight entry not found.' });
   res.json({ ok: true });
 });
 
 // ── Calorie routes ──────────────────────────────────────────────────────────────
 app.get('/api/calories', requireAuth, (req, res) => {
-  const rows = stmts.getCalories.all(req.user.userId);
-  res.json(rows.map(r => ({ ...JSON.parse(r.data), id: r.id })));
+  sendHistoryPage(req, res, HISTORY_LISTS.calories, req.user.userId, r => ({ ...JSON.parse(r.data), id: r.id }));
 });
 
-app.post('/api/calories', requireAuth, (req, res) => {
+app.post('/api/calories', requireAuth, validateBody(schemas.calorie), (req, res) => {
   const entry = req.body;
-  if (!entry || !entry.date || !entry.food || entry.calories === undefined) {
-    return res.status(400).json({ error: 'Date, food and calories are required.' });
-  }
   const info = stmts.insertCalorie.run(req.user.userId, entry.date, JSON.stringify(entry));
   res.status(201).json({ ok: true, id: info.lastInsertRowid });
 });
 
+// Edit an entry. Nutrition is given per serving in `perServing` ({ calories,
+// protein, carbs, fat }) and the stored totals are recalculated for `qty`.
+// Anything left out keeps its current value, with the current per-serving
+// figures taken as the stored totals divided by the stored quantity.
+const CALORIE_NUTRIENTS = ['calories', 'protein', 'carbs', 'fat'];
+
+app.put('/api/calories/:id', requireAuth, validateBody(schemas.calorieUpdate), (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id.' });
+  const row = stmts.getCalorieById.get(id);
+  if (!row || row.user_id !== req.user.userId) return res.status(404).json({ error: 'Calorie entry not found.' });
+  const current = JSON.parse(row.data);
+  const { perServing = {}, ...changes } = req.body;
+  const oldQty = parseFloat(current.qty) > 0 ? parseFloat(current.qty) : 1;
+  const entry = { ...current, qty: oldQty, ...changes };
+  for (const key of CALORIE_NUTRIENTS) {
+    const value = perServing[key] !== undefined ? perServing[key] : (parseFloat(current[key]) || 0) / oldQty;
+    const total = Math.round(value * entry.qty * 10) / 10;
+    // A macro that comes to nothing is left out, as when logging
+    entry[key] = key === 'calories' || total > 0 ? total : undefined;
+  }
+  const { errors, value } = validate(schemas.calorie, entry);
+  if (errors) return sendValidationErrors(res, errors);
+  stmts.updateCalorie.run(value.date, JSON.stringify(value), id, req.user.userId);
+  res.json({ ok: true, entry: { ...value, id } });
+});
+
 app.delete('/api/calories/:id', requireAuth, (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid id.' });
-  const info = stmts.deleteCalorie.run(id, req.user.userId);
+  const info = stmts.trashCalorie.run(new Date().toISOString(), id, req.user.userId);
   if (info.changes === 0) return res.status(404).json({ error: 'Calorie entry not found.' });
   res.json({ ok: true });
 });
 
+// ── Nutrition ─────────────────────────────────────────────────────────────────
+// Estimated TDEE (see estimateTdee in analytics.js) over the ?days (14 to 90,
+// default 28) up to yesterday, as today's log is likely unfinished. The target
+// follows ?goal, or else the profile's goal: 'lose-weight' loses,
+// 'gain-muscle' gains and anything else maintains.
+const TDEE_DEFAULT_DAYS = 28;
+const TDEE_MIN_DAYS = 14;
+const TDEE_MAX_DAYS = 90;
+const PROFILE_GOAL_TARGETS = { 'lose-weight': 'lose', 'gain-muscle': 'gain' };
+const CALORIE_GOALS = Object.keys(TDEE_GOAL_ADJUSTMENTS);
+
+app.get('/api/nutrition/tdee', requireAuth, (req, res) => {
+  const days = req.query.days === undefined ? TDEE_DEFAULT_DAYS : Number(req.query.days);
+  if (!Number.isInteger(days) || days < TDEE_MIN_DAYS || days > TDEE_MAX_DAYS) {
+    return res.status(400).json({ error: `days must be a whole number from ${TDEE_MIN_DAYS} to ${TDEE_MAX_DAYS}.` });
+  }
+  if (req.query.goal !== undefined && !CALORIE_GOALS.includes(req.query.goal)) {
+    return res.status(400).json({ error: `goal must be one of: ${CALORIE_GOALS.join(', ')}.` });
+  }
+  const userId = req.user.userId;
+  let profile = {};
+  try { profile = JSON.parse(stmts.getProfile.get(userId)?.data || '{}'); } catch (_) { /* no profile */ }
+  const goal = req.query.goal || PROFILE_GOAL_TARGETS[profile.goal] || 'maintain';
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const to = new Date(Date.now() - dayMs).toISOString().split('T')[0];
+  const from = new Date(Date.now() - days * dayMs).toISOString().split('T')[0];
+  const intakes = [];
+  for (const row of stmts.pageCalories.all({ userId, from, to, afterDate: null, afterId: null, limit: -1 })) {
+    try { intakes.push(JSON.parse(row.data)); } catch (_) { /* skip malformed rows */ }
+  }
+  const weighIns = [];
+  for (const row of stmts.getWeights.all(userId)) {
+    try { const e = JSON.parse(row.data); weighIns.push({ date: e.date, weightKg: e.weight }); } catch (_) { /* skip malformed rows */ }
+  }
+  const estimate = estimateTdee(intakes, weighIns, { from, to });
+
+  const units = userUnits(userId);
+  res.json({
+    from, to, days, units,
+    loggedDays: estimate.loggedDays,
+    averageIntake: estimate.averageIntake,
+    trendChange: fromKg(estimate.trendChangeKg, units),
+    tdee: estimate.tdee,
+    confidence: estimate.confidence,
+    goal,
+    recommendedCalories: calorieTarget(estimate.tdee, goal),
+    dailyCalorieGoal: profile.dailyCalorieGoal ?? null,
+  });
+});
+
 // ── Food search proxy ────────────────────────────────────────────────────────────
 // Simple TTL cache keyed by lowercase query – avoids redundant upstream calls.
 // The cache key is only the query because all other URL parameters are fixed
@@ -485,6 +2132,18 @@ const foodSearchCache = new Map(); // lowercase-query -> { results, expiresAt }
 const FOOD_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
 const FOOD_CACHE_MAX_ENTRIES = 500;       // prevent unbounded memory growth
 
+// FDC nutrient values are per 100 g. Imperial users get them per ounce, so
+// the quantity on the calorie form counts ounces.
+function presentFoods(results, units) {
+  if (units !== 'lb') return results.map(r => ({ ...r, serving: '100 g' }));
+  const scale = v => (v === null ? null : Math.round(v * G_PER_OZ / 100 * 10) / 10);
+  return results.map(r => ({
+    ...r,
+    serving: '1 oz',
+    calories: scale(r.calories), protein: scale(r.protein), carbs: scale(r.carbs), fat: scale(r.fat),
+  }));
+}
+
 app.get('/api/food/search', requireAuth, async (req, res) => {
   const query = (req.query.q || '').trim();
   if (!query) return res.status(400).json({ error: 'Query parameter q is required.' });
@@ -494,7 +2153,7 @@ app.get('/api/food/search', requireAuth, async (req, res) => {
   const cached = foodSearchCache.get(cacheKey);
   if (cached && cached.expiresAt > Date.now()) {
     console.log(`[food-search] Cache hit for query "${query}"`);
-    return res.json(cached.results);
+    return res.json(presentFoods(cached.results, userUnits(req.user.userId)));
   }
 
   // Use the USDA FDC POST search endpoint so that dataType is sent as a JSON
@@ -568,12 +2227,18 @@ app.get('/api/food/search', requireAuth, async (req, res) => {
   foodSearchCache.set(cacheKey, { results, expiresAt: Date.now() + FOOD_CACHE_TTL_MS });
 
   console.log(`[food-search] Returning ${results.length} named result(s) for query "${query}"`);
-  res.json(results);
+  res.json(presentFoods(results, userUnits(req.user.userId)));
 });
 
 // ── Admin routes ──────────────────────────────────────────────────────────────
 app.get('/api/admin/users', requireAuth, requireAdmin, (req, res) => {
-  res.json(stmts.listUsers.all());
+  res.json(stmts.listUsersWithAuth.all().map(u => ({
+    id: u.id,
+    username: u.username,
+    role: u.role,
+    loginMethods: [...(u.has_password ? ['password'] : []), ...(u.providers ? u.providers.split(',') : [])],
+    twoFactorEnabled: !!u.totp_enabled,
+  })));
 });
 
 app.post('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
@@ -582,9 +2247,8 @@ app.post('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
   if (!/^[a-zA-Z0-9_]{2,30}$/.test(username)) {
     return res.status(400).json({ error: 'Username must be 2–30 characters (letters, numbers, underscores).' });
   }
-  if (typeof password !== 'string' || password.length < 8) {
-    return res.status(400).json({ error: 'Password must be at least 8 characters.' });
-  }
+  const passwordError = validatePassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
   if (!VALID_ROLES.includes(role)) {
     return res.status(400).json({ error: `Role must be one of: ${VALID_ROLES.join(', ')}.` });
   }
@@ -593,6 +2257,7 @@ app.post('/api/admin/users', requireAuth, requireAdmin, async (req, res) => {
   }
   const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
   const info = stmts.insertUserWithRole.run(username, hash, role);
+  audit(req, 'user.create', { targetUserId: info.lastInsertRowid, details: { role } });
   res.status(201).json({ ok: true, id: info.lastInsertRowid });
 });
 
@@ -602,7 +2267,8 @@ app.put('/api/admin/users/:id', requireAuth, requireAdmin, async (req, res) => {
 
   const { username, role, password } = req.body || {};
 
-  if (!stmts.getUserById.get(id)) return res.status(404).json({ error: 'User not found.' });
+  const before = stmts.getUserById.get(id);
+  if (!before) return res.status(404).json({ error: 'User not found.' });
 
   if (username !== undefined) {
     if (!/^[a-zA-Z0-9_]{2,30}$/.test(username)) {
@@ -613,6 +2279,9 @@ app.put('/api/admin/users/:id', requireAuth, requireAdmin, async (req, res) => {
       return res.status(409).json({ error: 'Username already taken.' });
     }
     stmts.updateUsername.run(username, id);
+    if (username !== before.username) {
+      audit(req, 'user.rename', { targetUserId: id, details: { from: before.username, to: username } });
+    }
   }
 
   if (role !== undefined) {
@@ -620,14 +2289,20 @@ app.put('/api/admin/users/:id', requireAuth, requireAdmin, async (req, res) => {
       return res.status(400).json({ error: `Role must be one of: ${VALID_ROLES.join(', ')}.` });
     }
     stmts.updateUserRole.run(role, id);
+    if (role !== before.role) {
+      // Access tokens carry the role, so sessions started under the old one end
+      stmts.revokeUserSessions.run(new Date().toISOString(), id);
+      audit(req, 'user.role', { targetUserId: id, details: { from: before.role, to: role } });
+    }
   }
 
   if (password !== undefined) {
-    if (typeof password !== 'string' || password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters.' });
-    }
+    const passwordError = validatePassword(password);
+    if (passwordError) return res.status(400).json({ error: passwordError });
     const hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
     stmts.updateUserPassword.run(hash, id);
+    stmts.revokeUserSessions.run(new Date().toISOString(), id);
+    audit(req, 'user.password', { targetUserId: id });
   }
 
   res.json({ ok: true });
@@ -637,11 +2312,75 @@ app.delete('/api/admin/users/:id', requireAuth, requireAdmin, (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid user id.' });
   if (id === req.user.userId) return res.status(400).json({ error: 'Cannot delete your own account.' });
+  const target = stmts.getUserById.get(id);
   const info = stmts.deleteUser.run(id);
   if (info.changes === 0) return res.status(404).json({ error: 'User not found.' });
+  audit(req, 'user.delete', { targetUserId: id, targetUsername: target.username, details: { role: target.role } });
+  res.json({ ok: true });
+});
+
+// Site-wide security settings
+app.get('/api/admin/settings', requireAuth, requireAdmin, (req, res) => {
+  res.json({ require2faRoles: mfaRequiredRoles() });
+});
+
+app.put('/api/admin/settings', requireAuth, requireAdmin, (req, res) => {
+  const { require2faRoles } = req.body || {};
+  if (require2faRoles !== undefined) {
+    const allowed = ['admin', 'trainer'];
+    if (!Array.isArray(require2faRoles) || require2faRoles.some(r => !allowed.includes(r))) {
+      return res.status(400).json({ error: `require2faRoles must be a list of: ${allowed.join(', ')}.` });
+    }
+    // Stop an admin from locking themselves out of this very page
+    const self = stmts.getUserById.get(req.user.userId);
+    if (require2faRoles.includes('admin') && !self.totp_enabled) {
+      return res.status(400).json({ error: 'Enable two-factor authentication on your own account first.' });
+    }
+    stmts.setSetting.run('require_2fa_roles', JSON.stringify([...new Set(require2faRoles)]));
+    audit(req, 'settings.update', { details: { require2faRoles: [...new Set(require2faRoles)] } });
+  }
+  res.json({ ok: true });
+});
+
+// Usernames with recent failed logins, including any currently locked out
+app.get('/api/admin/lockouts', requireAuth, requireAdmin, (req, res) => {
+  const now = new Date().toISOString();
+  res.json(stmts.listLoginFailures.all().map(r => ({
+    username: r.username,
+    failures: r.failures,
+    lastFailureAt: r.last_failure_at,
+    lockedUntil: r.locked_until,
+    locked: !!r.locked_until && r.locked_until > now,
+  })));
+});
+
+app.delete('/api/admin/lockouts/:username', requireAuth, requireAdmin, (req, res) => {
+  const info = stmts.clearLoginFailures.run(req.params.username);
+  if (info.changes === 0) return res.status(404).json({ error: 'No failed logins recorded for that username.' });
+  audit(req, 'lockout.clear', { details: { username: req.params.username } });
   res.json({ ok: true });
 });
 
+// Generate a single-use reset code for the admin to hand to the user
+app.post('/api/admin/users/:id/reset-code', requireAuth, requireAdmin, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid user id.' });
+  if (!stmts.getUserById.get(id)) return res.status(404).json({ error: 'User not found.' });
+  const code = createResetCode(id, 'admin');
+  audit(req, 'user.reset_code', { targetUserId: id });
+  res.status(201).json(code);
+});
+
+// Revoke every session of a user, e.g. after demoting them or on suspected compromise
+app.delete('/api/admin/users/:id/sessions', requireAuth, requireAdmin, (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (!Number.isFinite(id)) return res.status(400).json({ error: 'Invalid user id.' });
+  if (!stmts.getUserById.get(id)) return res.status(404).json({ error: 'User not found.' });
+  const info = stmts.revokeUserSessions.run(new Date().toISOString(), id);
+  audit(req, 'user.sessions_revoke', { targetUserId: id, details: { revoked: info.changes } });
+  res.json({ ok: true, revoked: info.changes });
+});
+
 app.post('/api/admin/assignments', requireAuth, requireAdmin, (req, res) => {
   const { trainerId, userId } = req.body || {};
   if (!trainerId || !userId) return res.status(400).json({ error: 'trainerId and userId are required.' });
@@ -650,7 +2389,9 @@ app.post('/api/admin/assignments', requireAuth, requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'Specified user is not a trainer.' });
   }
   if (!stmts.getUserById.get(userId)) return res.status(404).json({ error: 'User not found.' });
-  stmts.assignTrainer.run(trainerId, userId);
+  if (stmts.assignTrainer.run(trainerId, userId).changes) {
+    audit(req, 'assignment.create', { targetUserId: userId, details: { trainerId: trainer.id, trainerUsername: trainer.username } });
+  }
   res.status(201).json({ ok: true });
 });
 
@@ -662,6 +2403,7 @@ app.delete('/api/admin/assignments/:trainerId/:userId', requireAuth, requireAdmi
   }
   const info = stmts.removeAssignment.run(trainerId, userId);
   if (info.changes === 0) return res.status(404).json({ error: 'Assignment not found.' });
+  audit(req, 'assignment.delete', { targetUserId: userId, details: { trainerId } });
   res.json({ ok: true });
 });
 
@@ -675,6 +2417,177 @@ app.get('/api/admin/assignments/:trainerId', requireAuth, requireAdmin, (req, re
   res.json(stmts.getAssignedUsers.all(trainerId));
 });
 
+// Newest first. Filters: ?actorId, ?targetUserId, ?userId (either side),
+// ?action (exact, or a prefix such as `user` for every user.* action),
+// ?from / ?to (YYYY-MM-DD, inclusive), ?limit (max 500) and ?before (an entry
+// id, for paging with the returned `nextBefore`).
+app.get('/api/admin/audit', requireAuth, requireAdmin, (req, res) => {
+  const q = req.query;
+  const ids = {};
+  for (const key of ['actorId', 'targetUserId', 'userId', 'before']) {
+    if (q[key] === undefined || q[key] === '') { ids[key] = null; continue; }
+    ids[key] = parseInt(q[key], 10);
+    if (!Number.isFinite(ids[key])) return res.status(400).json({ error: `Invalid ${key} parameter.` });
+  }
+  for (const key of ['from', 'to']) {
+    if (q[key] && (!/^\d{4}-\d{2}-\d{2}$/.test(q[key]) || isNaN(Date.parse(q[key])))) {
+      return res.status(400).json({ error: `${key} must be in YYYY-MM-DD format.` });
+    }
+  }
+  const limit = q.limit === undefined ? 100 : parseInt(q.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 500.' });
+  }
+  let to = null;
+  if (q.to) {
+    const next = new Date(q.to + 'T00:00:00Z');
+    next.setUTCDate(next.getUTCDate() + 1);
+    to = next.toISOString();
+  }
+  const rows = stmts.searchAudit.all({
+    ...ids,
+    action: q.action || null,
+    from: q.from || null,
+    to,
+    limit,
+  });
+  res.json({
+    entries: rows.map(r => ({
+      id: r.id,
+      createdAt: r.created_at,
+      actorId: r.actor_id,
+      actorUsername: r.actor_username,
+      action: r.action,
+      targetUserId: r.target_user_id,
+      targetUsername: r.target_username,
+      details: r.details ? JSON.parse(r.details) : null,
+      ip: r.ip,
+    })),
+    nextBefore: rows.length === limit ? rows[rows.length - 1].id : null,
+  });
+});
+
+// Re-validates every stored document against its schema, with the same
+// coercion as requests get, and lists the rows that would now be rejected
+// (e.g. a weight saved as "abc" before validation existed). Read-only.
+const CONSISTENCY_MAX_PROBLEMS = 500;
+const CONSISTENCY_CHECKS = [
+  { resource: 'profiles', stmt: 'allProfiles', schema: schemas.profile },
+  { resource: 'workouts', stmt: 'allWorkouts', schema: schemas.workoutUpdate },
+  { resource: 'weights',  stmt: 'allWeights',  schema: schemas.weight },
+  { resource: 'calories', stmt: 'allCalories', schema: schemas.calorie },
+  { resource: 'plans',    stmt: 'allPlans',    schema: schemas.plan },
+];
+
+app.get('/api/admin/consistency', requireAuth, requireAdmin, (req, res) => {
+  const checked = {};
+  const problems = [];
+  let truncated = false;
+  for (const { resource, stmt, schema } of CONSISTENCY_CHECKS) {
+    checked[resource] = 0;
+    for (const row of stmts[stmt].iterate()) {
+      checked[resource]++;
+      let errors;
+      try {
+        errors = validate(schema, JSON.parse(row.data)).errors;
+      } catch (_) {
+        errors = [{ field: '', message: 'Stored data is not valid JSON.' }];
+      }
+      if (!errors) continue;
+      if (problems.length === CONSISTENCY_MAX_PROBLEMS) { truncated = true; continue; }
+      const key = row.date !== undefined ? { date: row.date } : row.id !== undefined ? { id: row.id } : {};
+      problems.push({ resource, userId: row.user_id, ...key, errors });
+    }
+  }
+  res.json({ checked, problems, truncated });
+});
+
+// ── Exercise aliases and matching back-fill ─────────────────────────────────
+// Aliases map other names ("BB bench") to a built-in exercise for everyone. The
+// back-fill is a one-off job that tags every stored workout exercise with
+// `exerciseId` and every 1RM with its exercise, using each owner's catalogue.
+// It can be re-run after adding aliases. Names still unmatched are listed,
+// most frequent first, as candidates for new aliases.
+const BACKFILL_MAX_UNMATCHED = 100;
+
+app.get('/api/admin/exercise-aliases', requireAuth, requireAdmin, (req, res) => {
+  res.json(stmts.listExerciseAliases.all().map(r => ({
+    id: r.id, alias: r.alias, exerciseId: r.exercise_id, exercise: r.exercise_name, createdAt: r.created_at,
+  })));
+});
+
+app.post('/api/admin/exercise-aliases', requireAuth, requireAdmin, (req, res) => {
+  const { alias, exerciseId } = req.body || {};
+  if (typeof alias !== 'string' || !alias.trim() || alias.trim().length > 100) {
+    return res.status(400).json({ error: 'alias must be text of 1 to 100 characters.' });
+  }
+  const exercise = Number.isInteger(exerciseId) ? stmts.getExerciseById.get(exerciseId) : null;
+  if (!exercise || exercise.owner_id !== null) {
+    return res.status(400).json({ error: 'exerciseId must be the id of a built-in exercise.' });
+  }
+  if (stmts.getExerciseAlias.get(alias.trim())) return res.status(409).json({ error: 'That alias already exists.' });
+  const info = stmts.insertExerciseAlias.run(alias.trim(), exercise.id, new Date().toISOString());
+  audit(req, 'exercise.alias.create', { details: { alias: alias.trim(), exerciseId: exercise.id, exercise: exercise.name } });
+  res.status(201).json({ ok: true, id: info.lastInsertRowid });
+});
+
+app.delete('/api/admin/exercise-aliases/:id', requireAuth, requireAdmin, (req, res) => {
+  const info = stmts.deleteExerciseAlias.run(parseInt(req.params.id, 10));
+  if (info.changes === 0) return res.status(404).json({ error: 'Alias not found.' });
+  audit(req, 'exercise.alias.delete', { details: { id: parseInt(req.params.id, 10) } });
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/exercises/backfill', requireAuth, requireAdmin, (req, res) => {
+  const matchers = new Map();
+  const matcherFor = userId => {
+    if (!matchers.has(userId)) matchers.set(userId, exerciseMatcher(userId));
+    return matchers.get(userId);
+  };
+  const unmatched = new Map();
+  const noteUnmatched = name => {
+    const key = String(name).trim().toLowerCase();
+    if (!key) return;
+    const entry = unmatched.get(key) || { name: String(name).trim(), count: 0 };
+    entry.count++;
+    unmatched.set(key, entry);
+  };
+  const workouts = { checked: 0, updated: 0 };
+  const oneRepMaxes = { checked: 0, updated: 0 };
+
+  db.transaction(() => {
+    for (const row of stmts.allWorkouts.all()) {
+      workouts.checked++;
+      let workout;
+      try { workout = JSON.parse(row.data); } catch (_) { continue; }
+      if (!workout || !Array.isArray(workout.exercises)) continue;
+      const match = matcherFor(row.user_id);
+      const exercises = workout.exercises.map(e => {
+        if (!e || typeof e !== 'object') return e;
+        const exerciseId = match(e.name);
+        if (exerciseId === null) noteUnmatched(e.name);
+        return { ...e, exerciseId };
+      });
+      const data = JSON.stringify({ ...workout, exercises });
+      if (data === row.data) continue;
+      stmts.setWorkoutData.run(data, row.id);
+      workouts.updated++;
+    }
+    for (const row of stmts.allOneRepMaxes.all()) {
+      oneRepMaxes.checked++;
+      const exerciseId = matcherFor(row.user_id)(row.exercise);
+      if (exerciseId === null) noteUnmatched(row.exercise);
+      if (exerciseId === row.exercise_id) continue;
+      stmts.setOneRepMaxExercise.run(exerciseId, row.user_id, row.exercise);
+      oneRepMaxes.updated++;
+    }
+  })();
+
+  const names = [...unmatched.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  audit(req, 'exercise.backfill', { details: { workouts, oneRepMaxes, unmatched: names.length } });
+  res.json({ workouts, oneRepMaxes, unmatched: names.slice(0, BACKFILL_MAX_UNMATCHED), truncated: names.length > BACKFILL_MAX_UNMATCHED });
+});
+
 // ── Trainer routes ────────────────────────────────────────────────────────────
 app.get('/api/trainer/users', requireAuth, requireTrainer, (req, res) => {
   if (req.user.role === 'admin') return res.json(stmts.listUsers.all());
@@ -687,35 +2600,130 @@ app.get('/api/trainer/users/:id/profile', requireAuth, requireTrainer, trainerCa
 });
 
 app.get('/api/trainer/users/:id/workouts', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
-  const rows = stmts.getWorkouts.all(req.targetUserId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  const units = userUnits(req.user.userId);
+  sendHistoryPage(req, res, HISTORY_LISTS.workouts, req.targetUserId, r => formatWorkout(r, units));
 });
 
 app.get('/api/trainer/users/:id/weights', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
-  const rows = stmts.getWeights.all(req.targetUserId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  const units = userUnits(req.user.userId);
+  sendHistoryPage(req, res, HISTORY_LISTS.weights, req.targetUserId, r => presentWeight(JSON.parse(r.data), units));
 });
 
 app.get('/api/trainer/users/:id/calories', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
-  const rows = stmts.getCalories.all(req.targetUserId);
-  res.json(rows.map(r => ({ ...JSON.parse(r.data), id: r.id })));
+  sendHistoryPage(req, res, HISTORY_LISTS.calories, req.targetUserId, r => ({ ...JSON.parse(r.data), id: r.id }));
 });
 
 app.get('/api/trainer/users/:id/1rm', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
-  res.json(stmts.getOneRepMaxes.all(req.targetUserId));
+  const units = userUnits(req.user.userId);
+  res.json(stmts.getOneRepMaxes.all(req.targetUserId).map(r => presentOneRepMax(r, units)));
+});
+
+app.get('/api/trainer/users/:id/records', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
+  res.json(personalRecordsBoard(req.targetUserId, userUnits(req.user.userId)));
+});
+
+app.get('/api/trainer/users/:id/analytics/volume', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
+  volumeAnalytics(req, res, req.targetUserId);
+});
+
+app.get('/api/trainer/users/:id/weights/trend', requireAuth, requireTrainer, trainerCanAccessUser, (req, res) => {
+  sendWeightTrend(req, res, req.targetUserId);
+});
+
+// ── Trainer invite codes ──────────────────────────────────────────────────────
+// A trainer shares a code (or a login.html?invite=CODE link). Anyone who
+// registers or signs in with it is assigned to that trainer, and to the plans
+// chosen for the code. Codes expire and allow a limited number of uses.
+const INVITE_ERROR = 'Invite code is invalid or has expired.';
+
+function findActiveInvite(code) {
+  return stmts.findActiveInvite.get(normalizeCode(code), new Date().toISOString()) || null;
+}
+
+// Assign `userId` to the invite's trainer and plans, counting one use. Returns
+// false when the code has meanwhile run out or is the trainer's own.
+function redeemInvite(inviteId, userId) {
+  return db.transaction(() => {
+    const invite = stmts.getInvite.get(inviteId);
+    if (!invite || invite.trainer_id === userId) return false;
+    if (!stmts.useInvite.run(inviteId, new Date().toISOString()).changes) return false;
+    stmts.assignTrainer.run(invite.trainer_id, userId);
+    audit(null, 'assignment.create', {
+      actorId: userId, targetUserId: userId, details: { trainerId: invite.trainer_id, inviteId },
+    });
+    for (const planId of JSON.parse(invite.plan_ids)) {
+      const plan = stmts.getPlanById.get(planId);
+      if (plan && plan.trainer_id === invite.trainer_id) {
+        stmts.assignPlan.run(planId, userId);
+        audit(null, 'plan.assign', {
+          actorId: userId, targetUserId: userId, details: { planId, planName: plan.name, inviteId },
+        });
+      }
+    }
+    return true;
+  })();
+}
+
+function formatInvite(row) {
+  const now = new Date().toISOString();
+  return {
+    id: row.id,
+    code: formatCode(row.code),
+    planIds: JSON.parse(row.plan_ids),
+    maxUses: row.max_uses,
+    uses: row.uses,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    active: !row.revoked_at && row.expires_at > now && row.uses < row.max_uses,
+  };
+}
+
+app.get('/api/trainer/invites', requireAuth, requireTrainer, (req, res) => {
+  res.json(stmts.listInvites.all(req.user.userId).map(formatInvite));
+});
+
+// Create a code from { maxUses = 1, expiresInDays = 7, planIds = [] }
+app.post('/api/trainer/invites', requireAuth, requireTrainer, (req, res) => {
+  if (req.user.role !== 'trainer') return res.status(403).json({ error: 'Only trainers can create invite codes.' });
+  const { maxUses = 1, expiresInDays = 7, planIds = [] } = req.body || {};
+  if (!Number.isInteger(maxUses) || maxUses < 1 || maxUses > INVITE_MAX_USES) {
+    return res.status(400).json({ error: `maxUses must be a whole number from 1 to ${INVITE_MAX_USES}.` });
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > INVITE_MAX_DAYS) {
+    return res.status(400).json({ error: `expiresInDays must be a whole number from 1 to ${INVITE_MAX_DAYS}.` });
+  }
+  if (!Array.isArray(planIds)) return res.status(400).json({ error: 'planIds must be an array.' });
+  for (const planId of planIds) {
+    const plan = stmts.getPlanById.get(planId);
+    if (!plan || plan.trainer_id !== req.user.userId) {
+      return res.status(400).json({ error: 'Invite plans must be your own plans.' });
+    }
+  }
+
+  const now       = new Date();
+  const expiresAt = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+  const info = stmts.insertInvite.run(
+    req.user.userId, randomCode(), JSON.stringify([...new Set(planIds)]), maxUses, now.toISOString(), expiresAt
+  );
+  res.status(201).json(formatInvite(stmts.getInvite.get(info.lastInsertRowid)));
+});
+
+app.delete('/api/trainer/invites/:id', requireAuth, requireTrainer, (req, res) => {
+  const info = stmts.revokeInvite.run(new Date().toISOString(), req.params.id, req.user.userId);
+  if (info.changes === 0) return res.status(404).json({ error: 'Invite code not found.' });
+  res.json({ ok: true });
 });
 
 // ── Trainer plan routes ───────────────────────────────────────────────────────
 app.get('/api/trainer/plans', requireAuth, requireTrainer, (req, res) => {
+  const units = userUnits(req.user.userId);
   const rows = stmts.getTrainerPlans.all(req.user.userId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  res.json(rows.map(r => presentPlan(JSON.parse(r.data), units)));
 });
 
-app.post('/api/trainer/plans', requireAuth, requireTrainer, (req, res) => {
+app.post('/api/trainer/plans', requireAuth, requireTrainer, validateBody(schemas.plan), (req, res) => {
   const plan = req.body;
-  if (!plan || !plan.name || !Array.isArray(plan.exercises)) {
-    return res.status(400).json({ error: 'Plan name and exercises are required.' });
-  }
   const id = crypto.randomUUID();
   plan.id = id;
   plan.trainerId = req.user.userId;
@@ -723,11 +2731,8 @@ app.post('/api/trainer/plans', requireAuth, requireTrainer, (req, res) => {
   res.status(201).json({ ok: true, id });
 });
 
-app.put('/api/trainer/plans/:id', requireAuth, requireTrainer, (req, res) => {
+app.put('/api/trainer/plans/:id', requireAuth, requireTrainer, validateBody(schemas.plan), (req, res) => {
   const plan = req.body;
-  if (!plan || !plan.name || !Array.isArray(plan.exercises)) {
-    return res.status(400).json({ error: 'Plan name and exercises are required.' });
-  }
   plan.id = req.params.id;
   plan.trainerId = req.user.userId;
   const info = stmts.updatePlan.run(plan.name, JSON.stringify(plan), req.params.id, req.user.userId);
@@ -736,7 +2741,7 @@ app.put('/api/trainer/plans/:id', requireAuth, requireTrainer, (req, res) => {
 });
 
 app.delete('/api/trainer/plans/:id', requireAuth, requireTrainer, (req, res) => {
-  const info = stmts.deletePlan.run(req.params.id, req.user.userId);
+  const info = stmts.trashPlan.run(new Date().toISOString(), req.params.id, req.user.userId);
   if (info.changes === 0) return res.status(404).json({ error: 'Plan not found.' });
   res.json({ ok: true });
 });
@@ -762,7 +2767,9 @@ app.post('/api/trainer/plans/:id/assign', requireAuth, requireTrainer, (req, res
   if (req.user.role !== 'admin' && !stmts.isAssigned.get(req.user.userId, userId)) {
     return res.status(403).json({ error: 'User not assigned to you.' });
   }
-  stmts.assignPlan.run(req.params.id, userId);
+  if (stmts.assignPlan.run(req.params.id, userId).changes) {
+    audit(req, 'plan.assign', { targetUserId: userId, details: { planId: plan.id, planName: plan.name } });
+  }
   res.status(201).json({ ok: true });
 });
 
@@ -776,6 +2783,7 @@ app.delete('/api/trainer/plans/:id/assign/:userId', requireAuth, requireTrainer,
   if (!Number.isFinite(userId)) return res.status(400).json({ error: 'Invalid user id.' });
   const info = stmts.unassignPlan.run(req.params.id, userId);
   if (info.changes === 0) return res.status(404).json({ error: 'Assignment not found.' });
+  audit(req, 'plan.unassign', { targetUserId: userId, details: { planId: plan.id, planName: plan.name } });
   res.json({ ok: true });
 });
 
@@ -788,23 +2796,23 @@ app.get('/api/user/plans', requireAuth, (req, res) => {
     if (!requester || (requester.role !== 'trainer' && requester.role !== 'admin')) {
       return res.status(403).json({ error: 'Access denied.' });
     }
+    if (mfaEnrollmentMissing(requester)) return res.status(403).json({ error: MFA_ENROLLMENT_ERROR });
     const targetId = parseInt(req.query.userId, 10);
     if (isNaN(targetId)) return res.status(400).json({ error: 'Invalid userId parameter.' });
     if (requester.role === 'trainer' && !stmts.isAssigned.get(req.user.userId, targetId)) {
       return res.status(403).json({ error: 'User not assigned to you.' });
     }
     targetUserId = targetId;
+    auditAthleteRead(req, targetId, 'plans');
   }
+  const units = userUnits(req.user.userId);
   const rows = stmts.getUserPlans.all(targetUserId);
-  res.json(rows.map(r => JSON.parse(r.data)));
+  res.json(rows.map(r => presentPlan(JSON.parse(r.data), units)));
 });
 
 // POST /api/user/saved-plans  – save a personal plan (any authenticated user)
-app.post('/api/user/saved-plans', requireAuth, (req, res) => {
+app.post('/api/user/saved-plans', requireAuth, validateBody(schemas.savedPlan), (req, res) => {
   const plan = req.body;
-  if (!plan || !plan.name || !Array.isArray(plan.exercises) || plan.exercises.length === 0) {
-    return res.status(400).json({ error: 'Plan name and at least one exercise are required.' });
-  }
   const id = crypto.randomUUID();
   plan.id = id;
   plan.trainerId = req.user.userId;
@@ -826,12 +2834,14 @@ app.get('/api/schedule', requireAuth, (req, res) => {
     if (!requester || (requester.role !== 'trainer' && requester.role !== 'admin')) {
       return res.status(403).json({ error: 'Access denied.' });
     }
+    if (mfaEnrollmentMissing(requester)) return res.status(403).json({ error: MFA_ENROLLMENT_ERROR });
     const targetId = parseInt(req.query.userId, 10);
     if (isNaN(targetId)) return res.status(400).json({ error: 'Invalid userId parameter.' });
     if (requester.role === 'trainer' && !stmts.isAssigned.get(req.user.userId, targetId)) {
       return res.status(403).json({ error: 'User not assigned to you.' });
     }
     targetUserId = targetId;
+    auditAthleteRead(req, targetId, 'schedule');
   }
   if (from && to) {
     const rows = stmts.getScheduleForMonth.all(targetUserId, from, to);
@@ -875,23 +2885,25 @@ app.put('/api/schedule/:id', requireAuth, (req, res) => {
   res.json({ ok: true });
 });
 
-// DELETE /api/schedule/:id  – delete a scheduled workout entry
+// Who may delete or restore a scheduled workout: its owner, an admin, or a
+// trainer of its owner. Returns the refusal to send, or null.
+function scheduleAccessError(req, entry) {
+  if (entry.user_id === req.user.userId) return null;
+  const user = stmts.getUserById.get(req.user.userId);
+  if (!user || (user.role !== 'trainer' && user.role !== 'admin')) return 'Access denied.';
+  if (mfaEnrollmentMissing(user)) return MFA_ENROLLMENT_ERROR;
+  if (user.role === 'trainer' && !stmts.isAssigned.get(req.user.userId, entry.user_id)) return 'User not assigned to you.';
+  return null;
+}
+
+// DELETE /api/schedule/:id  – move a scheduled workout entry to its owner's
+// trash. Trainers may delete entries they scheduled for athletes.
 app.delete('/api/schedule/:id', requireAuth, (req, res) => {
   const existing = stmts.getScheduleById.get(req.params.id);
   if (!existing) return res.status(404).json({ error: 'Scheduled workout not found.' });
-  if (existing.user_id !== req.user.userId) {
-    // Allow trainers to delete entries they scheduled for athletes
-    const user = stmts.getUserById.get(req.user.userId);
-    if (!user || (user.role !== 'trainer' && user.role !== 'admin')) {
-      return res.status(403).json({ error: 'Access denied.' });
-    }
-    if (user.role === 'trainer' && !stmts.isAssigned.get(req.user.userId, existing.user_id)) {
-      return res.status(403).json({ error: 'User not assigned to you.' });
-    }
-    stmts.deleteScheduleTrainer.run(req.params.id);
-    return res.json({ ok: true });
-  }
-  stmts.deleteSchedule.run(req.params.id, req.user.userId);
+  const denied = scheduleAccessError(req, existing);
+  if (denied) return res.status(403).json({ error: denied });
+  stmts.trashSchedule.run(new Date().toISOString(), req.params.id);
   res.json({ ok: true });
 });
 
@@ -907,15 +2919,19 @@ app.post('/api/schedule/:id/complete', requireAuth, (req, res) => {
     const plan = stmts.getPlanById.get(scheduled.plan_id);
     if (plan) {
       try {
-        exercises = JSON.parse(plan.data).exercises || [];
+        // Plans prescribe flat sets × reps; log them as individual sets
+        exercises = (JSON.parse(plan.data).exercises || [])
+          .filter(e => e && e.name)
+          .map(e => ({ name: e.name, ...(e.notes ? { notes: e.notes } : {}), sets: flatExerciseToSets(e) }));
       } catch (_) {
         exercises = [];
       }
     }
   }
   const workoutId = crypto.randomUUID();
-  const session = { id: workoutId, date: scheduled.date, notes, exercises };
-  stmts.insertWorkout.run(workoutId, req.user.userId, scheduled.date, JSON.stringify(session));
+  const { workout, best } = prepareWorkout(req.user.userId, { id: workoutId, date: scheduled.date, notes, exercises });
+  stmts.insertWorkout.run(workoutId, req.user.userId, scheduled.date, JSON.stringify(workout), new Date().toISOString());
+  updateEstimatedMaxes(req.user.userId, scheduled.date, best);
   res.status(201).json({ ok: true, workoutId });
 });
 
@@ -942,74 +2958,104 @@ app.post('/api/trainer/schedule', requireAuth, requireTrainer, (req, res) => {
   res.status(201).json({ ok: true, id });
 });
 
-// ── Workout Generator ────────────────────────────────────────────────────────────
-
-// Exercise pool keyed by the simplified muscle-group names used in the API.
-const GENERATOR_EXERCISES = {
-  chest: [
-    'Bench press (barbell)',
-    'Incline bench press (barbell)',
-    'Dumbbell bench press',
-    'Incline dumbbell press',
-    'Chest press (machine)',
-  ],
-  shoulders: [
-    'Overhead press (barbell)',
-    'Dumbbell shoulder press',
-    'Arnold press',
-    'Lateral raise (dumbbells/cable)',
-    'Front raise (dumbbells/plate)',
-  ],
-  triceps: [
-    'Triceps pushdown (cable)',
-    'Overhead triceps extension (DB/cable)',
-    'Skull crushers (EZ-bar)',
-  ],
-  back: [
-    'Bent-over row (barbell)',
-    'One-arm dumbbell row',
-    'Seated cable row',
-    'Lat pulldown (machine)',
-    'T-bar row',
-    'Pull-up (weighted)',
-    'Chin-up (weighted)',
-  ],
-  biceps: [
-    'Barbell curl',
-    'Dumbbell curl',
-    'Hammer curl',
-    'Preacher curl (machine/EZ-bar)',
-  ],
-  core: [
-    'Cable crunch',
-    'Weighted sit-up',
-    'Hanging knee/leg raise',
-    'Pallof press (cable/band)',
-    'Weighted Russian twist',
-    'Farmers carry (DB/KB)',
-  ],
-  legs: [
-    'Back squat (barbell)',
-    'Front squat (barbell)',
-    'Goblet squat (dumbbell/kettlebell)',
-    'Bulgarian split squat (DB/BB)',
-    'Leg press (machine)',
-    'Romanian deadlift (barbell)',
-    'Hip thrust (barbell)',
-    'Deadlift (conventional)',
-  ],
-  fullbody: [
-    'Power clean',
-    'Hang clean',
-    'Clean and press',
-    'Push press',
-    'Thruster (barbell/dumbbells)',
-    'Farmers walk',
-    'Kettlebell swing',
-  ],
+// ── Trash ───────────────────────────────────────────────────────────────────────
+// Deleted workouts, weights, calorie entries, scheduled workouts and the plans
+// a user authored stay in their trash for TRASH_RETENTION_DAYS, after which
+// purgeTrash() removes them for good. Each type is addressed as in its own
+// routes: weights by date, the rest by id.
+const TRASH_TYPES = {
+  workouts: {
+    list: (userId, units) => stmts.trashedWorkouts.all(userId).map(r => ({ id: r.id, date: r.date, deletedAt: r.deleted_at, item: formatWorkout(r, units) })),
+    restore: (req, id) => {
+      const changes = stmts.restoreWorkout.run(id, req.user.userId).changes;
+      if (changes) recomputeEstimatedMaxes(req.user.userId, exercisesOf(stmts.getWorkoutById.get(id)));
+      return changes;
+    },
+    restoreAll: stmts.restoreUserWorkouts,
+    purge: stmts.purgeWorkouts,
+  },
+  weights: {
+    list: (userId, units) => stmts.trashedWeights.all(userId).map(r => ({ id: r.date, date: r.date, deletedAt: r.deleted_at, item: presentWeight(JSON.parse(r.data), units) })),
+    restore: (req, date) => stmts.restoreWeight.run(date, req.user.userId).changes,
+    restoreAll: stmts.restoreUserWeights,
+    purge: stmts.purgeWeights,
+  },
+  calories: {
+    list: userId => stmts.trashedCalories.all(userId).map(r => ({ id: r.id, date: r.date, deletedAt: r.deleted_at, item: { ...JSON.parse(r.data), id: r.id } })),
+    restore: (req, id) => stmts.restoreCalorie.run(parseInt(id, 10), req.user.userId).changes,
+    restoreAll: stmts.restoreUserCalories,
+    purge: stmts.purgeCalories,
+  },
+  // Entries a trainer deleted for an athlete are in the athlete's trash; the
+  // trainer may restore them as they may delete them
+  schedule: {
+    list: userId => stmts.trashedSchedule.all(userId).map(({ deleted_at, ...r }) => ({ id: r.id, date: r.date, deletedAt: deleted_at, item: r })),
+    restore: (req, id) => {
+      const entry = stmts.getTrashedSchedule.get(id);
+      if (!entry || scheduleAccessError(req, entry)) return 0;
+      return stmts.restoreSchedule.run(id, entry.user_id).changes;
+    },
+    restoreAll: stmts.restoreUserSchedule,
+    purge: stmts.purgeSchedule,
+  },
+  plans: {
+    list: (userId, units) => stmts.trashedPlans.all(userId).map(r => ({ id: r.id, date: null, deletedAt: r.deleted_at, item: presentPlan(JSON.parse(r.data), units) })),
+    restore: (req, id) => stmts.restorePlan.run(id, req.user.userId).changes,
+    restoreAll: stmts.restoreUserPlans,
+    purge: stmts.purgePlans,
+  },
 };
 
-const VALID_MUSCLE_GROUPS = Object.keys(GENERATOR_EXERCISES);
+// Permanently delete everything trashed more than TRASH_RETENTION_DAYS before
+// `now`. Returns the number of rows purged per type.
+function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  return db.transaction(() => Object.fromEntries(
+    Object.entries(TRASH_TYPES).map(([type, { purge }]) => [type, purge.run(cutoff).changes])
+  ))();
+}
+
+// A user's deleted records, most recently deleted first, each with the time
+// it will be purged
+function trashItems(userId, units) {
+  const items = Object.entries(TRASH_TYPES).flatMap(([type, { list }]) => list(userId, units).map(entry => ({
+    type,
+    ...entry,
+    purgeAt: new Date(Date.parse(entry.deletedAt) + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  })));
+  return items.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+app.get('/api/trash', requireAuth, (req, res) => {
+  res.json(trashItems(req.user.userId, userUnits(req.user.userId)));
+});
+
+// POST /api/trash/restore  – restore everything in the trash, or with
+// { deletedAt } only what one delete removed (e.g. DELETE /api/user/data)
+app.post('/api/trash/restore', requireAuth, (req, res) => {
+  const { deletedAt = null } = req.body || {};
+  if (deletedAt !== null && (typeof deletedAt !== 'string' || Number.isNaN(Date.parse(deletedAt)))) {
+    return res.status(400).json({ error: 'deletedAt must be a timestamp returned by a delete.' });
+  }
+  const restored = db.transaction(() => Object.fromEntries(
+    Object.entries(TRASH_TYPES).map(([type, { restoreAll }]) => [type, restoreAll.run({ userId: req.user.userId, deletedAt }).changes])
+  ))();
+  if (restored.workouts) recomputeEstimatedMaxes(req.user.userId);
+  res.json({ ok: true, restored });
+});
+
+app.post('/api/trash/:type/:id/restore', requireAuth, (req, res) => {
+  const type = TRASH_TYPES[req.params.type];
+  if (!type) return res.status(404).json({ error: `Unknown trash type. Use one of: ${Object.keys(TRASH_TYPES).join(', ')}.` });
+  if (!type.restore(req, req.params.id)) return res.status(404).json({ error: 'Not found in the trash.' });
+  res.json({ ok: true });
+});
+
+// ── Workout Generator ────────────────────────────────────────────────────────────
+
+// Exercises are drawn from the catalogue by primary muscle group, including the
+// user's custom ones. 'other' is not a group the generator can fill.
+const VALID_MUSCLE_GROUPS = MUSCLE_GROUPS.filter(g => g !== 'other');
 
 // POST /api/workout-generator  – generate a personalised workout
 app.post('/api/workout-generator', requireAuth, (req, res) => {
@@ -1044,11 +3090,19 @@ app.post('/api/workout-generator', requireAuth, (req, res) => {
   else if (intensityNum <= 7) { sets = 4; reps = 8;  }
   else                        { sets = 5; reps = 5;  }
 
-  // Build a map of 1RMs keyed by lowercase exercise name
-  const oneRepMaxRows = stmts.getOneRepMaxes.all(req.user.userId);
-  const oneRepMaxMap = {};
-  for (const row of oneRepMaxRows) {
-    oneRepMaxMap[row.exercise.toLowerCase()] = row.weight_kg;
+  // 1RMs and recent workouts are matched to catalogue exercises, so a 1RM saved
+  // as "bench press" counts for "Bench press (barbell)". When several 1RMs
+  // match one exercise one entered by hand beats an estimated one, and then the
+  // most recently updated wins.
+  const units = userUnits(req.user.userId);
+  const match = exerciseMatcher(req.user.userId);
+  const oneRepMaxes = new Map();
+  const rank = row => (row.source === 'manual' ? '1' : '0') + (row.updated_at || '');
+  for (const row of stmts.getOneRepMaxes.all(req.user.userId)) {
+    const id = row.exercise_id ?? match(row.exercise);
+    if (id === null) continue;
+    const current = oneRepMaxes.get(id);
+    if (!current || rank(row) > rank(current)) oneRepMaxes.set(id, row);
   }
 
   // Collect exercises performed within avoidDays
@@ -1062,7 +3116,10 @@ app.post('/api/workout-generator', requireAuth, (req, res) => {
       try {
         const workout = JSON.parse(row.data);
         if (Array.isArray(workout.exercises)) {
-          workout.exercises.forEach(e => { if (e.name) avoidedExercises.add(e.name.toLowerCase()); });
+          workout.exercises.forEach(e => {
+            const id = e.exerciseId ?? (e.name ? match(e.name) : null);
+            if (id !== null) avoidedExercises.add(id);
+          });
         }
       } catch (_) { /* ignore malformed rows */ }
     }
@@ -1072,11 +3129,12 @@ app.post('/api/workout-generator', requireAuth, (req, res) => {
   const exercises = [];
   const usedExercises = new Set();
 
+  const catalogue = visibleExercises(req.user.userId);
   for (const group of muscleGroups) {
-    const pool = GENERATOR_EXERCISES[group] || [];
-    const available = pool.filter(e =>
-      !avoidedExercises.has(e.toLowerCase()) &&
-      !usedExercises.has(e.toLowerCase())
+    const available = catalogue.filter(e =>
+      e.primary_muscle === group &&
+      !avoidedExercises.has(e.id) &&
+      !usedExercises.has(e.id)
     );
 
     // Fisher-Yates shuffle for unbiased random selection
@@ -1086,18 +3144,19 @@ app.post('/api/workout-generator', requireAuth, (req, res) => {
     }
     const picked = available.slice(0, 3);
 
-    for (const name of picked) {
-      usedExercises.add(name.toLowerCase());
-      const oneRepMaxKg = oneRepMaxMap[name.toLowerCase()] ?? null;
-      // Round to nearest 2.5 kg (e.g. 83% of 100 kg → 82.5 kg)
-      const suggestedWeightKg = oneRepMaxKg !== null
-        ? Math.round(oneRepMaxKg * intensityPct / 100 / 2.5) * 2.5
-        : null;
-      exercises.push({ name, muscleGroup: group, sets, reps, suggestedWeightKg, oneRepMaxKg, intensityPct });
+    for (const { id: exerciseId, name } of picked) {
+      usedExercises.add(exerciseId);
+      const oneRepMaxKg = oneRepMaxes.get(exerciseId)?.weight_kg ?? null;
+      const oneRepMax = oneRepMaxKg !== null ? fromKg(oneRepMaxKg, units) : null;
+      // Round to the nearest plate increment in the user's unit
+      // (e.g. 83% of 100 kg → 82.5 kg, 83% of 225 lb → 185 lb)
+      const suggestedWeight = oneRepMax !== null ? roundToPlates(oneRepMax * intensityPct / 100, units) : null;
+      const suggestedWeightKg = suggestedWeight !== null ? fromKg(toKg(suggestedWeight, units), 'kg') : null;
+      exercises.push({ name, exerciseId, muscleGroup: group, sets, reps, suggestedWeight, oneRepMax, suggestedWeightKg, oneRepMaxKg, intensityPct });
     }
   }
 
-  res.json({ exercises, intensity: intensityNum, intensityPct, sets, reps, avoidedCount: avoidedExercises.size });
+  res.json({ exercises, intensity: intensityNum, intensityPct, sets, reps, units, avoidedCount: avoidedExercises.size });
 });
 
 // ── Start server ─────────────────────────────────────────────────────────────────
@@ -1105,6 +3164,17 @@ if (require.main === module) {
   const server = app.listen(PORT, () => {
     console.log(`GetUs.Fit server running on http://localhost:${PORT}`);
   });
+  // Purge expired trash at startup and then hourly
+  const runTrashPurge = () => {
+    try {
+      const purged = Object.values(purgeTrash()).reduce((sum, n) => sum + n, 0);
+      if (purged) console.log(`[GetUs.Fit] Purged ${purged} record(s) from the trash`);
+    } catch (err) {
+      console.error(`[GetUs.Fit] Trash purge failed: ${err.message}`);
+    }
+  };
+  runTrashPurge();
+  setInterval(runTrashPurge, TRASH_PURGE_INTERVAL_MS).unref();
   server.on('error', (err) => {
     console.error(`[GetUs.Fit] Failed to start server: ${err.message}`);
     process.exit(1);
@@ -1114,3 +3184,4 @@ if (require.main === module) {
 module.exports = app;
 module.exports.db = db;
 module.exports.foodSearchCache = foodSearchCache;
+module.exports.purgeTrash = purgeTrash;
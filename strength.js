@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * Estimated one-rep maxes and lifetime records. A completed working, drop or
+ * failure set of 1 to E1RM_MAX_REPS reps gets an estimate from its weight and
+ * reps; warm-ups and longer sets, where the formulas stop being useful, get
+ * none. A single rep is its own 1RM under both formulas.
+ *
+ *   Epley:   weight × (1 + reps / 30)
+ *   Brzycki: weight × 36 / (37 − reps)
+ */
+
+const ONE_REP_MAX_FORMULAS = ['epley', 'brzycki'];
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+const E1RM_MAX_REPS = 12;
+// Rep counts the records board keeps a best weight for
+const RECORD_REPS = [1, 3, 5, 8, 10];
+
+const round3 = n => Math.round(n * 1000) / 1000;
+
+function estimateOneRepMax(weightKg, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+  if (!(weightKg > 0) || !Number.isInteger(reps) || reps < 1 || reps > E1RM_MAX_REPS) return null;
+  if (reps === 1) return round3(weightKg);
+  const estimate = formula === 'brzycki' ? weightKg * 36 / (37 - reps) : weightKg * (1 + reps / 30);
+  return round3(estimate);
+}
+
+// Sets that count towards estimates and records
+function isWorkSet(set) {
+  return !!set && set.completed !== false && set.type !== 'warmup';
+}
+
+function setEstimate(set, formula) {
+  return isWorkSet(set) ? estimateOneRepMax(set.weightKg, set.reps, formula) : null;
+}
+
+/**
+ * Lifetime records per exercise from workout documents ({ date, exercises }).
+ * `keyOf(exercise)` decides which logged exercises count as one lift. For each
+ * lift: the heaviest weight lifted for at least each of RECORD_REPS reps, the
+ * best estimated 1RM and the most volume (weight × reps of work sets) in one
+ * workout, each with the date it was first reached. Records not yet set are null.
+ */
+function recordsBoard(workouts, keyOf, formula = DEFAULT_ONE_REP_MAX_FORMULA) {
+  const board = new Map();
+  const sorted = [...workouts].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+  for (const workout of sorted) {
+    const sessionVolume = new Map();   // key → kg, summed over every entry of the lift
+    for (const e of Array.isArray(workout.exercises) ? workout.exercises : []) {
+      if (!e || !e.name || !Array.isArray(e.sets)) continue;
+      const key = keyOf(e);
+      if (!board.has(key)) {
+        board.set(key, {
+          exerciseId: e.exerciseId ?? null, exercise: e.name,
+          repMaxes: Object.fromEntries(RECORD_REPS.map(reps => [reps, null])), e1rm: null, volume: null,
+        });
+      }
+      const records = board.get(key);
+      records.exercise = e.name; // the most recent name as logged
+      for (const set of e.sets.filter(isWorkSet)) {
+        if (!(set.weightKg > 0) || !(set.reps > 0)) continue;
+        sessionVolume.set(key, (sessionVolume.get(key) || 0) + set.weightKg * set.reps);
+        for (const reps of RECORD_REPS) {
+          const best = records.repMaxes[reps];
+          if (set.reps >= reps && (!best || set.weightKg > best.weightKg)) {
+            records.repMaxes[reps] = { weightKg: set.weightKg, reps: set.reps, date: workout.date };
+          }
+        }
+        const e1rmKg = estimateOneRepMax(set.weightKg, set.reps, formula);
+        if (e1rmKg !== null && (!records.e1rm || e1rmKg > records.e1rm.e1rmKg)) {
+          records.e1rm = { e1rmKg, weightKg: set.weightKg, reps: set.reps, date: workout.date };
+        }
+      }
+    }
+    for (const [key, volumeKg] of sessionVolume) {
+      const records = board.get(key);
+      if (!records.volume || volumeKg > records.volume.volumeKg) {
+        records.volume = { volumeKg: round3(volumeKg), date: workout.date };
+      }
+    }
+  }
+  // Lifts logged without weight (planks, pull-ups) hold no records
+  return [...board.values()].filter(records => records.volume !== null);
+}
+
+module.exports = {
+  ONE_REP_MAX_FORMULAS, DEFAULT_ONE_REP_MAX_FORMULA, E1RM_MAX_REPS, RECORD_REPS,
+  estimateOneRepMax, isWorkSet, setEstimate, recordsBoard,
+};
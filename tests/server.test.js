@@ -10,12 +10,41 @@ const assert = require('node:assert/strict');
 const http   = require('node:http');
 const path   = require('node:path');
 const fs     = require('node:fs');
+const crypto = require('node:crypto');
 const jwt    = require('jsonwebtoken');
 
 // Use a temp database for tests
 process.env.DB_PATH = path.join('/tmp', `dgf_test_${Date.now()}.db`);
 process.env.JWT_SECRET = 'test-secret-for-unit-tests-only';
 process.env.PORT = '0'; // Let OS pick a free port
+// The suite makes more requests than the default per-IP limits allow
+process.env.AUTH_RATE_LIMIT = '1000';
+process.env.API_RATE_LIMIT = '5000';
+process.env.MAIL_TRANSPORT = 'outbox';
+process.env.MAIL_OUTBOX_DIR = path.join('/tmp', `dgf_test_outbox_${Date.now()}`);
+// Sign-in providers, verified against the local JWKS stand-in below
+process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+process.env.OIDC_PROVIDERS = 'club';
+process.env.OIDC_CLUB_NAME = 'Club ID';
+process.env.OIDC_CLUB_ISSUER = 'https://id.club.test';
+process.env.OIDC_CLUB_CLIENT_ID = 'getus-fit';
+process.env.OIDC_CLUB_JWKS_URL = 'https://id.club.test/jwks';
+process.env.OIDC_CLUB_AUTH_URL = 'https://id.club.test/authorize';
+
+// Local stand-in for the providers' JWKS endpoints, serving one RSA key
+const idpKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const IDP_KID = 'test-key-1';
+const JWKS_URLS = ['https://www.googleapis.com/oauth2/v3/certs', process.env.OIDC_CLUB_JWKS_URL];
+let jwksRequests = 0;
+const realFetch = global.fetch;
+global.fetch = async (url, opts) => {
+  if (JWKS_URLS.includes(String(url))) {
+    jwksRequests++;
+    const jwk = { ...idpKeys.publicKey.export({ format: 'jwk' }), kid: IDP_KID, alg: 'RS256', use: 'sig' };
+    return new Response(JSON.stringify({ keys: [jwk] }), { headers: { 'Content-Type': 'application/json' } });
+  }
+  return realFetch(url, opts);
+};
 
 // Load the app (it calls app.listen internally; we grab the server via module.exports)
 const app = require('../server.js');
@@ -39,9 +68,34 @@ after(async () => {
   server.close();
   // Clean up test database
   if (fs.existsSync(process.env.DB_PATH)) fs.unlinkSync(process.env.DB_PATH);
+  fs.rmSync(process.env.MAIL_OUTBOX_DIR, { recursive: true, force: true });
+  global.fetch = realFetch;
 });
 
 // ── Helper ────────────────────────────────────────────────────────────────────
+// Mint an access token without calling /api/auth/* (which would hit the rate
+// limiter). Access tokens must reference a live session, so one is inserted.
+function signToken(payload) {
+  const sid = crypto.randomUUID();
+  const now = new Date();
+  db.prepare('INSERT INTO sessions (id, user_id, refresh_hash, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(sid, payload.userId, '', now.toISOString(), new Date(now.getTime() + 86400000).toISOString());
+  return jwt.sign({ ...payload, sid }, process.env.JWT_SECRET, { expiresIn: '15m' });
+}
+
+// Sign an ID token as the stand-in identity provider (Google by default)
+function idToken(claims, { issuer = 'https://accounts.google.com', audience = 'test-google-client', kid = IDP_KID, key = idpKeys.privateKey, expiresIn = '5m' } = {}) {
+  return jwt.sign(claims, key, { algorithm: 'RS256', keyid: kid, issuer, audience, expiresIn });
+}
+
+// Create an account that signs in only through a provider
+function insertProviderUser(username, subject, provider = 'google') {
+  const info = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run(username);
+  db.prepare('INSERT INTO user_identities (user_id, provider, subject, created_at) VALUES (?, ?, ?, ?)')
+    .run(info.lastInsertRowid, provider, subject, new Date().toISOString());
+  return info.lastInsertRowid;
+}
+
 async function req(method, path, body, token) {
   const headers = { 'Content-Type': 'application/json' };
   if (token) headers['Authorization'] = 'Bearer ' + token;
@@ -51,7 +105,7 @@ async function req(method, path, body, token) {
     body: body !== undefined ? JSON.stringify(body) : undefined,
   });
   const data = await res.json().catch(() => ({}));
-  return { status: res.status, body: data };
+  return { status: res.status, body: data, headers: res.headers };
 }
 
 // ── Auth ──────────────────────────────────────────────────────────────────────
@@ -204,7 +258,7 @@ test('log same date replaces previous entry (upsert)', async () => {
   await req('POST', '/api/weights', { date: '2025-01-15', weight: '74.5', goal: '70.0', notes: 'Evening' }, aliceToken);
   const { body } = await req('GET', '/api/weights', undefined, aliceToken);
   assert.equal(body.length, 1);
-  assert.equal(body[0].weight, '74.5');
+  assert.equal(body[0].weight, 74.5, 'numeric strings are stored as numbers');
 });
 
 test('delete a weight entry', async () => {
@@ -644,9 +698,11 @@ test('admin can list all users', async () => {
 });
 
 test('admin can promote user to trainer', async () => {
+  const { body: session } = await req('POST', '/api/auth/login', { username: 'carol', password: 'password123' });
   const { status, body } = await req('PUT', `/api/admin/users/${carolId}`, { role: 'trainer' }, adminToken);
   assert.equal(status, 200);
   assert.equal(body.ok, true);
+  assert.equal((await req('GET', '/api/user/me', undefined, session.token)).status, 401, 'sessions under the old role end');
 
   const { body: users } = await req('GET', '/api/admin/users', undefined, adminToken);
   const carol = users.find(u => u.id === carolId);
@@ -751,11 +807,7 @@ test('trainer with stale user JWT can still access trainer endpoints', async ()
   // simulate carol's token being issued before she was promoted to trainer.
   // This avoids calling /api/auth/register (which would hit the rate limiter).
   const carolUser = db.prepare('SELECT id FROM users WHERE username = ?').get('carol');
-  const staleToken = jwt.sign(
-    { userId: carolUser.id, username: 'carol', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const staleToken = signToken({ userId: carolUser.id, username: 'carol', role: 'user' });
   const payload = JSON.parse(Buffer.from(staleToken.split('.')[1], 'base64url').toString());
   assert.equal(payload.role, 'user');
   const { status, body } = await req('GET', '/api/trainer/users', undefined, staleToken);
@@ -1059,11 +1111,7 @@ test('user can update a scheduled workout', async () => {
 test('user cannot update another user schedule entry', async () => {
   // Create a user directly in the DB to avoid hitting the auth rate limiter
   const otherInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('sched_other_user');
-  const otherToken = jwt.sign(
-    { userId: otherInfo.lastInsertRowid, username: 'sched_other_user', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const otherToken = signToken({ userId: otherInfo.lastInsertRowid, username: 'sched_other_user', role: 'user' });
   const { status } = await req('PUT', `/api/schedule/${scheduleId}`, {
     date: '2025-06-16', title: 'Hacked',
   }, otherToken);
@@ -1079,11 +1127,7 @@ test('trainer can schedule a workout for an assigned athlete', async () => {
   // Create a fresh athlete directly in the DB to avoid the auth rate limiter
   const athleteInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('sched_athlete');
   const athleteId    = athleteInfo.lastInsertRowid;
-  const athleteToken = jwt.sign(
-    { userId: athleteId, username: 'sched_athlete', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const athleteToken = signToken({ userId: athleteId, username: 'sched_athlete', role: 'user' });
   // Assign the fresh athlete to carol
   await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: athleteId }, adminToken);
 
@@ -1129,11 +1173,7 @@ test('trainer can view assigned athlete schedule via ?userId', async () => {
   // Create a fresh athlete and assign to carol
   const athleteInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('sched_athlete2');
   const athleteId    = athleteInfo.lastInsertRowid;
-  const athleteToken = jwt.sign(
-    { userId: athleteId, username: 'sched_athlete2', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const athleteToken = signToken({ userId: athleteId, username: 'sched_athlete2', role: 'user' });
   await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: athleteId }, adminToken);
 
   // Trainer schedules a workout for the athlete
@@ -1167,11 +1207,7 @@ test('regular user cannot view another user schedule via ?userId', async () => {
   const bobId = users.find(u => u.username === 'bob').id;
   // Use a freshly created regular user (alice is admin by this point in the test sequence)
   const regularUserInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('regular_user');
-  const regularToken = jwt.sign(
-    { userId: regularUserInfo.lastInsertRowid, username: 'regular_user', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const regularToken = signToken({ userId: regularUserInfo.lastInsertRowid, username: 'regular_user', role: 'user' });
   const { status, body } = await req('GET', `/api/schedule?userId=${bobId}`, undefined, regularToken);
   assert.equal(status, 403);
   assert.ok(body.error);
@@ -1181,11 +1217,7 @@ test('trainer can view assigned athlete plans via ?userId', async () => {
   // Create fresh trainer-athlete setup
   const athlInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('plan_athlete');
   const athlId   = athlInfo.lastInsertRowid;
-  const athlToken = jwt.sign(
-    { userId: athlId, username: 'plan_athlete', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const athlToken = signToken({ userId: athlId, username: 'plan_athlete', role: 'user' });
   await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: athlId }, adminToken);
 
   // Trainer creates and assigns a plan to the athlete
@@ -1244,11 +1276,7 @@ test('completing a scheduled workout with a plan copies plan exercises into the
   // Create a fresh athlete assigned to carol (the trainer) to avoid rate limiting
   const planAthleteInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('plan_complete_athlete');
   const planAthleteId    = planAthleteInfo.lastInsertRowid;
-  const planAthleteToken = jwt.sign(
-    { userId: planAthleteId, username: 'plan_complete_athlete', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const planAthleteToken = signToken({ userId: planAthleteId, username: 'plan_complete_athlete', role: 'user' });
   await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: planAthleteId }, adminToken);
 
   // Create a plan with exercises
@@ -1284,6 +1312,8 @@ test('completing a scheduled workout with a plan copies plan exercises into the
   assert.equal(created.exercises.length, 2, 'exercises should be copied from the plan');
   assert.equal(created.exercises[0].name, 'Squat');
   assert.equal(created.exercises[1].name, 'Deadlift');
+  assert.equal(created.exercises[0].sets.length, 3, 'plan sets are logged as individual sets');
+  assert.deepEqual([created.exercises[0].sets[0].reps, created.exercises[0].sets[0].weightKg], [5, 60]);
 });
 
 test('completing a non-existent scheduled workout returns 404', async () => {
@@ -1295,11 +1325,7 @@ test('completing a non-existent scheduled workout returns 404', async () => {
 test("completing another user's scheduled workout returns 403", async () => {
   // Create a different user via DB insert to avoid hitting the auth rate limiter
   const otherUserInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('other_user_complete');
-  const otherToken = jwt.sign(
-    { userId: otherUserInfo.lastInsertRowid, username: 'other_user_complete', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const otherToken = signToken({ userId: otherUserInfo.lastInsertRowid, username: 'other_user_complete', role: 'user' });
 
   // Other user tries to complete Alice's scheduled workout
   const { status, body } = await req('POST', `/api/schedule/${scheduleCompleteId}/complete`, {}, otherToken);
@@ -1432,11 +1458,7 @@ test('workout generator excludes recently done exercises when avoidDays > 0', as
   // Create a user in the DB to test avoidance in isolation
   const genUserInfo = db.prepare("INSERT INTO users (username, password_hash) VALUES (?, '!')").run('gen_avoid_user');
   const genUserId = genUserInfo.lastInsertRowid;
-  const genToken = jwt.sign(
-    { userId: genUserId, username: 'gen_avoid_user', role: 'user' },
-    process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+  const genToken = signToken({ userId: genUserId, username: 'gen_avoid_user', role: 'user' });
 
   // Log a recent workout containing all chest exercises
   const chestExercises = [
@@ -1546,3 +1568,2058 @@ test('save plan creates a plan and assigns it to the user', async () => {
   assert.equal(saved.name, 'My Generated Push Day');
   assert.equal(saved.exercises.length, 2);
 });
+
+// ── Sessions & refresh tokens ─────────────────────────────────────────────────
+let sessToken;
+let sessRefresh;
+
+test('login returns an access token bound to a session and a refresh token', async () => {
+  await req('POST', '/api/auth/register', { username: 'sess_user', password: 'password123' });
+  const { status, body } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+  const payload = JSON.parse(Buffer.from(body.token.split('.')[1], 'base64url').toString());
+  assert.ok(payload.sid, 'access token should carry a session id');
+  assert.ok(payload.exp - payload.iat <= 15 * 60, 'access token should be short-lived');
+  sessToken = body.token;
+  sessRefresh = body.refreshToken;
+});
+
+test('access token without a session is rejected', async () => {
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('sess_user');
+  const bare = jwt.sign({ userId: user.id, username: 'sess_user', role: 'user' }, process.env.JWT_SECRET, { expiresIn: '7d' });
+  const { status } = await req('GET', '/api/user/me', undefined, bare);
+  assert.equal(status, 401);
+});
+
+test('refresh rotates the refresh token and issues a new access token', async () => {
+  const { status, body } = await req('POST', '/api/auth/refresh', { refreshToken: sessRefresh });
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.ok(body.refreshToken);
+  assert.notEqual(body.refreshToken, sessRefresh);
+
+  const { status: meStatus } = await req('GET', '/api/user/me', undefined, body.token);
+  assert.equal(meStatus, 200);
+
+  // Replaying the rotated-out token ends the session entirely
+  const { status: replayStatus } = await req('POST', '/api/auth/refresh', { refreshToken: sessRefresh });
+  assert.equal(replayStatus, 401);
+  const { status: afterReplay } = await req('GET', '/api/user/me', undefined, body.token);
+  assert.equal(afterReplay, 401);
+  const { status: newRefresh } = await req('POST', '/api/auth/refresh', { refreshToken: body.refreshToken });
+  assert.equal(newRefresh, 401);
+});
+
+test('refresh requires a refresh token', async () => {
+  const { status } = await req('POST', '/api/auth/refresh', {});
+  assert.equal(status, 400);
+});
+
+test('logout revokes the current session only', async () => {
+  const { body: a } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+  const { body: b } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+
+  const { status } = await req('POST', '/api/auth/logout', undefined, a.token);
+  assert.equal(status, 200);
+
+  assert.equal((await req('GET', '/api/user/me', undefined, a.token)).status, 401);
+  assert.equal((await req('POST', '/api/auth/refresh', { refreshToken: a.refreshToken })).status, 401);
+  assert.equal((await req('GET', '/api/user/me', undefined, b.token)).status, 200);
+});
+
+test('logout with the refresh token works once the access token has expired', async () => {
+  const { body: a } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+  const { userId, username, role, sid } = jwt.decode(a.token);
+  const expired = jwt.sign({ userId, username, role, sid, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+  assert.equal((await req('POST', '/api/auth/logout', undefined, expired)).status, 401);
+
+  assert.equal((await req('POST', '/api/auth/logout', { refreshToken: 'nope.nope' }, expired)).status, 401);
+  const { status } = await req('POST', '/api/auth/logout', { refreshToken: a.refreshToken }, expired);
+  assert.equal(status, 200);
+  assert.equal((await req('POST', '/api/auth/refresh', { refreshToken: a.refreshToken })).status, 401);
+  assert.equal((await req('GET', '/api/user/me', undefined, a.token)).status, 401);
+});
+
+test('logout-all revokes every session of the user', async () => {
+  const { body: a } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+  const { body: b } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+
+  const { status, body } = await req('POST', '/api/auth/logout-all', undefined, a.token);
+  assert.equal(status, 200);
+  assert.ok(body.revoked >= 2);
+
+  assert.equal((await req('GET', '/api/user/me', undefined, a.token)).status, 401);
+  assert.equal((await req('GET', '/api/user/me', undefined, b.token)).status, 401);
+  assert.equal((await req('POST', '/api/auth/refresh', { refreshToken: b.refreshToken })).status, 401);
+});
+
+test('admin can revoke all sessions of another user', async () => {
+  const { body: s } = await req('POST', '/api/auth/login', { username: 'sess_user', password: 'password123' });
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('sess_user');
+
+  const { status: forbidden } = await req('DELETE', `/api/admin/users/${user.id}/sessions`, undefined, s.token);
+  assert.equal(forbidden, 403);
+
+  const { status, body } = await req('DELETE', `/api/admin/users/${user.id}/sessions`, undefined, adminToken);
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal((await req('GET', '/api/user/me', undefined, s.token)).status, 401);
+  assert.equal((await req('POST', '/api/auth/refresh', { refreshToken: s.refreshToken })).status, 401);
+});
+
+test('admin revoke sessions returns 404 for non-existent user', async () => {
+  const { status } = await req('DELETE', '/api/admin/users/999999/sessions', undefined, adminToken);
+  assert.equal(status, 404);
+});
+
+test('deleting a user removes their sessions', async () => {
+  const { body: s } = await req('POST', '/api/auth/register', { username: 'sess_doomed', password: 'password123' });
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('sess_doomed');
+  await req('DELETE', `/api/admin/users/${user.id}`, undefined, adminToken);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM sessions WHERE user_id = ?').get(user.id).n, 0);
+  assert.equal((await req('POST', '/api/auth/refresh', { refreshToken: s.refreshToken })).status, 401);
+});
+
+// ── Password change & reset ───────────────────────────────────────────────────
+test('user can change their password with the current password', async () => {
+  await req('POST', '/api/auth/register', { username: 'pw_user', password: 'password123' });
+  const { body: a } = await req('POST', '/api/auth/login', { username: 'pw_user', password: 'password123' });
+  const { body: b } = await req('POST', '/api/auth/login', { username: 'pw_user', password: 'password123' });
+
+  const { status: missing } = await req('PUT', '/api/user/password', { newPassword: 'newpassword1' }, a.token);
+  assert.equal(missing, 400);
+  const { status: wrong } = await req('PUT', '/api/user/password', { currentPassword: 'nope', newPassword: 'newpassword1' }, a.token);
+  assert.equal(wrong, 401);
+  const { status: short } = await req('PUT', '/api/user/password', { currentPassword: 'password123', newPassword: 'short' }, a.token);
+  assert.equal(short, 400);
+
+  const { status } = await req('PUT', '/api/user/password', { currentPassword: 'password123', newPassword: 'newpassword1' }, a.token);
+  assert.equal(status, 200);
+
+  // The session that made the change survives; other sessions are ended
+  assert.equal((await req('GET', '/api/user/me', undefined, a.token)).status, 200);
+  assert.equal((await req('GET', '/api/user/me', undefined, b.token)).status, 401);
+  assert.equal((await req('POST', '/api/auth/login', { username: 'pw_user', password: 'password123' })).status, 401);
+  assert.equal((await req('POST', '/api/auth/login', { username: 'pw_user', password: 'newpassword1' })).status, 200);
+});
+
+test('wrong current passwords are validated and count towards the lockout', async () => {
+  await req('POST', '/api/auth/register', { username: 'pw_guess', password: 'password123' });
+  const { body: s } = await req('POST', '/api/auth/login', { username: 'pw_guess', password: 'password123' });
+  const change = currentPassword => req('PUT', '/api/user/password', { currentPassword, newPassword: 'newpassword1' }, s.token);
+
+  const notString = await change({ guess: 1 });
+  assert.equal(notString.status, 400);
+  assert.match(notString.body.error, /string/);
+  for (let i = 0; i < 5; i++) assert.equal((await change('guess' + i)).status, 401);
+  assert.equal((await change('password123')).status, 429, 'locked out, even with the right password');
+  assert.equal((await req('POST', '/api/auth/login', { username: 'pw_guess', password: 'password123' })).status, 429);
+  await req('DELETE', '/api/admin/lockouts/pw_guess', undefined, adminToken);
+});
+
+test('Google-only account can set a first password without a current password', async () => {
+  const userId = insertProviderUser('pw_google', 'google-sub-pw');
+  const token = signToken({ userId, username: 'pw_google', role: 'user' });
+  const { status } = await req('PUT', '/api/user/password', { newPassword: 'firstpassword' }, token);
+  assert.equal(status, 200);
+  assert.equal((await req('POST', '/api/auth/login', { username: 'pw_google', password: 'firstpassword' })).status, 200);
+});
+
+test('admin can issue a single-use reset code', async () => {
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('pw_user');
+  const { body: s } = await req('POST', '/api/auth/login', { username: 'pw_user', password: 'newpassword1' });
+
+  const { status: forbidden } = await req('POST', `/api/admin/users/${user.id}/reset-code`, undefined, s.token);
+  assert.equal(forbidden, 403);
+
+  const { status, body } = await req('POST', `/api/admin/users/${user.id}/reset-code`, undefined, adminToken);
+  assert.equal(status, 201);
+  assert.match(body.code, /^[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+  assert.ok(body.expiresAt);
+
+  const { status: bad } = await req('POST', '/api/auth/reset-password', { username: 'pw_user', code: 'AAAA-AAAA', newPassword: 'resetpass123' });
+  assert.equal(bad, 400);
+
+  // Codes are case- and separator-insensitive
+  const { status: ok } = await req('POST', '/api/auth/reset-password', {
+    username: 'pw_user', code: body.code.replace('-', '').toLowerCase(), newPassword: 'resetpass123',
+  });
+  assert.equal(ok, 200);
+  assert.equal((await req('GET', '/api/user/me', undefined, s.token)).status, 401, 'reset should end existing sessions');
+  assert.equal((await req('POST', '/api/auth/login', { username: 'pw_user', password: 'resetpass123' })).status, 200);
+
+  const { status: reused } = await req('POST', '/api/auth/reset-password', { username: 'pw_user', code: body.code, newPassword: 'another123' });
+  assert.equal(reused, 400);
+});
+
+test('issuing a new reset code invalidates the previous one', async () => {
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('pw_user');
+  const { body: first } = await req('POST', `/api/admin/users/${user.id}/reset-code`, undefined, adminToken);
+  const { body: second } = await req('POST', `/api/admin/users/${user.id}/reset-code`, undefined, adminToken);
+  assert.equal((await req('POST', '/api/auth/reset-password', { username: 'pw_user', code: first.code, newPassword: 'resetpass456' })).status, 400);
+  assert.equal((await req('POST', '/api/auth/reset-password', { username: 'pw_user', code: second.code, newPassword: 'resetpass456' })).status, 200);
+});
+
+test('forgot-password mails a reset code to the profile email', async () => {
+  const { body: s } = await req('POST', '/api/auth/login', { username: 'pw_user', password: 'resetpass456' });
+  await req('PUT', '/api/profile', { firstName: 'Pat', email: 'pat@example.com' }, s.token);
+
+  const { status, body } = await req('POST', '/api/auth/forgot-password', { username: 'pw_user' });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+
+  const files = fs.readdirSync(process.env.MAIL_OUTBOX_DIR);
+  const mails = files.map(f => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_OUTBOX_DIR, f), 'utf8')));
+  const mail = mails.find(m => m.to === 'pat@example.com');
+  assert.ok(mail, 'reset mail should be written to the outbox');
+  const code = mail.text.match(/[A-Z0-9]{4}-[A-Z0-9]{4}/)[0];
+
+  const { status: resetStatus } = await req('POST', '/api/auth/reset-password', { username: 'pw_user', code, newPassword: 'mailedpass123' });
+  assert.equal(resetStatus, 200);
+});
+
+test('a reset code requested by email does not cancel an admin\'s', async () => {
+  const user = db.prepare('SELECT id FROM users WHERE username = ?').get('pw_user');
+  const { body: issued } = await req('POST', `/api/admin/users/${user.id}/reset-code`, undefined, adminToken);
+  assert.equal((await req('POST', '/api/auth/forgot-password', { username: 'pw_user' })).status, 200);
+  const reset = code => req('POST', '/api/auth/reset-password', { username: 'pw_user', code, newPassword: 'mailedpass123' });
+  assert.equal((await reset(issued.code)).status, 200);
+
+  const mails = fs.readdirSync(process.env.MAIL_OUTBOX_DIR).map(f => JSON.parse(fs.readFileSync(path.join(process.env.MAIL_OUTBOX_DIR, f), 'utf8')));
+  const mailed = mails.filter(m => m.to === 'pat@example.com').sort((a, b) => a.sentAt.localeCompare(b.sentAt)).pop();
+  assert.equal((await reset(mailed.text.match(/[A-Z0-9]{4}-[A-Z0-9]{4}/)[0])).status, 400, 'a reset uses up the other codes');
+});
+
+test('forgot-password does not reveal unknown users', async () => {
+  const before = fs.readdirSync(process.env.MAIL_OUTBOX_DIR).length;
+  const { status, body } = await req('POST', '/api/auth/forgot-password', { username: 'no_such_user' });
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.equal(fs.readdirSync(process.env.MAIL_OUTBOX_DIR).length, before);
+});
+
+// ── Two-factor authentication ─────────────────────────────────────────────────
+// Minimal RFC 6238 implementation standing in for an authenticator app.
+// `offset` picks a neighbouring 30-second step; the server accepts ±1 step
+// and rejects steps it has already seen, so successive codes in a test use
+// increasing offsets.
+function totp(secret, offset = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  let bits = 0, value = 0;
+  const bytes = [];
+  for (const ch of secret) {
+    value = (value << 5) | alphabet.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) { bytes.push((value >>> (bits - 8)) & 255); bits -= 8; }
+  }
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', Buffer.from(bytes)).update(counter).digest();
+  const o = hmac[hmac.length - 1] & 0xf;
+  return String((hmac.readUInt32BE(o) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+let mfaSecret;
+let mfaToken;
+let mfaRecoveryCodes;
+
+test('2FA setup returns a secret and provisioning URI', async () => {
+  await req('POST', '/api/auth/register', { username: 'mfa_user', password: 'password123' });
+  const { body: s } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  mfaToken = s.token;
+
+  const { body: status } = await req('GET', '/api/user/2fa', undefined, mfaToken);
+  assert.equal(status.enabled, false);
+
+  const { status: code, body } = await req('POST', '/api/user/2fa/setup', undefined, mfaToken);
+  assert.equal(code, 200);
+  assert.match(body.secret, /^[A-Z2-7]+$/);
+  assert.ok(body.otpauthUri.startsWith('otpauth://totp/GetUs.Fit%3Amfa_user?secret=' + body.secret));
+  mfaSecret = body.secret;
+});
+
+test('2FA enable rejects a wrong code and accepts a valid one', async () => {
+  const { status: bad } = await req('POST', '/api/user/2fa/enable', { code: 'abcdef' }, mfaToken);
+  assert.equal(bad, 400);
+
+  const { status, body } = await req('POST', '/api/user/2fa/enable', { code: totp(mfaSecret, -1) }, mfaToken);
+  assert.equal(status, 200);
+  assert.equal(body.recoveryCodes.length, 10);
+  mfaRecoveryCodes = body.recoveryCodes;
+
+  const { body: after } = await req('GET', '/api/user/2fa', undefined, mfaToken);
+  assert.equal(after.enabled, true);
+  assert.equal(after.recoveryCodesRemaining, 10);
+
+  // Recovery codes are stored hashed
+  const row = db.prepare('SELECT code_hash FROM recovery_codes LIMIT 1').get();
+  assert.ok(!mfaRecoveryCodes.includes(row.code_hash));
+});
+
+test('login with 2FA enabled returns a challenge instead of a session', async () => {
+  const { status, body } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  assert.equal(status, 200);
+  assert.equal(body.mfaRequired, true);
+  assert.ok(body.challengeToken);
+  assert.equal(body.token, undefined);
+
+  // The challenge token is not an access token
+  assert.equal((await req('GET', '/api/user/me', undefined, body.challengeToken)).status, 401);
+
+  const { status: bad } = await req('POST', '/api/auth/login/2fa', { challengeToken: body.challengeToken, code: '12345' });
+  assert.equal(bad, 401);
+
+  const code = totp(mfaSecret, 0);
+  const { status: ok, body: session } = await req('POST', '/api/auth/login/2fa', { challengeToken: body.challengeToken, code });
+  assert.equal(ok, 200);
+  assert.ok(session.token);
+  assert.ok(session.refreshToken);
+
+  // The same code cannot be replayed
+  const { body: again } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  const { status: replay } = await req('POST', '/api/auth/login/2fa', { challengeToken: again.challengeToken, code });
+  assert.equal(replay, 401);
+});
+
+test('a recovery code completes login once', async () => {
+  const { body: c1 } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  const { status } = await req('POST', '/api/auth/login/2fa', { challengeToken: c1.challengeToken, recoveryCode: mfaRecoveryCodes[0] });
+  assert.equal(status, 200);
+
+  const { body: c2 } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  const { status: reused } = await req('POST', '/api/auth/login/2fa', { challengeToken: c2.challengeToken, recoveryCode: mfaRecoveryCodes[0] });
+  assert.equal(reused, 401);
+
+  const { body } = await req('GET', '/api/user/2fa', undefined, mfaToken);
+  assert.equal(body.recoveryCodesRemaining, 9);
+});
+
+test('wrong codes on signed-in 2FA routes count towards the lockout', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'mfa_guess', password: 'password123' });
+  const { body: setup } = await req('POST', '/api/user/2fa/setup', undefined, reg.token);
+  await req('POST', '/api/user/2fa/enable', { code: totp(setup.secret, 0) }, reg.token);
+
+  for (let i = 0; i < 2; i++) assert.equal((await req('POST', '/api/user/2fa/recovery-codes', { code: '000000' }, reg.token)).status, 401);
+  for (let i = 0; i < 2; i++) assert.equal((await req('POST', '/api/user/2fa/disable', { recoveryCode: 'nope' }, reg.token)).status, 401);
+  assert.equal((await req('DELETE', '/api/user/account', { password: 'password123', code: '000000' }, reg.token)).status, 401);
+  const { status, body } = await req('POST', '/api/user/2fa/disable', { code: totp(setup.secret, 1) }, reg.token);
+  assert.equal(status, 429, 'locked out, even with a valid code');
+  assert.match(body.error, /Too many failed attempts/);
+  assert.equal((await req('POST', '/api/auth/login', { username: 'mfa_guess', password: 'password123' })).status, 429);
+  await req('DELETE', '/api/admin/lockouts/mfa_guess', undefined, adminToken);
+});
+
+test('admins can require 2FA for trainers', async () => {
+  const { status: nonAdmin } = await req('PUT', '/api/admin/settings', { require2faRoles: ['trainer'] }, mfaToken);
+  assert.equal(nonAdmin, 403);
+
+  const { status: bad } = await req('PUT', '/api/admin/settings', { require2faRoles: ['user'] }, adminToken);
+  assert.equal(bad, 400);
+  const { status: selfLock } = await req('PUT', '/api/admin/settings', { require2faRoles: ['admin'] }, adminToken);
+  assert.equal(selfLock, 400, 'admin without 2FA cannot require it for admins');
+
+  const { status } = await req('PUT', '/api/admin/settings', { require2faRoles: ['trainer'] }, adminToken);
+  assert.equal(status, 200);
+  const { body: settings } = await req('GET', '/api/admin/settings', undefined, adminToken);
+  assert.deepEqual(settings.require2faRoles, ['trainer']);
+
+  try {
+    // carol is a trainer without 2FA: trainer routes are refused until she enrols
+    const { status: blocked, body } = await req('GET', '/api/trainer/users', undefined, trainerToken);
+    assert.equal(blocked, 403);
+    assert.match(body.error, /Two-factor/);
+    assert.equal((await req('GET', '/api/user/me', undefined, trainerToken)).status, 200);
+    const { body: carol2fa } = await req('GET', '/api/user/2fa', undefined, trainerToken);
+    assert.equal(carol2fa.required, true);
+  } finally {
+    await req('PUT', '/api/admin/settings', { require2faRoles: [] }, adminToken);
+  }
+  assert.equal((await req('GET', '/api/trainer/users', undefined, trainerToken)).status, 200);
+});
+
+test('disabling 2FA requires a valid code', async () => {
+  const { status: bad } = await req('POST', '/api/user/2fa/disable', { code: 'abcdef' }, mfaToken);
+  assert.equal(bad, 401);
+  const { status } = await req('POST', '/api/user/2fa/disable', { code: totp(mfaSecret, 1) }, mfaToken);
+  assert.equal(status, 200);
+
+  const { body } = await req('POST', '/api/auth/login', { username: 'mfa_user', password: 'password123' });
+  assert.ok(body.token, 'login should no longer require a second step');
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM recovery_codes rc JOIN users u ON u.id = rc.user_id WHERE u.username = 'mfa_user'").get().n, 0);
+});
+
+// ── Per-account lockout ───────────────────────────────────────────────────────
+test('login errors do not reveal whether the user exists', async () => {
+  const { status: s1, body: unknown } = await req('POST', '/api/auth/login', { username: 'nobody_here', password: 'password123' });
+  const { status: s2, body: wrong }   = await req('POST', '/api/auth/login', { username: 'alice', password: 'wrongpass' });
+  assert.equal(s1, 401);
+  assert.equal(s2, 401);
+  assert.equal(unknown.error, wrong.error);
+  // Clear alice's counter so later tests start fresh
+  await req('DELETE', '/api/admin/lockouts/alice', undefined, adminToken);
+});
+
+test('repeated failures lock the account even with the right password', async () => {
+  await req('POST', '/api/auth/register', { username: 'lock_user', password: 'password123' });
+  for (let i = 0; i < 5; i++) {
+    const { status } = await req('POST', '/api/auth/login', { username: 'lock_user', password: 'wrongpass' });
+    assert.equal(status, 401);
+  }
+  const res = await fetch(baseUrl + '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'lock_user', password: 'password123' }),
+  });
+  assert.equal(res.status, 429);
+  assert.ok(parseInt(res.headers.get('retry-after'), 10) > 0);
+  const body = await res.json();
+  assert.match(body.error, /Too many failed attempts/);
+});
+
+test('unknown usernames lock out the same way', async () => {
+  for (let i = 0; i < 5; i++) {
+    await req('POST', '/api/auth/login', { username: 'ghost_user', password: 'wrongpass' });
+  }
+  const { status } = await req('POST', '/api/auth/login', { username: 'ghost_user', password: 'wrongpass' });
+  assert.equal(status, 429);
+});
+
+test('lockout backoff grows with further failures', async () => {
+  const before = db.prepare('SELECT locked_until FROM login_failures WHERE username = ?').get('ghost_user');
+  // Simulate the first lockout having expired, then fail once more
+  db.prepare('UPDATE login_failures SET locked_until = ? WHERE username = ?').run(new Date(Date.now() - 1000).toISOString(), 'ghost_user');
+  await req('POST', '/api/auth/login', { username: 'ghost_user', password: 'wrongpass' });
+  const after = db.prepare('SELECT failures, locked_until FROM login_failures WHERE username = ?').get('ghost_user');
+  assert.equal(after.failures, 6);
+  const minutes = (new Date(after.locked_until) - Date.now()) / 60000;
+  assert.ok(minutes > 1.5 && minutes <= 2, `second lockout should last about 2 minutes, got ${minutes}`);
+  assert.ok(after.locked_until > before.locked_until);
+});
+
+test('admin can list and clear lockouts', async () => {
+  const { status: forbidden } = await req('GET', '/api/admin/lockouts', undefined, trainerToken);
+  assert.equal(forbidden, 403);
+
+  const { status, body } = await req('GET', '/api/admin/lockouts', undefined, adminToken);
+  assert.equal(status, 200);
+  const entry = body.find(l => l.username === 'lock_user');
+  assert.ok(entry);
+  assert.equal(entry.locked, true);
+  assert.equal(entry.failures, 5);
+
+  const { status: cleared } = await req('DELETE', '/api/admin/lockouts/lock_user', undefined, adminToken);
+  assert.equal(cleared, 200);
+  const { status: login } = await req('POST', '/api/auth/login', { username: 'lock_user', password: 'password123' });
+  assert.equal(login, 200);
+
+  const { status: missing } = await req('DELETE', '/api/admin/lockouts/lock_user', undefined, adminToken);
+  assert.equal(missing, 404);
+});
+
+test('successful login resets the failure counter', async () => {
+  await req('POST', '/api/auth/login', { username: 'lock_user', password: 'wrongpass' });
+  await req('POST', '/api/auth/login', { username: 'lock_user', password: 'password123' });
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM login_failures WHERE username = ?').get('lock_user').n, 0);
+});
+
+// ── Data export & account deletion ────────────────────────────────────────────
+let gdprToken;
+let gdprId;
+
+test('reset user data also clears 1RMs, schedule and personal plans', async () => {
+  await req('POST', '/api/auth/register', { username: 'gdpr_user', password: 'password123' });
+  const { body } = await req('POST', '/api/auth/login', { username: 'gdpr_user', password: 'password123' });
+  gdprToken = body.token;
+  gdprId = db.prepare('SELECT id FROM users WHERE username = ?').get('gdpr_user').id;
+
+  await req('PUT', '/api/1rm/Deadlift', { weightKg: 180 }, gdprToken);
+  await req('POST', '/api/schedule', { date: '2025-08-01', title: 'Legs' }, gdprToken);
+  await req('POST', '/api/user/saved-plans', { name: 'Mine', exercises: [{ name: 'Squat' }] }, gdprToken);
+
+  const { status } = await req('DELETE', '/api/user/data', undefined, gdprToken);
+  assert.equal(status, 200);
+  assert.deepEqual((await req('GET', '/api/1rm', undefined, gdprToken)).body, []);
+  assert.deepEqual((await req('GET', '/api/schedule', undefined, gdprToken)).body, []);
+  assert.deepEqual((await req('GET', '/api/user/plans', undefined, gdprToken)).body, []);
+});
+
+test('export returns everything tied to the user', async () => {
+  await req('PUT', '/api/profile', { firstName: 'Gina', email: 'gina@example.com' }, gdprToken);
+  await req('POST', '/api/workouts', { date: '2025-08-02', exercises: [{ name: 'Squat', sets: 3, reps: 5, weightKg: 100 }] }, gdprToken);
+  await req('POST', '/api/weights', { date: '2025-08-02', weight: 70 }, gdprToken);
+  await req('POST', '/api/calories', { date: '2025-08-02', food: 'Oats', calories: 300 }, gdprToken);
+  await req('PUT', '/api/1rm/Squat', { weightKg: 120 }, gdprToken);
+  await req('POST', '/api/schedule', { date: '2025-08-03', title: 'Push' }, gdprToken);
+  await req('POST', '/api/user/saved-plans', { name: 'Export plan', exercises: [{ name: 'Squat' }] }, gdprToken);
+  await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: gdprId }, adminToken);
+
+  const res = await fetch(baseUrl + '/api/user/export', { headers: { Authorization: 'Bearer ' + gdprToken } });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-disposition'), /attachment; filename="getus-fit-gdpr_user-/);
+  const archive = await res.json();
+
+  assert.equal(archive.format, 'getus-fit-export');
+  assert.equal(archive.account.username, 'gdpr_user');
+  assert.equal(archive.profile.firstName, 'Gina');
+  assert.equal(archive.workouts.length, 1);
+  assert.equal(archive.weights.length, 1);
+  assert.equal(archive.calories.length, 1);
+  assert.equal(archive.oneRepMaxes[0].exercise, 'Squat');
+  assert.equal(archive.scheduledWorkouts.length, 1);
+  assert.equal(archive.plans.authored[0].name, 'Export plan');
+  assert.equal(archive.plans.assigned[0].name, 'Export plan');
+  assert.equal(archive.trainers[0].username, 'carol');
+  assert.ok(archive.sessions.length >= 1);
+  assert.deepEqual(archive.inviteCodes, []);
+  const assigned = archive.auditLog.find(e => e.action === 'assignment.create');
+  assert.equal(assigned.targetUsername, 'gdpr_user');
+  assert.equal(assigned.ip, null, 'the IP is only exported for the user\'s own actions');
+
+  const text = JSON.stringify(archive);
+  assert.ok(!text.includes('password_hash') && !text.includes('$2'), 'export must not contain credentials');
+});
+
+test('a trainer\'s export includes the invite codes they created', async () => {
+  const { body: invite } = await req('POST', '/api/trainer/invites', {}, trainerToken);
+  const { body: archive } = await req('GET', '/api/user/export', undefined, trainerToken);
+  assert.ok(archive.inviteCodes.some(i => i.code === invite.code));
+  assert.ok(archive.auditLog.some(e => e.action === 'user.role' && e.targetUsername === 'carol'));
+});
+
+test('export requires auth', async () => {
+  const { status } = await req('GET', '/api/user/export');
+  assert.equal(status, 401);
+});
+
+test('account deletion requires the correct password', async () => {
+  const { status: missing } = await req('DELETE', '/api/user/account', {}, gdprToken);
+  assert.equal(missing, 400);
+  const { status: wrong } = await req('DELETE', '/api/user/account', { password: 'wrongpass' }, gdprToken);
+  assert.equal(wrong, 401);
+});
+
+test('wrong passwords for account deletion count towards the lockout', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'gdpr_guess', password: 'password123' });
+  const remove = password => req('DELETE', '/api/user/account', { password }, reg.token);
+  for (let i = 0; i < 5; i++) assert.equal((await remove('guess' + i)).status, 401);
+  assert.equal((await remove('password123')).status, 429, 'locked out, even with the right password');
+  await req('DELETE', '/api/admin/lockouts/gdpr_guess', undefined, adminToken);
+  await remove('guess');
+  assert.equal((await remove('password123')).status, 200);
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM login_failures WHERE username = 'gdpr_guess'").get().n, 0);
+});
+
+test('account deletion removes the user from every table', async () => {
+  const { status } = await req('DELETE', '/api/user/account', { password: 'password123' }, gdprToken);
+  assert.equal(status, 200);
+
+  const tables = ['profiles', 'workouts', 'weights', 'calories', 'one_rep_maxes', 'scheduled_workouts', 'trainer_assignments', 'plan_assignments', 'sessions'];
+  for (const table of tables) {
+    const { n } = db.prepare(`SELECT COUNT(*) AS n FROM ${table} WHERE user_id = ?`).get(gdprId);
+    assert.equal(n, 0, `${table} should have no rows for the deleted user`);
+  }
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM plans WHERE trainer_id = ?').get(gdprId).n, 0);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM users WHERE id = ?').get(gdprId).n, 0);
+  assert.equal((await req('GET', '/api/user/me', undefined, gdprToken)).status, 401);
+  assert.equal((await req('POST', '/api/auth/login', { username: 'gdpr_user', password: 'password123' })).status, 401);
+});
+
+test('account without a password is deleted by confirming the username', async () => {
+  const userId = insertProviderUser('gdpr_google', 'google-sub-gdpr');
+  const token = signToken({ userId, username: 'gdpr_google', role: 'user' });
+  const { status: bad } = await req('DELETE', '/api/user/account', { confirmUsername: 'someone_else' }, token);
+  assert.equal(bad, 400);
+  const { status } = await req('DELETE', '/api/user/account', { confirmUsername: 'gdpr_google' }, token);
+  assert.equal(status, 200);
+});
+
+test('the only admin cannot delete their own account', async () => {
+  const { status, body } = await req('DELETE', '/api/user/account', { password: 'password123' }, adminToken);
+  assert.equal(status, 400);
+  assert.match(body.error, /only admin/);
+});
+
+// ── Linking Google sign-in ──────────────────────────────────────────────────────
+let linkUserToken, linkUserId;
+
+test('password account can link and unlink Google', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'link_user', password: 'password123' });
+  linkUserToken = reg.token;
+  linkUserId = jwt.decode(reg.token).userId;
+
+  const { status } = await req('POST', '/api/user/identities/google', { credential: idToken({ sub: 'g-link-1' }) }, linkUserToken);
+  assert.equal(status, 200);
+  const { body: signin } = await req('POST', '/api/auth/google', { credential: idToken({ sub: 'g-link-1' }) });
+  assert.equal(jwt.decode(signin.token).userId, linkUserId);
+
+  const { body: methods } = await req('GET', '/api/user/login-methods', undefined, linkUserToken);
+  assert.equal(methods.password, true);
+  assert.deepEqual(methods.identities.map(i => i.provider), ['google']);
+
+  assert.equal((await req('DELETE', '/api/user/identities/google', undefined, linkUserToken)).status, 200);
+  assert.equal((await req('DELETE', '/api/user/identities/google', undefined, linkUserToken)).status, 404);
+});
+
+test('a Google account linked elsewhere cannot be linked again', async () => {
+  const { status } = await req('POST', '/api/user/identities/google', { credential: idToken({ sub: 'google-sub-pw' }) }, linkUserToken);
+  assert.equal(status, 409);
+});
+
+test('Google cannot be unlinked from an account without a password', async () => {
+  const userId = insertProviderUser('link_google_only', 'g-only');
+  const token = signToken({ userId, username: 'link_google_only', role: 'user' });
+  const { status, body } = await req('DELETE', '/api/user/identities/google', undefined, token);
+  assert.equal(status, 400);
+  assert.match(body.error, /password/);
+});
+
+test('first Google sign-in with a matching verified email offers to link', async () => {
+  await req('PUT', '/api/profile', { email: 'Link.User@example.com' }, linkUserToken);
+  const unverified = await req('POST', '/api/auth/google', { credential: idToken({ sub: 'g-link-2', email: 'link.user@example.com', email_verified: false }) });
+  assert.ok(unverified.body.token, 'unverified email should not prompt');
+  db.prepare("DELETE FROM users WHERE id IN (SELECT user_id FROM user_identities WHERE subject = 'g-link-2')").run();
+
+  const credential = idToken({ sub: 'g-link-2', email: 'link.user@example.com', email_verified: true });
+  const { body } = await req('POST', '/api/auth/google', { credential });
+  assert.equal(body.linkRequired, true);
+  assert.equal(body.username, 'link_user');
+  assert.equal(body.token, undefined);
+
+  const { status: badPw } = await req('POST', '/api/auth/login', { username: 'link_user', password: 'wrongpass', linkToken: body.linkToken });
+  assert.equal(badPw, 401);
+  const { status: badToken } = await req('POST', '/api/auth/login', { username: 'link_user', password: 'password123', linkToken: 'nope' });
+  assert.equal(badToken, 400);
+
+  const { status } = await req('POST', '/api/auth/login', { username: 'link_user', password: 'password123', linkToken: body.linkToken });
+  assert.equal(status, 200);
+  const { body: signin } = await req('POST', '/api/auth/google', { credential });
+  assert.equal(jwt.decode(signin.token).userId, linkUserId);
+});
+
+test('a link prompt for a second Google account reports the link error after sign-in', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'link_twice', password: 'password123' });
+  await req('PUT', '/api/profile', { email: 'twice@example.com' }, reg.token);
+  const prompt = async sub => (await req('POST', '/api/auth/google', { credential: idToken({ sub, email: 'twice@example.com', email_verified: true }) })).body;
+  const first = await prompt('g-twice-1');
+  const second = await prompt('g-twice-2');
+  assert.equal(first.linkRequired, true);
+  assert.equal(second.linkRequired, true);
+
+  const linked = await req('POST', '/api/auth/login', { username: 'link_twice', password: 'password123', linkToken: first.linkToken });
+  assert.equal(linked.status, 200);
+  assert.equal(linked.body.linkError, undefined);
+  const { status, body } = await req('POST', '/api/auth/login', { username: 'link_twice', password: 'password123', linkToken: second.linkToken });
+  assert.equal(status, 200);
+  assert.ok(body.token);
+  assert.match(body.linkError, /different Google account is already linked/);
+});
+
+test('Google sign-in can decline the link prompt and create a new account', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'link_other', password: 'password123' });
+  const otherId = jwt.decode(reg.token).userId;
+  await req('PUT', '/api/profile', { email: 'other@example.com' }, reg.token);
+  const credential = idToken({ sub: 'g-link-3', email: 'other@example.com', email_verified: true });
+  assert.equal((await req('POST', '/api/auth/google', { credential })).body.linkRequired, true);
+  const { body } = await req('POST', '/api/auth/google', { credential, createNew: true });
+  assert.ok(body.token);
+  assert.notEqual(jwt.decode(body.token).userId, otherId);
+});
+
+test('admin user list shows each user\'s login methods', async () => {
+  const { body } = await req('GET', '/api/admin/users', undefined, adminToken);
+  const link = body.find(u => u.username === 'link_user');
+  assert.deepEqual(link.loginMethods, ['password', 'google']);
+  assert.equal(link.twoFactorEnabled, false);
+  assert.deepEqual(body.find(u => u.username === 'link_google_only').loginMethods, ['google']);
+});
+
+// ── OpenID Connect providers ────────────────────────────────────────────────────
+const clubToken = (claims, options = {}) => idToken(claims, { issuer: 'https://id.club.test', audience: 'getus-fit', ...options });
+
+test('GET /api/config lists the configured sign-in providers', async () => {
+  const { body } = await req('GET', '/api/config');
+  assert.deepEqual(body.providers.map(p => p.id), ['google', 'club']);
+  const club = body.providers.find(p => p.id === 'club');
+  assert.equal(club.name, 'Club ID');
+  assert.equal(club.clientId, 'getus-fit');
+  assert.equal(club.authUrl, 'https://id.club.test/authorize');
+});
+
+test('club provider sign-in creates an account from the ID token', async () => {
+  const { status, body } = await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-1', preferred_username: 'club.member', nonce: 'n-1' }), nonce: 'n-1' });
+  assert.equal(status, 200);
+  assert.equal(jwt.decode(body.token).username, 'club_member');
+  const again = await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-1' }) });
+  assert.equal(jwt.decode(again.body.token).userId, jwt.decode(body.token).userId);
+});
+
+test('ID tokens that fail verification are rejected', async () => {
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const bad = [
+    clubToken({ sub: 'club-2' }, { audience: 'someone-else' }),
+    clubToken({ sub: 'club-2' }, { issuer: 'https://evil.test' }),
+    clubToken({ sub: 'club-2' }, { key: other.privateKey }),
+    clubToken({ sub: 'club-2' }, { expiresIn: '-5m' }),
+    idToken({ sub: 'club-2' }), // a Google token presented to the club provider
+    jwt.sign({ sub: 'club-2' }, 'shared-secret', { issuer: 'https://id.club.test', audience: 'getus-fit' }),
+    'not-a-jwt',
+  ];
+  for (const credential of bad) {
+    const { status } = await req('POST', '/api/auth/oidc/club', { credential });
+    assert.equal(status, 401);
+  }
+  const { status } = await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-2', nonce: 'a' }), nonce: 'b' });
+  assert.equal(status, 401, 'nonce mismatch should be rejected');
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM user_identities WHERE subject = 'club-2'").get().n, 0);
+});
+
+test('signing keys are cached instead of fetched on every sign-in', async () => {
+  const before = jwksRequests;
+  await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-1' }) });
+  await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-1' }, { kid: 'unknown-key' }) });
+  assert.equal(jwksRequests, before);
+});
+
+test('unknown providers are rejected', async () => {
+  const { status } = await req('POST', '/api/auth/oidc/nope', { credential: clubToken({ sub: 'x' }) });
+  assert.equal(status, 404);
+});
+
+test('an account can hold identities from several providers', async () => {
+  const { body } = await req('POST', '/api/auth/oidc/club', { credential: clubToken({ sub: 'club-3', email: 'multi@example.com' }) });
+  const token = body.token;
+  assert.equal((await req('POST', '/api/user/identities/google', { credential: idToken({ sub: 'g-multi' }) }, token)).status, 200);
+  const { status: second } = await req('POST', '/api/user/identities/google', { credential: idToken({ sub: 'g-multi-2' }) }, token);
+  assert.equal(second, 409, 'only one identity per provider');
+
+  const { body: methods } = await req('GET', '/api/user/login-methods', undefined, token);
+  assert.equal(methods.password, false);
+  assert.deepEqual(methods.identities.map(i => [i.provider, i.name]), [['club', 'Club ID'], ['google', 'Google']]);
+
+  assert.equal((await req('DELETE', '/api/user/identities/club', undefined, token)).status, 200);
+  assert.equal((await req('DELETE', '/api/user/identities/google', undefined, token)).status, 400, 'last sign-in method stays');
+});
+
+// ── Personal API tokens ─────────────────────────────────────────────────────────
+let patSession, patUserId, patToken, patTokenId;
+
+test('a user can create a scoped API token', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'pat_user', password: 'password123' });
+  patSession = reg.token;
+  patUserId = jwt.decode(reg.token).userId;
+
+  const { status, body } = await req('POST', '/api/user/tokens', { name: 'Bulk upload', scopes: ['weights:write', 'workouts:write'] }, patSession);
+  assert.equal(status, 201);
+  assert.match(body.token, /^gfp_/);
+  assert.deepEqual(body.scopes, ['weights:write', 'workouts:write']);
+  patToken = body.token;
+  patTokenId = body.id;
+
+  const row = db.prepare('SELECT token_hash FROM api_tokens WHERE id = ?').get(patTokenId);
+  assert.notEqual(row.token_hash, patToken, 'token must be stored hashed');
+  assert.equal(row.token_hash, crypto.createHash('sha256').update(patToken).digest('hex'));
+});
+
+test('API token creation validates name and scopes', async () => {
+  assert.equal((await req('POST', '/api/user/tokens', { name: '', scopes: ['weights:read'] }, patSession)).status, 400);
+  assert.equal((await req('POST', '/api/user/tokens', { name: 'x', scopes: [] }, patSession)).status, 400);
+  const { status, body } = await req('POST', '/api/user/tokens', { name: 'x', scopes: ['admin:all'] }, patSession);
+  assert.equal(status, 400);
+  assert.match(body.error, /admin:all/);
+});
+
+test('API token can call routes within its scopes and records last use', async () => {
+  const { status } = await req('POST', '/api/weights', { date: '2024-06-01', weight: 80 }, patToken);
+  assert.equal(status, 201);
+  const { status: workout } = await req('POST', '/api/workouts', { id: 'pat-w1', date: '2024-06-01', exercises: [] }, patToken);
+  assert.equal(workout, 201);
+
+  const { body: weights } = await req('GET', '/api/weights', undefined, patSession);
+  assert.equal(weights.length, 1);
+
+  const { body } = await req('GET', '/api/user/tokens', undefined, patSession);
+  const listed = body.tokens.find(t => t.id === patTokenId);
+  assert.ok(listed.lastUsedAt);
+  assert.equal(listed.token, undefined, 'the token itself is never listed again');
+  assert.ok(body.scopes.includes('calories:write'));
+});
+
+test('API token is refused outside its scopes', async () => {
+  const { status, body } = await req('GET', '/api/weights', undefined, patToken);
+  assert.equal(status, 403);
+  assert.match(body.error, /weights:read/);
+  assert.equal((await req('POST', '/api/calories', { date: '2024-06-01', meal: 'x', foods: [] }, patToken)).status, 403);
+});
+
+test('API token cannot reach account, token or admin routes', async () => {
+  assert.equal((await req('GET', '/api/user/tokens', undefined, patToken)).status, 403);
+  assert.equal((await req('POST', '/api/user/tokens', { name: 'y', scopes: ['weights:read'] }, patToken)).status, 403);
+  assert.equal((await req('PUT', '/api/user/password', { currentPassword: 'password123', newPassword: 'newpassword1' }, patToken)).status, 403);
+  assert.equal((await req('DELETE', '/api/user/data', undefined, patToken)).status, 403);
+  assert.equal((await req('GET', '/api/admin/users', undefined, patToken)).status, 403);
+});
+
+test('revoked or unknown API tokens are rejected', async () => {
+  assert.equal((await req('POST', '/api/weights', { date: '2024-06-02', weight: 80 }, 'gfp_not-a-real-token')).status, 401);
+  assert.equal((await req('DELETE', `/api/user/tokens/${patTokenId}`, undefined, aliceToken)).status, 404, 'only the owner can revoke');
+  assert.equal((await req('DELETE', `/api/user/tokens/${patTokenId}`, undefined, patSession)).status, 200);
+  assert.equal((await req('POST', '/api/weights', { date: '2024-06-02', weight: 80 }, patToken)).status, 401);
+});
+
+// ── Trainer invite codes ────────────────────────────────────────────────────────
+let invTrainerToken, invTrainerId, invPlanId, invCode;
+
+test('trainer can create an invite code with default plans', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'inv_trainer', password: 'password123' });
+  invTrainerId = jwt.decode(reg.token).userId;
+  db.prepare("UPDATE users SET role = 'trainer' WHERE id = ?").run(invTrainerId);
+  invTrainerToken = signToken({ userId: invTrainerId, username: 'inv_trainer', role: 'trainer' });
+
+  const { body: plan } = await req('POST', '/api/trainer/plans', { name: 'Starter', exercises: [{ name: 'Squat' }] }, invTrainerToken);
+  invPlanId = plan.id;
+
+  const { status, body } = await req('POST', '/api/trainer/invites', { maxUses: 2, expiresInDays: 7, planIds: [invPlanId] }, invTrainerToken);
+  assert.equal(status, 201);
+  assert.match(body.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+  assert.equal(body.uses, 0);
+  assert.equal(body.active, true);
+  invCode = body.code;
+});
+
+test('invite codes validate their settings and plans', async () => {
+  assert.equal((await req('POST', '/api/trainer/invites', { maxUses: 0 }, invTrainerToken)).status, 400);
+  assert.equal((await req('POST', '/api/trainer/invites', { expiresInDays: 365 }, invTrainerToken)).status, 400);
+  const { body: other } = await req('POST', '/api/trainer/plans', { name: 'Carol plan', exercises: [] }, trainerToken);
+  assert.equal((await req('POST', '/api/trainer/invites', { planIds: [other.id] }, invTrainerToken)).status, 400);
+  assert.equal((await req('POST', '/api/trainer/invites', {}, aliceToken)).status, 403);
+});
+
+test('registering with an invite code assigns the trainer and plans', async () => {
+  const { status, body } = await req('POST', '/api/auth/register', { username: 'inv_athlete', password: 'password123', inviteCode: invCode.toLowerCase() });
+  assert.equal(status, 201);
+  const athleteId = jwt.decode(body.token).userId;
+
+  const { body: athletes } = await req('GET', '/api/trainer/users', undefined, invTrainerToken);
+  assert.deepEqual(athletes.map(a => a.username), ['inv_athlete']);
+  const { body: plans } = await req('GET', '/api/user/plans', undefined, body.token);
+  assert.deepEqual(plans.map(p => p.id), [invPlanId]);
+  assert.ok(db.prepare('SELECT 1 FROM plan_assignments WHERE plan_id = ? AND user_id = ?').get(invPlanId, athleteId));
+});
+
+test('provider sign-in with an invite code assigns the trainer', async () => {
+  const { status, body } = await req('POST', '/api/auth/google', { credential: idToken({ sub: 'g-invite' }), inviteCode: invCode });
+  assert.equal(status, 200);
+  const { body: athletes } = await req('GET', '/api/trainer/users', undefined, invTrainerToken);
+  assert.ok(athletes.some(a => a.id === jwt.decode(body.token).userId));
+});
+
+test('an invite code stops working once its uses run out', async () => {
+  const { body: list } = await req('GET', '/api/trainer/invites', undefined, invTrainerToken);
+  const invite = list.find(i => i.code === invCode);
+  assert.equal(invite.uses, 2);
+  assert.equal(invite.active, false);
+
+  const { status, body } = await req('POST', '/api/auth/register', { username: 'inv_late', password: 'password123', inviteCode: invCode });
+  assert.equal(status, 400);
+  assert.match(body.error, /invite/i);
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM users WHERE username = 'inv_late'").get().n, 0);
+});
+
+test('expired and revoked invite codes are rejected', async () => {
+  const { body: expiring } = await req('POST', '/api/trainer/invites', {}, invTrainerToken);
+  db.prepare('UPDATE invite_codes SET expires_at = ? WHERE id = ?').run('2000-01-01T00:00:00.000Z', expiring.id);
+  assert.equal((await req('POST', '/api/auth/register', { username: 'inv_exp', password: 'password123', inviteCode: expiring.code })).status, 400);
+
+  const { body: revoking } = await req('POST', '/api/trainer/invites', {}, invTrainerToken);
+  assert.equal((await req('DELETE', `/api/trainer/invites/${revoking.id}`, undefined, trainerToken)).status, 404, 'only the owner can revoke');
+  assert.equal((await req('DELETE', `/api/trainer/invites/${revoking.id}`, undefined, invTrainerToken)).status, 200);
+  assert.equal((await req('POST', '/api/auth/register', { username: 'inv_rev', password: 'password123', inviteCode: revoking.code })).status, 400);
+});
+
+test('existing users can redeem an invite code when logging in', async () => {
+  const { body: invite } = await req('POST', '/api/trainer/invites', {}, invTrainerToken);
+  const { status } = await req('POST', '/api/auth/login', { username: 'link_other', password: 'password123', inviteCode: invite.code });
+  assert.equal(status, 200);
+  const { body: athletes } = await req('GET', '/api/trainer/users', undefined, invTrainerToken);
+  assert.ok(athletes.some(a => a.username === 'link_other'));
+});
+
+// ── Audit log ─────────────────────────────────────────────────────────────────
+
+let auditUserId;
+
+test('admin changes to a user are recorded in the audit log', async () => {
+  const { body: created } = await req('POST', '/api/admin/users', { username: 'audit_target', password: 'password123' }, adminToken);
+  auditUserId = created.id;
+  await req('PUT', `/api/admin/users/${auditUserId}`, { username: 'audit_renamed', role: 'trainer', password: 'password456' }, adminToken);
+  await req('DELETE', `/api/admin/users/${auditUserId}/sessions`, undefined, adminToken);
+
+  const { status, body } = await req('GET', `/api/admin/audit?targetUserId=${auditUserId}`, undefined, adminToken);
+  assert.equal(status, 200);
+  assert.deepEqual(body.entries.map(e => e.action), ['user.sessions_revoke', 'user.password', 'user.role', 'user.rename', 'user.create']);
+  const rename = body.entries.find(e => e.action === 'user.rename');
+  assert.equal(rename.actorId, jwt.decode(adminToken).userId);
+  assert.equal(rename.targetUsername, 'audit_renamed');
+  assert.deepEqual(rename.details, { from: 'audit_target', to: 'audit_renamed' });
+  assert.deepEqual(body.entries.find(e => e.action === 'user.role').details, { from: 'user', to: 'trainer' });
+});
+
+test('audit entries outlive the users they mention', async () => {
+  assert.equal((await req('DELETE', `/api/admin/users/${auditUserId}`, undefined, adminToken)).status, 200);
+  const { body } = await req('GET', `/api/admin/audit?targetUserId=${auditUserId}&action=user.delete`, undefined, adminToken);
+  assert.equal(body.entries.length, 1);
+  assert.equal(body.entries[0].targetUsername, 'audit_renamed');
+  assert.equal((await req('GET', `/api/admin/audit?targetUserId=${auditUserId}`, undefined, adminToken)).body.entries.length, 6);
+});
+
+test('trainer reads of athlete data are recorded', async () => {
+  const athleteId = db.prepare("SELECT id FROM users WHERE username = 'inv_athlete'").get().id;
+  assert.equal((await req('GET', `/api/trainer/users/${athleteId}/weights`, undefined, invTrainerToken)).status, 200);
+  assert.equal((await req('GET', `/api/user/plans?userId=${athleteId}`, undefined, invTrainerToken)).status, 200);
+
+  const { body } = await req('GET', `/api/admin/audit?actorId=${invTrainerId}&action=athlete.read`, undefined, adminToken);
+  assert.deepEqual(body.entries.map(e => e.details.resource), ['plans', 'weights']);
+  assert.ok(body.entries.every(e => e.targetUserId === athleteId));
+
+  // A refused read is not logged as a read
+  assert.equal((await req('GET', `/api/trainer/users/${athleteId}/weights`, undefined, trainerToken)).status, 403);
+  const { body: carol } = await req('GET', `/api/admin/audit?actorId=${carolId}&targetUserId=${athleteId}`, undefined, adminToken);
+  assert.equal(carol.entries.length, 0);
+});
+
+test('assignment and plan changes are recorded, including invite redemptions', async () => {
+  const athleteId = db.prepare("SELECT id FROM users WHERE username = 'inv_athlete'").get().id;
+  const { body } = await req('GET', `/api/admin/audit?userId=${athleteId}&action=assignment`, undefined, adminToken);
+  const viaInvite = body.entries.find(e => e.details.inviteId);
+  assert.ok(viaInvite);
+  assert.equal(viaInvite.actorId, athleteId);
+  assert.equal(viaInvite.details.trainerId, invTrainerId);
+
+  const { body: plans } = await req('GET', `/api/admin/audit?targetUserId=${athleteId}&action=plan.assign`, undefined, adminToken);
+  assert.deepEqual(plans.entries.map(e => e.details.planId), [invPlanId]);
+
+  await req('DELETE', `/api/trainer/plans/${invPlanId}/assign/${athleteId}`, undefined, invTrainerToken);
+  const { body: unassigned } = await req('GET', `/api/admin/audit?targetUserId=${athleteId}&action=plan.unassign`, undefined, adminToken);
+  assert.equal(unassigned.entries[0].actorId, invTrainerId);
+});
+
+test('the audit log pages with limit and before', async () => {
+  const { body: first } = await req('GET', '/api/admin/audit?limit=2', undefined, adminToken);
+  assert.equal(first.entries.length, 2);
+  assert.ok(first.nextBefore);
+  const { body: second } = await req('GET', `/api/admin/audit?limit=2&before=${first.nextBefore}`, undefined, adminToken);
+  assert.ok(second.entries[0].id < first.entries[1].id);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { body: none } = await req('GET', '/api/admin/audit?to=2000-01-01', undefined, adminToken);
+  assert.equal(none.entries.length, 0);
+  const { body: todays } = await req('GET', `/api/admin/audit?from=${today}&to=${today}&limit=1`, undefined, adminToken);
+  assert.equal(todays.entries.length, 1);
+});
+
+test('the audit log is admin-only and validates its filters', async () => {
+  assert.equal((await req('GET', '/api/admin/audit', undefined, trainerToken)).status, 403);
+  assert.equal((await req('GET', '/api/admin/audit?limit=1000', undefined, adminToken)).status, 400);
+  assert.equal((await req('GET', '/api/admin/audit?actorId=abc', undefined, adminToken)).status, 400);
+  assert.equal((await req('GET', '/api/admin/audit?from=yesterday', undefined, adminToken)).status, 400);
+});
+
+test('audit log rows cannot be changed or removed', () => {
+  assert.throws(() => db.prepare("UPDATE audit_log SET action = 'x'").run(), /append-only/);
+  assert.throws(() => db.prepare('DELETE FROM audit_log').run(), /append-only/);
+});
+
+// ── Schema migrations ─────────────────────────────────────────────────────────
+
+const Database = require('better-sqlite3');
+const { execFileSync } = require('node:child_process');
+const { loadMigrations, migrate, pendingMigrations } = require('../migrate.js');
+
+test('the server database is at the latest schema version', () => {
+  assert.equal(db.pragma('user_version', { simple: true }), loadMigrations().length);
+  assert.equal(pendingMigrations(db).length, 0);
+});
+
+test('migrations upgrade a database created before version tracking', () => {
+  const legacy = new Database(':memory:');
+  legacy.exec(`
+    CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT UNIQUE NOT NULL COLLATE NOCASE, password_hash TEXT NOT NULL, google_id TEXT);
+    CREATE UNIQUE INDEX idx_users_google_id ON users(google_id) WHERE google_id IS NOT NULL;
+    INSERT INTO users (username, password_hash, google_id) VALUES ('legacy', 'x', 'g-legacy');
+  `);
+  const applied = migrate(legacy, { log: () => {} });
+  assert.equal(applied.length, loadMigrations().length);
+  assert.deepEqual(legacy.prepare('SELECT username, role, totp_enabled FROM users').get(), { username: 'legacy', role: 'user', totp_enabled: 0 });
+  assert.equal(legacy.prepare("SELECT subject FROM user_identities WHERE provider = 'google'").get().subject, 'g-legacy');
+  assert.deepEqual(migrate(legacy, { log: () => {} }), [], 'a second run has nothing to do');
+  legacy.close();
+});
+
+test('a failing migration rolls back and stops at the last good version', () => {
+  const target = new Database(':memory:');
+  const migrations = [
+    { version: 1, name: '001_ok', up: d => d.exec('CREATE TABLE a (x INTEGER)') },
+    { version: 2, name: '002_broken', up: d => d.exec('CREATE TABLE b (x INTEGER); INSERT INTO missing VALUES (1)') },
+    { version: 3, name: '003_never', up: d => d.exec('CREATE TABLE c (x INTEGER)') },
+  ];
+  assert.throws(() => migrate(target, { migrations, log: () => {} }), /002_broken failed: no such table: missing/);
+  assert.equal(target.pragma('user_version', { simple: true }), 1);
+  const tables = target.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(t => t.name);
+  assert.deepEqual(tables, ['a']);
+
+  target.pragma('user_version = 7');
+  assert.throws(() => pendingMigrations(target, migrations), /newer than this code/);
+  target.close();
+});
+
+test('migrate.js --dry-run lists pending migrations without applying them', () => {
+  const dbPath = path.join('/tmp', `dgf_test_migrate_${Date.now()}.db`);
+  const partial = new Database(dbPath);
+  migrate(partial, { migrations: loadMigrations().slice(0, 2), log: () => {} });
+  partial.close();
+
+  const out = execFileSync(process.execPath, [path.join(__dirname, '..', 'migrate.js'), '--dry-run'], {
+    env: { ...process.env, DB_PATH: dbPath }, encoding: 'utf8',
+  });
+  assert.match(out, /schema version 2/);
+  assert.match(out, /003_password_resets/);
+  assert.doesNotMatch(out, /002_sessions/);
+  const check = new Database(dbPath, { readonly: true });
+  assert.equal(check.pragma('user_version', { simple: true }), 2);
+  check.close();
+  fs.unlinkSync(dbPath);
+});
+
+// ── Per-set workout logging ───────────────────────────────────────────────────
+
+test('a workout with per-set detail round-trips with defaults filled in', async () => {
+  const { status, body } = await req('POST', '/api/workouts', {
+    date: '2025-09-01',
+    exercises: [{
+      name: 'Bench Press',
+      sets: [
+        { reps: 10, weightKg: 40, type: 'warmup' },
+        { reps: 5, weightKg: 80, rpe: 8.5, tempo: '3-1-x-0' },
+        { reps: 3, weightKg: 80, rir: 0, type: 'failure', completed: false },
+        { reps: 12, weightKg: 50, type: 'drop' },
+      ],
+    }],
+  }, aliceToken);
+  assert.equal(status, 201);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, aliceToken);
+  const sets = workouts.find(w => w.id === body.id).exercises[0].sets;
+  assert.equal(sets.length, 4);
+  assert.deepEqual(sets[1], { reps: 5, weightKg: 80, weight: 80, rpe: 8.5, rir: null, tempo: '3-1-X-0', type: 'working', completed: true, e1rmKg: 93.333, e1rm: 93.333 });
+  assert.deepEqual(sets.map(s => s.type), ['warmup', 'working', 'failure', 'drop']);
+  assert.equal(sets[2].completed, false);
+  await req('DELETE', '/api/workouts/' + body.id, undefined, aliceToken);
+});
+
+test('the old flat exercise shape is converted to individual sets', async () => {
+  const { body } = await req('POST', '/api/workouts', {
+    date: '2025-09-02',
+    exercises: [{ name: 'Row', sets: '3', reps: '8', weightKg: '60', notes: 'strict' }, { name: 'Plank', sets: '', reps: '', weightKg: '' }],
+  }, aliceToken);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, aliceToken);
+  const [row, plank] = workouts.find(w => w.id === body.id).exercises;
+  assert.equal(row.notes, 'strict');
+  assert.equal(row.reps, undefined);
+  assert.deepEqual(row.sets, Array(3).fill({ reps: 8, weightKg: 60, weight: 60, rpe: null, rir: null, tempo: null, type: 'working', completed: true, e1rmKg: 76, e1rm: 76 }));
+  assert.deepEqual(plank.sets, []);
+  await req('DELETE', '/api/workouts/' + body.id, undefined, aliceToken);
+});
+
+test('invalid sets are rejected with the offending field', async () => {
+  const post = exercises => req('POST', '/api/workouts', { date: '2025-09-03', exercises }, aliceToken);
+  const cases = [
+    [[{ name: 'Squat', sets: [{ reps: 5, rpe: 11 }] }], /exercises\[0\]\.sets\[0\]\.rpe/],
+    [[{ name: 'Squat', sets: [{ reps: 5 }, { reps: -1 }] }], /exercises\[0\]\.sets\[1\]\.reps/],
+    [[{ name: 'Squat', sets: [{ reps: 5, type: 'cluster' }] }], /type must be one of/],
+    [[{ name: 'Squat', sets: [{ reps: 5, completed: 'yes' }] }], /completed/],
+    [[{ name: 'Squat', sets: [{ reps: 5, tempo: 'slow' }] }], /tempo/],
+    [[{ name: 'Squat', sets: '500', reps: '5' }], /more than 50 sets/],
+    [[{ sets: [] }], /exercises\[0\]\.name is required/],
+  ];
+  for (const [exercises, message] of cases) {
+    const { status, body } = await post(exercises);
+    assert.equal(status, 400, JSON.stringify(exercises));
+    assert.match(body.error, message);
+  }
+  const { status } = await req('POST', '/api/workouts', { date: '03/09/2025', exercises: [] }, aliceToken);
+  assert.equal(status, 400);
+});
+
+test('migration 010 converts stored flat workouts to sets', () => {
+  const old = new Database(':memory:');
+  const migrations = loadMigrations();
+  const at = migrations.findIndex(m => m.name === '010_workout_sets');
+  migrate(old, { migrations: migrations.slice(0, at), log: () => {} });
+  old.prepare("INSERT INTO users (id, username, password_hash) VALUES (1, 'old', 'x')").run();
+  const insert = old.prepare('INSERT INTO workouts (id, user_id, date, data) VALUES (?, 1, ?, ?)');
+  insert.run('w-flat', '2024-01-01', JSON.stringify({ id: 'w-flat', date: '2024-01-01', exercises: [{ name: 'Squat', sets: '2', reps: '5', weightKg: '100' }] }));
+  insert.run('w-sets', '2024-01-02', JSON.stringify({ id: 'w-sets', date: '2024-01-02', exercises: [{ name: 'Squat', sets: [{ reps: 1, weightKg: 140 }] }] }));
+  insert.run('w-bad', '2024-01-03', 'not json');
+  migrate(old, { migrations, log: () => {} });
+
+  const data = id => old.prepare('SELECT data FROM workouts WHERE id = ?').get(id).data;
+  const flat = JSON.parse(data('w-flat')).exercises[0];
+  assert.deepEqual(flat, {
+    name: 'Squat',
+    sets: Array(2).fill({ reps: 5, weightKg: 100, rpe: null, rir: null, tempo: null, type: 'working', completed: true }),
+  });
+  assert.deepEqual(JSON.parse(data('w-sets')).exercises[0].sets, [{ reps: 1, weightKg: 140 }]);
+  assert.equal(data('w-bad'), 'not json');
+  old.close();
+});
+
+// ── Editing workouts ──────────────────────────────────────────────────────────
+
+const EDIT_SET = { reps: 5, weightKg: 100, weight: 100, rpe: null, rir: null, tempo: null, type: 'working', completed: true, e1rmKg: 116.667, e1rm: 116.667 };
+
+test('resending a workout with the same id is idempotent', async () => {
+  const workout = { id: 'edit-w1', date: '2025-10-01', notes: 'Legs', exercises: [{ name: 'Squat', sets: [{ reps: 5, weightKg: 100 }] }] };
+  const first = await req('POST', '/api/workouts', workout, aliceToken);
+  assert.equal(first.status, 201);
+  const again = await req('POST', '/api/workouts', workout, aliceToken);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.id, 'edit-w1');
+  assert.equal(db.prepare("SELECT COUNT(*) AS n FROM workouts WHERE id = 'edit-w1'").get().n, 1);
+
+  const changed = await req('POST', '/api/workouts', { ...workout, notes: 'Different' }, aliceToken);
+  assert.equal(changed.status, 409);
+  assert.match(changed.body.error, /PUT/);
+  const { body: bob } = await req('POST', '/api/auth/register', { username: 'edit_bob', password: 'password123' });
+  assert.equal((await req('POST', '/api/workouts', workout, bob.token)).status, 409);
+  assert.equal((await req('POST', '/api/workouts', { ...workout, id: 'no spaces!' }, aliceToken)).status, 400);
+});
+
+test('a resent workout matches on what was sent, not on its derived records', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'edit_resend', password: 'password123' });
+  const workout = { id: 'resend-w1', date: '2025-10-02', exercises: [{ name: 'Bench Press', sets: [{ reps: 5, weightKg: 120 }] }] };
+  assert.deepEqual((await req('POST', '/api/workouts', workout, reg.token)).body.personalRecords, []);
+  // An earlier workout would now make the first one a personal record
+  await req('POST', '/api/workouts', { date: '2025-10-01', exercises: [{ name: 'Bench Press', sets: [{ reps: 5, weightKg: 100 }] }] }, reg.token);
+  const again = await req('POST', '/api/workouts', workout, reg.token);
+  assert.equal(again.status, 200);
+  assert.deepEqual(again.body.personalRecords, [], 'the records stored with the workout are returned');
+});
+
+test('PUT replaces a workout and records updatedAt', async () => {
+  const { status, body } = await req('PUT', '/api/workouts/edit-w1', {
+    date: '2025-10-02', exercises: [{ name: 'Front Squat', sets: [{ reps: 3, weightKg: 90 }] }],
+  }, aliceToken);
+  assert.equal(status, 200);
+  assert.ok(body.updatedAt);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, aliceToken);
+  const saved = workouts.find(w => w.id === 'edit-w1');
+  assert.equal(saved.date, '2025-10-02');
+  assert.equal(saved.notes, undefined, 'PUT drops fields it does not send');
+  assert.equal(saved.exercises[0].name, 'Front Squat');
+  assert.equal(saved.updatedAt, body.updatedAt);
+  assert.equal(db.prepare("SELECT date FROM workouts WHERE id = 'edit-w1'").get().date, '2025-10-02');
+});
+
+test('PATCH merges fields into a workout', async () => {
+  const { status } = await req('PATCH', '/api/workouts/edit-w1', { notes: 'Fixed typo' }, aliceToken);
+  assert.equal(status, 200);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, aliceToken);
+  const saved = workouts.find(w => w.id === 'edit-w1');
+  assert.equal(saved.notes, 'Fixed typo');
+  assert.equal(saved.date, '2025-10-02');
+  assert.equal(saved.exercises[0].name, 'Front Squat');
+
+  await req('PATCH', '/api/workouts/edit-w1', { exercises: [{ name: 'Squat', sets: '2', reps: '5', weightKg: '100' }] }, aliceToken);
+  const { body: after } = await req('GET', '/api/workouts', undefined, aliceToken);
+  assert.deepEqual(after.find(w => w.id === 'edit-w1').exercises[0].sets, [EDIT_SET, EDIT_SET]);
+});
+
+test('workout edits check ownership and validate', async () => {
+  const bobToken = (await req('POST', '/api/auth/login', { username: 'edit_bob', password: 'password123' })).body.token;
+  assert.equal((await req('PUT', '/api/workouts/edit-w1', { date: '2025-10-03', exercises: [] }, bobToken)).status, 404);
+  assert.equal((await req('PATCH', '/api/workouts/edit-w1', { notes: 'mine now' }, bobToken)).status, 404);
+  assert.equal((await req('PATCH', '/api/workouts/missing', { notes: 'x' }, aliceToken)).status, 404);
+
+  const bad = await req('PATCH', '/api/workouts/edit-w1', { exercises: [{ name: 'Squat', sets: [{ reps: 5, rpe: 12 }] }] }, aliceToken);
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /rpe/);
+  assert.equal((await req('PATCH', '/api/workouts/edit-w1', { id: 'other' }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/workouts/edit-w1', { date: 'soon', exercises: [] }, aliceToken)).status, 400);
+
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, aliceToken);
+  assert.equal(workouts.find(w => w.id === 'edit-w1').notes, 'Fixed typo', 'rejected edits change nothing');
+  await req('DELETE', '/api/workouts/edit-w1', undefined, aliceToken);
+});
+
+// ── Editing calorie and weight entries ────────────────────────────────────────
+test('PUT /api/calories/:id recalculates totals from qty and per-serving values', async () => {
+  const { body: created } = await req('POST', '/api/calories', {
+    date: '2025-10-05', meal: 'Lunch', food: 'Rice', qty: 1,
+    calories: '200.0', protein: '4.0', carbs: '45.0', fat: '',
+  }, aliceToken);
+
+  const { status, body } = await req('PUT', '/api/calories/' + created.id, { qty: 2 }, aliceToken);
+  assert.equal(status, 200);
+  assert.equal(body.entry.calories, 400);
+  assert.equal(body.entry.protein, 8);
+  assert.equal(body.entry.carbs, 90);
+  assert.equal(body.entry.fat, undefined);
+
+  const { body: edited } = await req('PUT', '/api/calories/' + created.id, {
+    date: '2025-10-06', meal: 'Dinner', food: 'Brown rice', perServing: { calories: 220, fat: 2 },
+  }, aliceToken);
+  assert.equal(edited.entry.calories, 440);
+  assert.equal(edited.entry.fat, 4);
+  assert.equal(edited.entry.protein, 8, 'unspecified macros keep their per-serving value');
+
+  const { body: list } = await req('GET', '/api/calories', undefined, aliceToken);
+  const saved = list.find(e => e.id === created.id);
+  assert.equal(saved.date, '2025-10-06');
+  assert.equal(saved.meal, 'Dinner');
+  assert.equal(saved.food, 'Brown rice');
+  assert.equal(saved.qty, 2);
+  await req('DELETE', '/api/calories/' + created.id, undefined, aliceToken);
+});
+
+test('calorie edits check ownership and validate', async () => {
+  const { body: created } = await req('POST', '/api/calories', { date: '2025-10-05', food: 'Toast', calories: '150.0' }, aliceToken);
+  const bobToken = (await req('POST', '/api/auth/login', { username: 'edit_bob', password: 'password123' })).body.token;
+  assert.equal((await req('PUT', '/api/calories/' + created.id, { qty: 3 }, bobToken)).status, 404);
+  assert.equal((await req('PUT', '/api/calories/999999', { qty: 3 }, aliceToken)).status, 404);
+  assert.equal((await req('PUT', '/api/calories/' + created.id, { qty: 0 }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/calories/' + created.id, { qty: 'two' }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/calories/' + created.id, { date: '05/10/2025' }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/calories/' + created.id, { food: 'x'.repeat(201) }, aliceToken)).status, 400);
+  const bad = await req('PUT', '/api/calories/' + created.id, { perServing: { protein: -1 } }, aliceToken);
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /perServing\.protein/);
+
+  const { body: list } = await req('GET', '/api/calories', undefined, aliceToken);
+  assert.equal(list.find(e => e.id === created.id).calories, 150, 'rejected edits change nothing');
+  await req('DELETE', '/api/calories/' + created.id, undefined, aliceToken);
+});
+
+test('PUT /api/weights/:date edits and moves an entry', async () => {
+  await req('POST', '/api/weights', { date: '2025-10-05', weight: '80.0', goal: '75.0', notes: 'Morning' }, aliceToken);
+  await req('POST', '/api/weights', { date: '2025-10-07', weight: '79.5', goal: '75.0' }, aliceToken);
+
+  const { status, body } = await req('PUT', '/api/weights/2025-10-05', { weight: '79.8', date: '2025-10-06' }, aliceToken);
+  assert.equal(status, 200);
+  assert.deepEqual(body.entry, { date: '2025-10-06', weight: 79.8, goal: 75, notes: 'Morning' });
+
+  const { body: list } = await req('GET', '/api/weights', undefined, aliceToken);
+  assert.ok(!list.some(e => e.date === '2025-10-05'));
+  assert.equal(list.find(e => e.date === '2025-10-06').weight, 79.8);
+
+  const clash = await req('PUT', '/api/weights/2025-10-06', { date: '2025-10-07' }, aliceToken);
+  assert.equal(clash.status, 409);
+  assert.equal((await req('PUT', '/api/weights/2025-10-06', { weight: 0 }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/weights/2025-10-06', { date: 'tomorrow' }, aliceToken)).status, 400);
+  assert.equal((await req('PUT', '/api/weights/2025-10-01', { weight: '80' }, aliceToken)).status, 404);
+
+  const bobToken = (await req('POST', '/api/auth/login', { username: 'edit_bob', password: 'password123' })).body.token;
+  assert.equal((await req('PUT', '/api/weights/2025-10-06', { weight: '60' }, bobToken)).status, 404);
+
+  await req('DELETE', '/api/weights/2025-10-06', undefined, aliceToken);
+  await req('DELETE', '/api/weights/2025-10-07', undefined, aliceToken);
+});
+
+// ── Request validation ────────────────────────────────────────────────────────
+const { validate, schemas } = require('../schemas.js');
+
+test('stored documents are coerced and undeclared fields dropped', async () => {
+  const { body: created } = await req('POST', '/api/calories', {
+    date: '2025-11-01', meal: 'Lunch', food: 'Soup', qty: '1', calories: '350.0', protein: '12.5', carbs: '', target: '2000',
+  }, aliceToken);
+  const { body: list } = await req('GET', '/api/calories', undefined, aliceToken);
+  const saved = list.find(e => e.id === created.id);
+  assert.deepEqual(saved, { date: '2025-11-01', meal: 'Lunch', food: 'Soup', qty: 1, calories: 350, protein: 12.5, id: created.id });
+  await req('DELETE', '/api/calories/' + created.id, undefined, aliceToken);
+
+  await req('PUT', '/api/profile', { firstName: ' Alice ', email: 'alice@example.com', age: '30', role: 'admin' }, aliceToken);
+  const { body: profile } = await req('GET', '/api/profile', undefined, aliceToken);
+  assert.deepEqual(profile, { firstName: 'Alice', email: 'alice@example.com', age: 30 });
+});
+
+test('invalid bodies get field-level 400s', async () => {
+  const cases = [
+    ['POST', '/api/weights', { date: '2025-11-01', weight: 'abc' }, 'weight'],
+    ['POST', '/api/weights', { date: '2025-02-30', weight: 70 }, 'date'],
+    ['POST', '/api/calories', { date: '2025-11-01', calories: 100 }, 'food'],
+    ['PUT', '/api/profile', { email: 'not-an-email' }, 'email'],
+    ['PUT', '/api/profile', { age: 12.5 }, 'age'],
+    ['POST', '/api/user/saved-plans', { name: 'Plan', exercises: [{ name: 'Squat', sets: 'three' }] }, 'exercises[0].sets'],
+    ['POST', '/api/workouts', [], ''],
+  ];
+  for (const [method, url, payload, field] of cases) {
+    const { status, body } = await req(method, url, payload, aliceToken);
+    assert.equal(status, 400, `${method} ${url} ${JSON.stringify(payload)}`);
+    assert.equal(body.errors[0].field, field);
+    assert.equal(body.error, body.errors[0].message);
+  }
+
+  const { body } = await req('POST', '/api/weights', { weight: -1 }, aliceToken);
+  assert.deepEqual(body.errors.map(e => e.field), ['date', 'weight']);
+  assert.match(body.error, /and 1 more/);
+});
+
+test('unknown fields can be rejected instead of dropped', () => {
+  const entry = { date: '2025-11-01', weight: 70, mood: 'good' };
+  assert.deepEqual(validate(schemas.weight, entry).value, { date: '2025-11-01', weight: 70 });
+  const { errors } = validate(schemas.weight, entry, { unknown: 'reject' });
+  assert.deepEqual(errors, [{ field: 'mood', message: 'mood is not an allowed field.' }]);
+});
+
+test('oversized and malformed bodies get JSON errors', async () => {
+  const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${aliceToken}` };
+  const big = await fetch(`${baseUrl}/api/profile`, {
+    method: 'PUT', headers, body: JSON.stringify({ firstName: 'x'.repeat(200 * 1024) }),
+  });
+  assert.equal(big.status, 413);
+  assert.match((await big.json()).error, /100kb/);
+
+  const broken = await fetch(`${baseUrl}/api/weights`, { method: 'POST', headers, body: '{"date":' });
+  assert.equal(broken.status, 400);
+  assert.match((await broken.json()).error, /not valid JSON/);
+});
+
+test('admin consistency check reports stored rows that fail validation', async () => {
+  const aliceId = jwt.decode(aliceToken).userId;
+  db.prepare('INSERT INTO weights (user_id, date, data) VALUES (?, ?, ?)')
+    .run(aliceId, '2025-11-02', JSON.stringify({ date: '2025-11-02', weight: 'heavy' }));
+  const broken = db.prepare('INSERT INTO calories (user_id, date, data) VALUES (?, ?, ?)')
+    .run(aliceId, '2025-11-02', '{not json').lastInsertRowid;
+  await req('POST', '/api/weights', { date: '2025-11-03', weight: '70.5' }, aliceToken);
+
+  assert.equal((await req('GET', '/api/admin/consistency', undefined, trainerToken)).status, 403);
+  const { status, body } = await req('GET', '/api/admin/consistency', undefined, adminToken);
+  assert.equal(status, 200);
+  assert.ok(body.checked.weights >= 2);
+  assert.equal(body.truncated, false);
+  const weight = body.problems.find(p => p.resource === 'weights');
+  assert.deepEqual(weight, {
+    resource: 'weights', userId: aliceId, date: '2025-11-02',
+    errors: [{ field: 'weight', message: 'weight must be a number above 0 and at most 1000.' }],
+  });
+  const calorie = body.problems.find(p => p.resource === 'calories');
+  assert.equal(calorie.id, broken);
+  assert.match(calorie.errors[0].message, /not valid JSON/);
+  assert.equal(body.problems.length, 2, 'valid rows, including coercible legacy strings, are not reported');
+
+  db.prepare('DELETE FROM weights WHERE user_id = ? AND date IN (?, ?)').run(aliceId, '2025-11-02', '2025-11-03');
+  db.prepare('DELETE FROM calories WHERE id = ?').run(broken);
+});
+
+// ── Weight units ──────────────────────────────────────────────────────────────
+
+test('a lb user reads and writes pounds while storage stays in kg', async () => {
+  await req('POST', '/api/auth/register', { username: 'units_dana', password: 'password123' });
+  const token = (await req('POST', '/api/auth/login', { username: 'units_dana', password: 'password123' })).body.token;
+  const danaId = jwt.decode(token).userId;
+  assert.equal((await req('PUT', '/api/profile', { firstName: 'Dana', units: 'lb' }, token)).status, 200);
+  assert.equal((await req('GET', '/api/user/me', undefined, token)).body.units, 'lb');
+
+  await req('POST', '/api/weights', { date: '2025-12-01', weight: 154.3, goal: 150 }, token);
+  const stored = JSON.parse(db.prepare('SELECT data FROM weights WHERE user_id = ?').get(danaId).data);
+  assert.ok(Math.abs(stored.weight - 69.989) < 0.001, 'stored in kg');
+  const { body: weights } = await req('GET', '/api/weights', undefined, token);
+  assert.deepEqual(weights[0], { date: '2025-12-01', weight: 154.3, goal: 150 });
+
+  const { body: created } = await req('POST', '/api/workouts', {
+    date: '2025-12-01',
+    exercises: [{ name: 'Squat', sets: [{ reps: 5, weight: 225 }] }],
+  }, token);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, token);
+  const set = workouts.find(w => w.id === created.id).exercises[0].sets[0];
+  assert.equal(set.weight, 225);
+  assert.ok(Math.abs(set.weightKg - 102.058) < 0.001, 'kg is kept unrounded so pounds read back exactly');
+
+  await req('POST', '/api/user/saved-plans', { name: 'Pounds', exercises: [{ name: 'Row', sets: '3', reps: '8', weight: '135' }] }, token);
+  const { body: plans } = await req('GET', '/api/user/plans', undefined, token);
+  assert.equal(plans[0].exercises[0].weight, 135);
+  assert.ok(Math.abs(plans[0].exercises[0].weightKg - 61.235) < 0.001);
+
+  // Switching back to kg shows the same stored values in kg
+  await req('PUT', '/api/profile', { firstName: 'Dana', units: 'kg' }, token);
+  assert.equal((await req('GET', '/api/weights', undefined, token)).body[0].weight, 69.989);
+  await req('PUT', '/api/profile', { firstName: 'Dana', units: 'lb' }, token);
+});
+
+test('lb limits and errors are given in pounds', async () => {
+  const token = (await req('POST', '/api/auth/login', { username: 'units_dana', password: 'password123' })).body.token;
+  const { status, body } = await req('POST', '/api/weights', { date: '2025-12-02', weight: 2500 }, token);
+  assert.equal(status, 400);
+  assert.match(body.error, /2204\.623/);
+  assert.equal((await req('PUT', '/api/profile', { units: 'stone' }, token)).status, 400);
+});
+
+test('1RM and generator suggestions use the user unit and lb plates', async () => {
+  const token = (await req('POST', '/api/auth/login', { username: 'units_dana', password: 'password123' })).body.token;
+  const chest = ['Bench press (barbell)', 'Incline bench press (barbell)', 'Dumbbell bench press', 'Incline dumbbell press', 'Chest press (machine)'];
+  for (const name of chest) {
+    assert.equal((await req('PUT', '/api/1rm/' + encodeURIComponent(name), { weight: 227 }, token)).status, 200);
+  }
+  const { body: orm } = await req('GET', '/api/1rm', undefined, token);
+  assert.equal(orm[0].weight, 227);
+
+  const { status, body } = await req('POST', '/api/workout-generator', { intensity: 10, muscleGroups: ['chest'], avoidDays: 0 }, token);
+  assert.equal(status, 200);
+  assert.equal(body.units, 'lb');
+  for (const ex of body.exercises) {
+    assert.equal(ex.oneRepMax, 227);
+    assert.equal(ex.suggestedWeight, 225, '227 lb rounds to the nearest 5 lb');
+    assert.equal(ex.suggestedWeightKg, 102.058);
+  }
+});
+
+test('food search results are per ounce for lb users', async () => {
+  app.foodSearchCache.clear();
+  const token = (await req('POST', '/api/auth/login', { username: 'units_dana', password: 'password123' })).body.token;
+  const originalFetch = global.fetch;
+  global.fetch = async (url, opts) => {
+    if (typeof url === 'string' && new URL(url).hostname === 'api.nal.usda.gov') {
+      return {
+        ok: true,
+        json: async () => ({ foods: [{ description: 'Oats', foodNutrients: [{ nutrientId: 1008, value: 100 }] }] }),
+      };
+    }
+    return originalFetch(url, opts);
+  };
+  try {
+    const { body: ounces } = await req('GET', '/api/food/search?q=oats', undefined, token);
+    assert.equal(ounces[0].serving, '1 oz');
+    assert.equal(ounces[0].calories, 28.3);
+    const { body: grams } = await req('GET', '/api/food/search?q=oats', undefined, aliceToken);
+    assert.equal(grams[0].serving, '100 g');
+    assert.equal(grams[0].calories, 100);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+// ── History ranges and paging ─────────────────────────────────────────────────
+
+let erinToken;
+
+test('workout history is filtered by date range and paged with a cursor', async () => {
+  await req('POST', '/api/auth/register', { username: 'range_erin', password: 'password123' });
+  erinToken = (await req('POST', '/api/auth/login', { username: 'range_erin', password: 'password123' })).body.token;
+  for (const [id, date] of [['w1', '2026-01-01'], ['w2', '2026-01-02'], ['w3', '2026-01-03'], ['w3b', '2026-01-03'], ['w4', '2026-01-04']]) {
+    await req('POST', '/api/workouts', { id, date, exercises: [] }, erinToken);
+  }
+
+  const all = await req('GET', '/api/workouts', undefined, erinToken);
+  assert.equal(all.body.length, 5);
+  assert.equal(all.headers.get('x-total-count'), '5');
+  assert.equal(all.headers.get('x-next-cursor'), null);
+
+  const seen = [];
+  let cursor = '';
+  do {
+    const page = await req('GET', `/api/workouts?from=2026-01-02&to=2026-01-04&limit=2${cursor && '&cursor=' + cursor}`, undefined, erinToken);
+    assert.equal(page.status, 200);
+    assert.equal(page.headers.get('x-total-count'), '4');
+    seen.push(...page.body.map(w => w.id));
+    cursor = page.headers.get('x-next-cursor');
+  } while (cursor);
+  assert.deepEqual(seen, ['w4', 'w3b', 'w3', 'w2'], 'newest first, each workout once');
+});
+
+test('weight and calorie history accept the same range and paging', async () => {
+  for (const date of ['2026-01-01', '2026-01-02', '2026-01-03']) {
+    await req('POST', '/api/weights', { date, weight: 80 }, erinToken);
+    await req('POST', '/api/calories', { date, meal: 'Lunch', food: 'Rice', calories: 300 }, erinToken);
+    await req('POST', '/api/calories', { date, meal: 'Dinner', food: 'Soup', calories: 200 }, erinToken);
+  }
+  const first = await req('GET', '/api/weights?limit=2', undefined, erinToken);
+  assert.deepEqual(first.body.map(w => w.date), ['2026-01-01', '2026-01-02']);
+  assert.equal(first.headers.get('x-total-count'), '3');
+  const rest = await req('GET', '/api/weights?limit=2&cursor=' + first.headers.get('x-next-cursor'), undefined, erinToken);
+  assert.deepEqual(rest.body.map(w => w.date), ['2026-01-03']);
+  assert.equal(rest.headers.get('x-next-cursor'), null);
+
+  const day = await req('GET', '/api/calories?from=2026-01-02&to=2026-01-02', undefined, erinToken);
+  assert.deepEqual(day.body.map(c => [c.date, c.meal]), [['2026-01-02', 'Lunch'], ['2026-01-02', 'Dinner']]);
+  assert.equal(day.headers.get('x-total-count'), '2');
+  const paged = await req('GET', '/api/calories?from=2026-01-02&limit=3', undefined, erinToken);
+  const next = await req('GET', '/api/calories?from=2026-01-02&limit=3&cursor=' + paged.headers.get('x-next-cursor'), undefined, erinToken);
+  const { body: unpaged } = await req('GET', '/api/calories?from=2026-01-02', undefined, erinToken);
+  assert.equal(unpaged.length, 4);
+  assert.deepEqual([...paged.body, ...next.body].map(c => c.id), unpaged.map(c => c.id));
+});
+
+test('invalid history parameters return 400', async () => {
+  for (const query of ['from=2026-13-01', 'to=yesterday', 'limit=0', 'limit=501', 'limit=2.5', 'cursor=nonsense']) {
+    const { status, body } = await req('GET', '/api/workouts?' + query, undefined, erinToken);
+    assert.equal(status, 400, query);
+    assert.ok(body.error, query);
+  }
+});
+
+test('trainer history routes take the same range parameters', async () => {
+  const erinId = jwt.decode(erinToken).userId;
+  assert.equal((await req('POST', '/api/admin/assignments', { trainerId: carolId, userId: erinId }, adminToken)).status, 201);
+  const workouts = await req('GET', `/api/trainer/users/${erinId}/workouts?to=2026-01-02`, undefined, trainerToken);
+  assert.deepEqual(workouts.body.map(w => w.id), ['w2', 'w1']);
+  const weights = await req('GET', `/api/trainer/users/${erinId}/weights?from=2026-01-03`, undefined, trainerToken);
+  assert.deepEqual(weights.body.map(w => w.date), ['2026-01-03']);
+  const calories = await req('GET', `/api/trainer/users/${erinId}/calories?limit=1`, undefined, trainerToken);
+  assert.equal(calories.body.length, 1);
+  assert.equal(calories.headers.get('x-total-count'), '6');
+  assert.ok(calories.headers.get('x-next-cursor'));
+});
+
+test('history tables are indexed by user and date', () => {
+  const indexes = db.prepare("SELECT name FROM sqlite_master WHERE type = 'index'").all().map(r => r.name);
+  assert.ok(indexes.includes('idx_workouts_user_date'));
+  assert.ok(indexes.includes('idx_calories_user_date'));
+});
+
+// ── Exercise catalogue ────────────────────────────────────────────────────────
+
+test('the exercise catalogue lists built-ins with their metadata', async () => {
+  const { status, body } = await req('GET', '/api/exercises', undefined, erinToken);
+  assert.equal(status, 200);
+  const names = body.map(e => e.name);
+  for (const name of ['Hack squat (machine)', 'Face pull (cable)', 'Seated calf raise (machine)', 'Kettlebell swing']) {
+    assert.ok(names.includes(name), name);
+  }
+  assert.deepEqual(body.find(e => e.name === 'Bench press (barbell)'), {
+    id: body.find(e => e.name === 'Bench press (barbell)').id,
+    name: 'Bench press (barbell)', primaryMuscle: 'chest', secondaryMuscles: ['shoulders', 'triceps'],
+    equipment: 'barbell', movementPattern: 'push', unilateral: false, source: 'built-in', shared: false, sharedBy: null,
+  });
+
+  const calves = await req('GET', '/api/exercises?muscle=calves', undefined, erinToken);
+  assert.ok(calves.body.length >= 3);
+  assert.ok(calves.body.every(e => e.primaryMuscle === 'calves'));
+  assert.equal((await req('GET', '/api/exercises?muscle=wings', undefined, erinToken)).status, 400);
+});
+
+test('users create, edit and delete their own custom exercises', async () => {
+  const { status, body } = await req('POST', '/api/exercises', { name: 'Sled push', primaryMuscle: 'legs', equipment: 'other', unilateral: 'false' }, erinToken);
+  assert.equal(status, 201);
+  const id = body.id;
+  let mine = (await req('GET', '/api/exercises', undefined, erinToken)).body.find(e => e.id === id);
+  assert.equal(mine.source, 'own');
+  assert.deepEqual(mine.secondaryMuscles, []);
+
+  assert.equal((await req('POST', '/api/exercises', { name: 'sled PUSH' }, erinToken)).status, 409);
+  assert.equal((await req('POST', '/api/exercises', { name: 'Barbell curl' }, erinToken)).status, 409);
+  assert.equal((await req('POST', '/api/exercises', { name: 'Yoke walk', shared: true }, erinToken)).status, 403);
+  assert.equal((await req('POST', '/api/exercises', { name: 'Yoke walk', primaryMuscle: 'wings' }, erinToken)).status, 400);
+
+  assert.equal((await req('PUT', `/api/exercises/${id}`, { movementPattern: 'push' }, erinToken)).status, 200);
+  mine = (await req('GET', '/api/exercises', undefined, erinToken)).body.find(e => e.id === id);
+  assert.equal(mine.movementPattern, 'push');
+  assert.equal(mine.primaryMuscle, 'legs', 'fields left out keep their values');
+
+  const builtIn = (await req('GET', '/api/exercises', undefined, erinToken)).body.find(e => e.source === 'built-in');
+  assert.equal((await req('PUT', `/api/exercises/${builtIn.id}`, { name: 'Mine now' }, erinToken)).status, 403);
+  assert.equal((await req('PUT', `/api/exercises/${id}`, { name: 'Taken' }, aliceToken)).status, 404);
+  assert.equal((await req('DELETE', `/api/exercises/${id}`, undefined, aliceToken)).status, 404);
+  assert.equal((await req('DELETE', `/api/exercises/${id}`, undefined, erinToken)).status, 200);
+  assert.ok(!(await req('GET', '/api/exercises', undefined, erinToken)).body.some(e => e.id === id));
+});
+
+test('trainers share custom exercises with their athletes', async () => {
+  const shared = await req('POST', '/api/exercises', { name: 'Landmine press', primaryMuscle: 'shoulders', shared: true }, trainerToken);
+  assert.equal(shared.status, 201);
+  await req('POST', '/api/exercises', { name: 'Carol private drill' }, trainerToken);
+
+  const { body } = await req('GET', '/api/exercises', undefined, erinToken);
+  const landmine = body.find(e => e.name === 'Landmine press');
+  assert.equal(landmine.source, 'trainer');
+  assert.equal(landmine.sharedBy, 'carol');
+  assert.ok(!body.some(e => e.name === 'Carol private drill'), 'unshared exercises stay private');
+  assert.ok(!(await req('GET', '/api/exercises', undefined, aliceToken)).body.some(e => e.name === 'Landmine press'),
+    'users without that trainer do not see it');
+});
+
+test('the workout generator draws from the catalogue, including custom exercises', async () => {
+  await req('POST', '/api/exercises', { name: 'Donkey calf raise', primaryMuscle: 'calves' }, erinToken);
+  const builtIns = (await req('GET', '/api/exercises?muscle=calves', undefined, erinToken)).body.filter(e => e.source === 'built-in');
+  await req('POST', '/api/workouts', { date: new Date().toISOString().slice(0, 10), exercises: builtIns.map(e => ({ name: e.name, sets: [] })) }, erinToken);
+
+  const { status, body } = await req('POST', '/api/workout-generator', { intensity: 5, muscleGroups: ['calves'], avoidDays: 1 }, erinToken);
+  assert.equal(status, 200);
+  assert.deepEqual(body.exercises.map(e => e.name), ['Donkey calf raise']);
+  assert.equal((await req('POST', '/api/workout-generator', { intensity: 5, muscleGroups: ['other'] }, erinToken)).status, 400);
+});
+
+// ── Exercise matching ─────────────────────────────────────────────────────────
+const { normalizeExerciseName, createExerciseMatcher } = require('../exercises.js');
+
+let matchToken;
+let matchUserId;
+
+function builtInId(name) {
+  return db.prepare('SELECT id FROM exercises WHERE owner_id IS NULL AND name = ?').get(name).id;
+}
+
+test('exercise names are normalized before matching', () => {
+  assert.equal(normalizeExerciseName('  BB Bench-Press '), 'barbell bench press');
+  assert.equal(normalizeExerciseName("Farmer's walks"), 'farmer walk');
+  assert.equal(normalizeExerciseName('Lateral raise (dumbbells/cable)'), 'lateral raise dumbbell cable');
+  assert.equal(normalizeExerciseName(''), '');
+
+  const match = createExerciseMatcher(
+    [{ id: 1, name: 'Bench press (barbell)' }, { id: 2, name: 'Romanian deadlift (barbell)' }, { id: 3, name: 'Romanian deadlift (dumbbells)' }],
+    [{ alias: 'bench', exerciseId: 1 }, { alias: 'stiff leg', exerciseId: 99 }]
+  );
+  assert.equal(match('bench press (BARBELL)'), 1);
+  assert.equal(match('Bench press'), 1, 'base name without the qualifier');
+  assert.equal(match('bench'), 1, 'alias');
+  assert.equal(match('BB bench'), null);
+  assert.equal(match('Romanian deadlift'), null, 'a base shared by two exercises is ambiguous');
+  assert.equal(match('RDL (DB)'), 3);
+  assert.equal(match('stiff leg'), null, 'aliases of exercises not in the list are ignored');
+});
+
+test('saved workouts and 1RMs are tagged with the matched exercise', async () => {
+  await req('POST', '/api/auth/register', { username: 'match_fay', password: 'password123' });
+  matchToken = (await req('POST', '/api/auth/login', { username: 'match_fay', password: 'password123' })).body.token;
+  matchUserId = jwt.decode(matchToken).userId;
+  const bench = builtInId('Bench press (barbell)');
+
+  const { body: created } = await req('POST', '/api/workouts', {
+    date: '2026-02-01',
+    exercises: [
+      { name: 'bench', sets: [{ reps: 5, weightKg: 80 }] },
+      { name: 'Romanian deadlift', sets: [{ reps: 8, weightKg: 90 }] },
+      { name: 'Juggling', sets: [] },
+    ],
+  }, matchToken);
+  const { body: workouts } = await req('GET', '/api/workouts', undefined, matchToken);
+  assert.deepEqual(workouts.find(w => w.id === created.id).exercises.map(e => e.exerciseId),
+    [bench, builtInId('Romanian deadlift (barbell)'), null]);
+
+  assert.equal((await req('PATCH', `/api/workouts/${created.id}`, { exercises: [{ name: 'Flat bench press', exerciseId: 1, sets: [] }] }, matchToken)).status, 200);
+  const edited = (await req('GET', '/api/workouts', undefined, matchToken)).body.find(w => w.id === created.id);
+  assert.equal(edited.exercises[0].exerciseId, bench, 'the server sets exerciseId, not the client');
+
+  await req('PUT', '/api/1rm/bench%20press', { weightKg: 100 }, matchToken);
+  const orm = (await req('GET', '/api/1rm', undefined, matchToken)).body.find(r => r.exercise === 'bench press');
+  assert.equal(orm.exercise_id, bench);
+});
+
+test('the generator uses a 1RM logged under another name for the same exercise', async () => {
+  await req('POST', '/api/workouts', { date: new Date().toISOString().slice(0, 10), exercises: [] }, matchToken);
+  let found = null;
+  for (let i = 0; i < 40 && !found; i++) {
+    const { body } = await req('POST', '/api/workout-generator', { intensity: 5, muscleGroups: ['chest'], avoidDays: 0 }, matchToken);
+    found = body.exercises.find(e => e.exerciseId === builtInId('Bench press (barbell)'));
+  }
+  assert.ok(found, 'bench press was picked');
+  assert.equal(found.oneRepMaxKg, 100);
+  assert.ok(found.suggestedWeightKg > 0);
+});
+
+test('a custom exercise may not take a name that already matches another exercise', async () => {
+  const { status, body } = await req('POST', '/api/exercises', { name: 'BB bench press' }, matchToken);
+  assert.equal(status, 409);
+  assert.equal(body.exerciseId, builtInId('Bench press (barbell)'));
+  assert.equal((await req('POST', '/api/exercises', { name: 'military press' }, matchToken)).status, 409);
+  assert.equal((await req('POST', '/api/exercises', { name: 'Juggling' }, matchToken)).status, 201);
+});
+
+test('admins manage exercise aliases', async () => {
+  const curl = builtInId('Hammer curl');
+  assert.equal((await req('GET', '/api/admin/exercise-aliases', undefined, matchToken)).status, 403);
+  assert.equal((await req('POST', '/api/admin/exercise-aliases', { alias: 'neutral curl', exerciseId: curl }, matchToken)).status, 403);
+
+  const created = await req('POST', '/api/admin/exercise-aliases', { alias: 'Neutral curl', exerciseId: curl }, adminToken);
+  assert.equal(created.status, 201);
+  assert.equal((await req('POST', '/api/admin/exercise-aliases', { alias: 'NEUTRAL CURL', exerciseId: curl }, adminToken)).status, 409);
+  assert.equal((await req('POST', '/api/admin/exercise-aliases', { alias: 'x', exerciseId: 999999 }, adminToken)).status, 400);
+  assert.equal((await req('POST', '/api/admin/exercise-aliases', { alias: '', exerciseId: curl }, adminToken)).status, 400);
+
+  const { body: aliases } = await req('GET', '/api/admin/exercise-aliases', undefined, adminToken);
+  assert.deepEqual(aliases.find(a => a.id === created.body.id),
+    { id: created.body.id, alias: 'Neutral curl', exerciseId: curl, exercise: 'Hammer curl', createdAt: aliases.find(a => a.id === created.body.id).createdAt });
+  assert.ok(aliases.some(a => a.alias === 'bench'), 'built-in aliases are seeded');
+
+  assert.equal((await req('DELETE', `/api/admin/exercise-aliases/${created.body.id}`, undefined, adminToken)).status, 200);
+  assert.equal((await req('DELETE', `/api/admin/exercise-aliases/${created.body.id}`, undefined, adminToken)).status, 404);
+});
+
+test('the back-fill tags existing workouts and 1RMs and lists unmatched names', async () => {
+  const squat = builtInId('Back squat (barbell)');
+  db.prepare('INSERT INTO workouts (id, user_id, date, data) VALUES (?, ?, ?, ?)').run('legacy-match-1', matchUserId, '2025-06-01',
+    JSON.stringify({ id: 'legacy-match-1', date: '2025-06-01', exercises: [{ name: 'Squats', sets: [] }, { name: 'Zercher carry', sets: [] }] }));
+  db.prepare('INSERT INTO one_rep_maxes (user_id, exercise, weight_kg, updated_at) VALUES (?, ?, ?, ?)').run(matchUserId, 'low bar squat', 150, '2025-06-01');
+
+  assert.equal((await req('POST', '/api/admin/exercises/backfill', undefined, matchToken)).status, 403);
+  const { status, body } = await req('POST', '/api/admin/exercises/backfill', undefined, adminToken);
+  assert.equal(status, 200);
+  assert.ok(body.workouts.updated >= 1 && body.workouts.checked >= body.workouts.updated);
+  assert.ok(body.oneRepMaxes.updated >= 1);
+  assert.ok(body.unmatched.some(u => u.name === 'Zercher carry' && u.count >= 1));
+
+  const stored = JSON.parse(db.prepare('SELECT data FROM workouts WHERE id = ?').get('legacy-match-1').data);
+  assert.deepEqual(stored.exercises.map(e => e.exerciseId), [squat, null]);
+  assert.equal(db.prepare('SELECT exercise_id FROM one_rep_maxes WHERE user_id = ? AND exercise = ?').get(matchUserId, 'low bar squat').exercise_id, squat);
+
+  const again = await req('POST', '/api/admin/exercises/backfill', undefined, adminToken);
+  assert.equal(again.body.workouts.updated, 0, 'a second run changes nothing');
+  assert.equal(again.body.oneRepMaxes.updated, 0);
+  const { entries } = (await req('GET', '/api/admin/audit?action=exercise.backfill', undefined, adminToken)).body;
+  assert.ok(entries.length >= 2);
+});
+
+// ── Trash ─────────────────────────────────────────────────────────────────────
+
+let trashToken;
+
+test('deleted workouts, weights and meals go to the trash and can be restored', async () => {
+  await req('POST', '/api/auth/register', { username: 'trash_gus', password: 'password123' });
+  trashToken = (await req('POST', '/api/auth/login', { username: 'trash_gus', password: 'password123' })).body.token;
+  await req('POST', '/api/workouts', { id: 'trash-w1', date: '2026-03-01', exercises: [] }, trashToken);
+  await req('POST', '/api/weights', { date: '2026-03-01', weight: 80 }, trashToken);
+  const calorieId = (await req('POST', '/api/calories', { date: '2026-03-01', food: 'Oats', calories: 300 }, trashToken)).body.id;
+
+  assert.equal((await req('DELETE', '/api/workouts/trash-w1', undefined, trashToken)).status, 200);
+  assert.equal((await req('DELETE', '/api/weights/2026-03-01', undefined, trashToken)).status, 200);
+  assert.equal((await req('DELETE', `/api/calories/${calorieId}`, undefined, trashToken)).status, 200);
+  assert.equal((await req('DELETE', '/api/workouts/trash-w1', undefined, trashToken)).status, 404, 'already in the trash');
+  assert.deepEqual((await req('GET', '/api/workouts', undefined, trashToken)).body, []);
+  assert.deepEqual((await req('GET', '/api/weights', undefined, trashToken)).body, []);
+  assert.deepEqual((await req('GET', '/api/calories', undefined, trashToken)).body, []);
+  assert.equal((await req('PATCH', '/api/workouts/trash-w1', { notes: 'x' }, trashToken)).status, 404);
+  assert.equal((await req('POST', '/api/workouts', { id: 'trash-w1', date: '2026-03-01', exercises: [] }, trashToken)).status, 409);
+
+  const { status, body: trash } = await req('GET', '/api/trash', undefined, trashToken);
+  assert.equal(status, 200);
+  assert.deepEqual(trash.map(t => [t.type, t.id]).sort(), [['calories', calorieId], ['weights', '2026-03-01'], ['workouts', 'trash-w1']].sort());
+  const workout = trash.find(t => t.type === 'workouts');
+  assert.equal(workout.item.id, 'trash-w1');
+  assert.equal(Date.parse(workout.purgeAt) - Date.parse(workout.deletedAt), 30 * 24 * 60 * 60 * 1000);
+
+  assert.equal((await req('POST', '/api/trash/workouts/trash-w1/restore', undefined, aliceToken)).status, 404, 'only the owner restores');
+  assert.equal((await req('POST', '/api/trash/workouts/trash-w1/restore', undefined, trashToken)).status, 200);
+  assert.equal((await req('POST', '/api/trash/workouts/trash-w1/restore', undefined, trashToken)).status, 404);
+  assert.equal((await req('POST', `/api/trash/calories/${calorieId}/restore`, undefined, trashToken)).status, 200);
+  assert.equal((await req('POST', '/api/trash/gadgets/1/restore', undefined, trashToken)).status, 404);
+  assert.deepEqual((await req('GET', '/api/workouts', undefined, trashToken)).body.map(w => w.id), ['trash-w1']);
+  assert.deepEqual((await req('GET', '/api/calories', undefined, trashToken)).body.map(c => c.food), ['Oats']);
+
+  // A new entry for the day replaces the one in the trash
+  await req('POST', '/api/weights', { date: '2026-03-01', weight: 79 }, trashToken);
+  assert.deepEqual((await req('GET', '/api/weights', undefined, trashToken)).body.map(w => w.weight), [79]);
+  assert.deepEqual((await req('GET', '/api/trash', undefined, trashToken)).body, []);
+});
+
+test('trainers delete and restore athletes\' scheduled workouts and their own plans', async () => {
+  const erinId = jwt.decode(erinToken).userId;
+  const planId = (await req('POST', '/api/trainer/plans', { name: 'Trash test plan', exercises: [] }, trainerToken)).body.id;
+  await req('POST', `/api/trainer/plans/${planId}/assign`, { userId: erinId }, trainerToken);
+  const scheduleId = (await req('POST', '/api/trainer/schedule', { userId: erinId, date: '2026-03-02', title: 'Intervals' }, trainerToken)).body.id;
+
+  assert.equal((await req('DELETE', `/api/schedule/${scheduleId}`, undefined, trainerToken)).status, 200);
+  assert.ok(!(await req('GET', '/api/schedule', undefined, erinToken)).body.some(e => e.id === scheduleId));
+  const athleteTrash = (await req('GET', '/api/trash', undefined, erinToken)).body;
+  assert.equal(athleteTrash.find(t => t.type === 'schedule').item.title, 'Intervals', 'it lands in the athlete\'s trash');
+  assert.equal((await req('POST', `/api/trash/schedule/${scheduleId}/restore`, undefined, trashToken)).status, 404);
+  assert.equal((await req('POST', `/api/trash/schedule/${scheduleId}/restore`, undefined, trainerToken)).status, 200);
+  assert.ok((await req('GET', '/api/schedule', undefined, erinToken)).body.some(e => e.id === scheduleId));
+
+  assert.equal((await req('DELETE', `/api/trainer/plans/${planId}`, undefined, trainerToken)).status, 200);
+  assert.ok(!(await req('GET', '/api/user/plans', undefined, erinToken)).body.some(p => p.id === planId));
+  assert.equal((await req('POST', `/api/trainer/plans/${planId}/assign`, { userId: erinId }, trainerToken)).status, 404);
+  assert.equal((await req('POST', `/api/trash/plans/${planId}/restore`, undefined, trainerToken)).status, 200);
+  assert.ok((await req('GET', '/api/user/plans', undefined, erinToken)).body.some(p => p.id === planId), 'assignments survive');
+});
+
+test('resetting all data can be undone from the trash', async () => {
+  await req('POST', '/api/workouts', { id: 'trash-w2', date: '2026-03-03', exercises: [] }, trashToken);
+  await req('DELETE', '/api/workouts/trash-w2', undefined, trashToken);
+  const { body } = await req('DELETE', '/api/user/data', undefined, trashToken);
+  assert.ok(body.deletedAt);
+  assert.deepEqual((await req('GET', '/api/workouts', undefined, trashToken)).body, []);
+  assert.equal((await req('GET', '/api/trash', undefined, trashToken)).body.length, 4);
+
+  assert.equal((await req('POST', '/api/trash/restore', { deletedAt: 'soon' }, trashToken)).status, 400);
+  const restored = await req('POST', '/api/trash/restore', { deletedAt: body.deletedAt }, trashToken);
+  assert.deepEqual(restored.body, { ok: true, restored: { workouts: 1, weights: 1, calories: 1, schedule: 0, plans: 0 } });
+  assert.deepEqual((await req('GET', '/api/workouts', undefined, trashToken)).body.map(w => w.id), ['trash-w1']);
+  assert.deepEqual((await req('GET', '/api/trash', undefined, trashToken)).body.map(t => t.id), ['trash-w2'], 'earlier deletes stay in the trash');
+});
+
+test('the trash is purged after the retention period', async () => {
+  db.prepare('UPDATE workouts SET deleted_at = ? WHERE id = ?').run('2000-01-01T00:00:00.000Z', 'trash-w2');
+  await req('DELETE', '/api/workouts/trash-w1', undefined, trashToken);
+  const purged = app.purgeTrash();
+  assert.ok(purged.workouts >= 1);
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM workouts WHERE id = ?').get('trash-w2').n, 0);
+  assert.deepEqual((await req('GET', '/api/trash', undefined, trashToken)).body.map(t => t.id), ['trash-w1'], 'recent deletes are kept');
+  assert.ok(app.purgeTrash(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000)).workouts >= 1);
+  assert.deepEqual((await req('GET', '/api/trash', undefined, trashToken)).body, []);
+});
+
+// ── Estimated 1RMs ────────────────────────────────────────────────────────────
+const { estimateOneRepMax, recordsBoard } = require('../strength.js');
+
+let strengthToken;
+
+test('one-rep max estimates follow the chosen formula', () => {
+  assert.equal(estimateOneRepMax(100, 5), 116.667);
+  assert.equal(estimateOneRepMax(100, 5, 'brzycki'), 112.5);
+  assert.equal(estimateOneRepMax(100, 1, 'brzycki'), 100);
+  assert.equal(estimateOneRepMax(100, 13), null, 'long sets get no estimate');
+  assert.equal(estimateOneRepMax(0, 5), null);
+});
+
+test('saving a workout estimates each set and flags new bests', async () => {
+  await req('POST', '/api/auth/register', { username: 'strength_hal', password: 'password123' });
+  strengthToken = (await req('POST', '/api/auth/login', { username: 'strength_hal', password: 'password123' })).body.token;
+  await req('PUT', '/api/profile', { autoOneRepMax: true }, strengthToken);
+  const first = await req('POST', '/api/workouts', {
+    id: 'pr-w1', date: '2026-04-01',
+    exercises: [{ name: 'bench', sets: [{ reps: 10, weightKg: 40, type: 'warmup' }, { reps: 5, weightKg: 90 }, { reps: 3, weightKg: 100, completed: false }] }],
+  }, strengthToken);
+  assert.equal(first.status, 201);
+  assert.deepEqual(first.body.personalRecords, [], 'nothing to beat in the first workout');
+  const [saved] = (await req('GET', '/api/workouts', undefined, strengthToken)).body;
+  assert.deepEqual(saved.exercises[0].sets.map(s => s.e1rmKg), [null, 105, null]);
+
+  const { body } = await req('POST', '/api/workouts', {
+    id: 'pr-w2', date: '2026-04-08',
+    exercises: [{ name: 'Bench press (barbell)', sets: [{ reps: 3, weightKg: 100 }] }, { name: 'Plank', sets: [{ reps: 1 }] }],
+  }, strengthToken);
+  assert.equal(body.personalRecords.length, 1);
+  assert.equal(body.personalRecords[0].exercise, 'Bench press (barbell)');
+  assert.equal(body.personalRecords[0].e1rmKg, 110);
+  assert.equal(body.personalRecords[0].previousE1rmKg, 105);
+  const listed = (await req('GET', '/api/workouts', undefined, strengthToken)).body.find(w => w.id === 'pr-w2');
+  assert.equal(listed.personalRecords[0].e1rm, 110);
+
+  // An earlier-dated workout is compared only with what came before it
+  const backdated = await req('POST', '/api/workouts', { date: '2026-03-01', exercises: [{ name: 'Bench', sets: [{ reps: 1, weightKg: 95 }] }] }, strengthToken);
+  assert.deepEqual(backdated.body.personalRecords, []);
+
+  const orm = (await req('GET', '/api/1rm', undefined, strengthToken)).body;
+  assert.deepEqual(orm.map(r => [r.exercise, r.weight_kg, r.source, r.updated_at]), [['Bench press (barbell)', 110, 'estimated', '2026-04-08']]);
+});
+
+test('a manual 1RM is never replaced by an estimate', async () => {
+  await req('PUT', '/api/1rm/Deadlift', { weightKg: 150 }, strengthToken);
+  await req('POST', '/api/workouts', { date: '2026-04-10', exercises: [{ name: 'Deadlift (conventional)', sets: [{ reps: 5, weightKg: 160 }] }] }, strengthToken);
+  const orm = (await req('GET', '/api/1rm', undefined, strengthToken)).body;
+  assert.deepEqual(orm.map(r => [r.exercise, r.weight_kg, r.source]), [['Bench press (barbell)', 110, 'estimated'], ['Deadlift', 150, 'manual']]);
+});
+
+test('the profile picks the formula and can turn automatic 1RMs off', async () => {
+  assert.equal((await req('PUT', '/api/profile', { oneRepMaxFormula: 'lander' }, strengthToken)).status, 400);
+  await req('PUT', '/api/profile', { oneRepMaxFormula: 'brzycki', autoOneRepMax: false }, strengthToken);
+  const { body } = await req('POST', '/api/workouts', { date: '2026-04-15', exercises: [{ name: 'Bench', sets: [{ reps: 5, weightKg: 100 }] }] }, strengthToken);
+  assert.equal(body.personalRecords[0].e1rmKg, 112.5);
+  const orm = (await req('GET', '/api/1rm', undefined, strengthToken)).body;
+  assert.equal(orm.find(r => r.exercise === 'Bench press (barbell)').weight_kg, 110, 'left alone with autoOneRepMax off');
+});
+
+test('editing, deleting and restoring workouts re-estimates their 1RMs', async () => {
+  const { body: reg } = await req('POST', '/api/auth/register', { username: 'strength_ivo', password: 'password123' });
+  const token = reg.token;
+  await req('PUT', '/api/profile', { autoOneRepMax: true }, token);
+  const bench = (reps, weightKg) => [{ name: 'Bench', sets: [{ reps, weightKg }] }];
+  const benchMax = async () => {
+    const row = (await req('GET', '/api/1rm', undefined, token)).body.find(r => r.exercise === 'Bench press (barbell)');
+    return row && [row.weight_kg, row.updated_at];
+  };
+  await req('PUT', '/api/1rm/Squat', { weightKg: 100 }, token);
+  await req('POST', '/api/workouts', { id: 'e1rm-w1', date: '2026-04-01', exercises: [...bench(3, 100), { name: 'Squat', sets: [{ reps: 5, weightKg: 120 }] }] }, token);
+  await req('POST', '/api/workouts', { id: 'e1rm-w2', date: '2026-04-08', exercises: bench(5, 100) }, token);
+  assert.deepEqual(await benchMax(), [116.667, '2026-04-08']);
+
+  await req('PUT', '/api/workouts/e1rm-w2', { date: '2026-04-08', exercises: bench(5, 90) }, token);
+  assert.deepEqual(await benchMax(), [110, '2026-04-01'], 'an edit can lower the estimate');
+  await req('DELETE', '/api/workouts/e1rm-w1', undefined, token);
+  assert.deepEqual(await benchMax(), [105, '2026-04-08']);
+  await req('DELETE', '/api/workouts/e1rm-w2', undefined, token);
+  assert.equal(await benchMax(), undefined, 'dropped with no workout left to estimate from');
+
+  await req('POST', '/api/trash/workouts/e1rm-w2/restore', undefined, token);
+  assert.deepEqual(await benchMax(), [105, '2026-04-08']);
+  await req('POST', '/api/trash/restore', {}, token);
+  assert.deepEqual(await benchMax(), [110, '2026-04-01']);
+  const squat = (await req('GET', '/api/1rm', undefined, token)).body.find(r => r.exercise === 'Squat');
+  assert.deepEqual([squat.weight_kg, squat.source], [100, 'manual']);
+});
+
+// ── Records ───────────────────────────────────────────────────────────────────
+
+test('the records board keeps each lift\'s bests and when they were set', async () => {
+  const { status, body } = await req('GET', '/api/records', undefined, strengthToken);
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(r => r.exercise), ['Bench press (barbell)', 'Deadlift (conventional)'], 'lifts logged without weight are left out');
+  const [bench] = body;
+  assert.deepEqual(Object.fromEntries(Object.entries(bench.repMaxes).map(([reps, r]) => [reps, r && [r.weight, r.date]])), {
+    1: [100, '2026-04-08'], 3: [100, '2026-04-08'], 5: [100, '2026-04-15'], 8: null, 10: null,
+  });
+  assert.deepEqual([bench.e1rm.e1rm, bench.e1rm.weight, bench.e1rm.reps, bench.e1rm.date], [112.5, 100, 5, '2026-04-15'], 'estimated with the profile formula');
+  assert.deepEqual(bench.volume, { volumeKg: 500, volume: 500, date: '2026-04-15' });
+});
+
+test('volume records sum a lift logged more than once in a workout', () => {
+  const workouts = [
+    { date: '2026-05-01', exercises: [{ name: 'Bench', sets: [{ reps: 5, weightKg: 100 }, { reps: 5, weightKg: 100 }] }] },
+    { date: '2026-05-08', exercises: [
+      { name: 'Bench', sets: [{ reps: 3, weightKg: 110 }] },
+      { name: 'Row', sets: [{ reps: 10, weightKg: 60 }] },
+      { name: 'bench', sets: [{ reps: 8, weightKg: 80 }, { reps: 8, weightKg: 80 }] },
+    ] },
+  ];
+  const [bench] = recordsBoard(workouts, e => e.name.toLowerCase());
+  assert.deepEqual(bench.volume, { volumeKg: 1610, date: '2026-05-08' }, 'heavy and back-off entries count as one session');
+});
+
+test('trainers see their athletes\' records', async () => {
+  const erinId = jwt.decode(erinToken).userId;
+  await req('POST', '/api/workouts', { date: '2026-04-20', exercises: [{ name: 'Squat', sets: [{ reps: 8, weightKg: 60 }, { reps: 8, weightKg: 62.5 }] }] }, erinToken);
+  const { status, body } = await req('GET', `/api/trainer/users/${erinId}/records`, undefined, trainerToken);
+  assert.equal(status, 200);
+  const squat = body.find(r => r.exercise === 'Back squat (barbell)');
+  assert.equal(squat.repMaxes[8].weight, 62.5);
+  assert.equal(squat.volume.volume, 980);
+
+  const halId = jwt.decode(strengthToken).userId;
+  assert.equal((await req('GET', `/api/trainer/users/${halId}/records`, undefined, trainerToken)).status, 403);
+});
+
+// ── Volume analytics ──────────────────────────────────────────────────────────
+
+let volumeToken;
+
+test('volume analytics count hard sets, tonnage and sessions per muscle group', async () => {
+  await req('POST', '/api/auth/register', { username: 'volume_ivy', password: 'password123' });
+  volumeToken = (await req('POST', '/api/auth/login', { username: 'volume_ivy', password: 'password123' })).body.token;
+  const log = (date, exercises) => req('POST', '/api/workouts', { date, exercises }, volumeToken);
+  await log('2026-05-04', [
+    { name: 'Bench press (barbell)', sets: [{ reps: 10, weightKg: 40, type: 'warmup' }, { reps: 8, weightKg: 80, rpe: 8 }, { reps: 8, weightKg: 80, rpe: 6 }] },
+    { name: 'Bent-over row (barbell)', sets: [{ reps: 10, weightKg: 60, rir: 2 }, { reps: 10, weightKg: 60, completed: false }] },
+    { name: 'Zercher carry', sets: [{ reps: 1, weightKg: 100 }] },
+  ]);
+  await log('2026-05-06', [{ name: 'Bench', sets: [{ reps: 5, weightKg: 90 }] }]);
+  await log('2026-05-12', [{ name: 'Squat', sets: [{ reps: 5, weightKg: 100 }, { reps: 5, weightKg: 100 }] }]);
+  await log('2026-05-20', [{ name: 'Squat', sets: [{ reps: 5, weightKg: 100 }] }]);
+
+  const { status, body } = await req('GET', '/api/analytics/volume?from=2026-05-04&to=2026-05-17&granularity=week', undefined, volumeToken);
+  assert.equal(status, 200);
+  assert.equal(body.units, 'kg');
+  assert.deepEqual(body.periods.map(p => [p.start, p.workouts]), [['2026-05-04', 2], ['2026-05-11', 1]]);
+  assert.deepEqual(body.periods[0].muscles, {
+    chest: { hardSets: 2, tonnageKg: 1730, tonnage: 1730, sessions: 2 },
+    back:  { hardSets: 1, tonnageKg: 600, tonnage: 600, sessions: 1 },
+    other: { hardSets: 1, tonnageKg: 100, tonnage: 100, sessions: 1 },
+  });
+  assert.deepEqual(body.totals.legs, { hardSets: 2, tonnageKg: 1000, tonnage: 1000, sessions: 1 }, 'workouts after `to` are left out');
+
+  const monthly = await req('GET', '/api/analytics/volume?from=2026-05-01&to=2026-05-31&granularity=month', undefined, volumeToken);
+  assert.deepEqual(monthly.body.periods.map(p => [p.start, p.workouts]), [['2026-05-01', 4]]);
+  assert.equal(monthly.body.totals.legs.sessions, 2);
+});
+
+test('volume analytics validate the range and cover athletes for their trainer', async () => {
+  const get = (query, token = volumeToken) => req('GET', '/api/analytics/volume' + query, undefined, token);
+  assert.equal((await get('?granularity=day')).status, 400);
+  assert.equal((await get('?from=2026-13-01')).status, 400);
+  assert.equal((await get('?from=2026-05-10&to=2026-05-01')).status, 400);
+  assert.equal((await get('?from=2020-01-01&to=2026-01-01')).status, 400, 'too many weeks');
+  assert.equal((await get('?from=2020-01-01&to=2026-01-01&granularity=month')).status, 200);
+  assert.equal((await get('')).body.periods.length, 12, 'the last 12 weeks by default');
+
+  const erinId = jwt.decode(erinToken).userId;
+  const { status, body } = await req('GET', `/api/trainer/users/${erinId}/analytics/volume?from=2026-04-20&to=2026-04-20`, undefined, trainerToken);
+  assert.equal(status, 200);
+  assert.equal(body.totals.legs.hardSets, 2);
+  const ivyId = jwt.decode(volumeToken).userId;
+  assert.equal((await req('GET', `/api/trainer/users/${ivyId}/analytics/volume`, undefined, trainerToken)).status, 403);
+});
+
+// ── Weight trend ──────────────────────────────────────────────────────────────
+const { weightTrend } = require('../analytics.js');
+
+let trendToken;
+
+test('the weight trend smooths weigh-ins and treats a gap as repeated days', () => {
+  const { points, weeklyRateKg, projectedGoalDate } = weightTrend([{ date: '2026-06-03', weightKg: 82 }, { date: '2026-06-01', weightKg: 80 }], 75);
+  assert.deepEqual(points.map(p => p.trendKg), [80, 80.38]);
+  assert.equal(weeklyRateKg, null, 'too short a span for a rate');
+  assert.equal(projectedGoalDate, null);
+  assert.equal(weightTrend([]).trendKg, null);
+});
+
+test('the weight trend gives a weekly rate and projects the goal date', async () => {
+  await req('POST', '/api/auth/register', { username: 'trend_jo', password: 'password123' });
+  trendToken = (await req('POST', '/api/auth/login', { username: 'trend_jo', password: 'password123' })).body.token;
+  for (let day = 1; day <= 29; day++) {
+    const date = `2026-06-${String(day).padStart(2, '0')}`;
+    // Losing 0.7 kg a week with a daily swing of ±0.5 kg
+    await req('POST', '/api/weights', { date, weight: 90 - 0.1 * day + (day % 2 ? 0.5 : -0.5), ...(day === 29 ? { goal: 85 } : {}) }, trendToken);
+  }
+  const { status, body } = await req('GET', '/api/weights/trend?from=2026-06-20', undefined, trendToken);
+  assert.equal(status, 200);
+  assert.equal(body.points.length, 10);
+  const steps = body.points.slice(1).map((p, i) => Math.abs(p.trend - body.points[i].trend));
+  assert.ok(Math.max(...steps) < 0.3, 'the daily swing is smoothed out');
+  assert.ok(body.weeklyRate < -0.5 && body.weeklyRate > -0.8, `weekly rate ${body.weeklyRate}`);
+  assert.equal(body.goal, 85);
+  assert.equal(body.goalReached, false);
+  assert.ok(body.projectedGoalDate > '2026-07-15' && body.projectedGoalDate < '2026-08-31', body.projectedGoalDate);
+
+  // Moving away from the goal projects nothing; passing it marks it reached
+  await req('PUT', '/api/weights/2026-06-29', { goal: 95 }, trendToken);
+  const away = (await req('GET', '/api/weights/trend', undefined, trendToken)).body;
+  assert.equal(away.projectedGoalDate, null);
+  await req('PUT', '/api/weights/2026-06-29', { goal: 88 }, trendToken);
+  assert.equal((await req('GET', '/api/weights/trend', undefined, trendToken)).body.goalReached, true);
+  assert.equal((await req('GET', '/api/weights/trend?to=June', undefined, trendToken)).status, 400);
+});
+
+test('trainers see their athletes\' weight trend', async () => {
+  const erinId = jwt.decode(erinToken).userId;
+  const { status, body } = await req('GET', `/api/trainer/users/${erinId}/weights/trend`, undefined, trainerToken);
+  assert.equal(status, 200);
+  assert.ok(Array.isArray(body.points));
+  const joId = jwt.decode(trendToken).userId;
+  assert.equal((await req('GET', `/api/trainer/users/${joId}/weights/trend`, undefined, trainerToken)).status, 403);
+});
+
+// ── TDEE ──────────────────────────────────────────────────────────────────────
+
+test('TDEE is estimated from intake and the weight trend with a goal target', async () => {
+  await req('POST', '/api/auth/register', { username: 'tdee_kim', password: 'password123' });
+  const token = (await req('POST', '/api/auth/login', { username: 'tdee_kim', password: 'password123' })).body.token;
+  const dayOf = n => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  const none = await req('GET', '/api/nutrition/tdee', undefined, token);
+  assert.equal(none.status, 200);
+  assert.deepEqual([none.body.tdee, none.body.confidence, none.body.recommendedCalories, none.body.goal], [null, null, null, 'maintain']);
+
+  // Losing 0.5 kg a week on 2500 kcal a day means burning about 3050
+  for (let n = 60; n >= 1; n--) await req('POST', '/api/weights', { date: dayOf(n), weight: 90 - (60 - n) * 0.5 / 7 }, token);
+  for (let n = 1; n <= 10; n++) await req('POST', '/api/calories', { date: dayOf(n), food: 'Meals', calories: 2500 }, token);
+  const low = (await req('GET', '/api/nutrition/tdee', undefined, token)).body;
+  assert.equal(low.loggedDays, 10);
+  assert.equal(low.confidence, 'low');
+  assert.equal(low.averageIntake, 2500);
+  assert.ok(Math.abs(low.tdee - 3050) < 60, `tdee ${low.tdee}`);
+
+  for (let n = 11; n <= 28; n++) await req('POST', '/api/calories', { date: dayOf(n), food: 'Meals', calories: 2500 }, token);
+  await req('POST', '/api/calories', { date: dayOf(0), food: 'Breakfast', calories: 400 }, token);
+  await req('PUT', '/api/profile', { goal: 'lose-weight', dailyCalorieGoal: 2000 }, token);
+  const { body } = await req('GET', '/api/nutrition/tdee', undefined, token);
+  assert.equal(body.loggedDays, 28, 'today is left out');
+  assert.equal(body.confidence, 'high');
+  assert.equal(body.goal, 'lose');
+  assert.equal(body.recommendedCalories, Math.round((body.tdee - 500) / 10) * 10);
+  assert.equal(body.dailyCalorieGoal, 2000);
+  assert.ok(body.trendChange < -1.5 && body.trendChange > -2.5, `trend change ${body.trendChange}`);
+
+  const gain = (await req('GET', '/api/nutrition/tdee?goal=gain', undefined, token)).body;
+  assert.equal(gain.recommendedCalories, Math.round((gain.tdee + 250) / 10) * 10);
+  assert.equal((await req('GET', '/api/nutrition/tdee?goal=bulk', undefined, token)).status, 400);
+  assert.equal((await req('GET', '/api/nutrition/tdee?days=7', undefined, token)).status, 400);
+  assert.equal((await req('GET', '/api/nutrition/tdee?days=14', undefined, token)).body.confidence, 'medium');
+});
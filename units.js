@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * Weight units. Everything is stored in kilograms; each user picks 'kg' or
+ * 'lb' in their profile and the API reads and writes that unit. Converted
+ * values are rounded to 3 decimals, which is enough for a value entered in
+ * one unit to read back exactly as it was typed.
+ */
+
+const UNITS     = ['kg', 'lb'];
+const KG_PER_LB = 0.45359237;  // exact, by definition
+const G_PER_OZ  = 28.349523125;
+
+// Smallest step a loaded bar moves by: a pair of the lightest common plates
+const PLATE_INCREMENTS = { kg: 2.5, lb: 5 };
+
+const round3 = n => Math.round(n * 1000) / 1000;
+
+function toKg(value, units) {
+  return units === 'lb' ? value * KG_PER_LB : value;
+}
+
+// Values that are not numbers (null, or a malformed legacy entry) pass through
+function fromKg(kg, units) {
+  const n = typeof kg === 'string' && kg.trim() !== '' ? Number(kg) : kg;
+  if (typeof n !== 'number' || !Number.isFinite(n)) return kg === undefined ? undefined : kg;
+  return round3(units === 'lb' ? n / KG_PER_LB : n);
+}
+
+function roundToPlates(value, units) {
+  const step = PLATE_INCREMENTS[units] || PLATE_INCREMENTS.kg;
+  return Math.round(value / step) * step;
+}
+
+module.exports = { UNITS, KG_PER_LB, G_PER_OZ, PLATE_INCREMENTS, toKg, fromKg, roundToPlates };